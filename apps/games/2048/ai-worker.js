@@ -0,0 +1,36 @@
+/**
+ * 2048 AI Worker
+ *
+ * Runs a strategy search off the main thread so the board stays responsive.
+ *
+ * Request:  { id, type, strategy, board, options }   (options.timeBudget in ms)
+ * Response:
+ *   type 'move'    { id, move }                      (move 0-3, or -1 if stuck)
+ *   type 'analyze' { id, move, values, depth }       (see Strategies2048.analyze)
+ *   type 'review'  { id, analysis }                  (see Analysis2048.analyzeGame;
+ *                  the request carries a `replay`, and { id, progress, total }
+ *                  messages report the moves done so far)
+ *
+ * The page cancels a search by terminating the worker, so there is no
+ * cancel message.
+ */
+importScripts('bitboard.js', 'engine.js', 'ntuple.js', 'strategies.js', 'analysis.js');
+
+const REVIEW_PROGRESS_EVERY = 25; // moves
+
+self.onmessage = function (e) {
+    const { id, type, strategy, board, options } = e.data;
+    if (type === 'review') {
+        const analysis = Analysis2048.analyzeGame(e.data.replay, {
+            ...options,
+            onProgress: (done, total) => {
+                if (done % REVIEW_PROGRESS_EVERY === 0) self.postMessage({ id: id, progress: done, total: total });
+            }
+        });
+        self.postMessage({ id: id, analysis: analysis });
+    } else if (type === 'analyze') {
+        self.postMessage({ id: id, ...Strategies2048.analyze(strategy, board, options) });
+    } else {
+        self.postMessage({ id: id, move: Strategies2048.chooseMove(strategy, board, options) });
+    }
+};
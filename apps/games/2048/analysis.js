@@ -0,0 +1,103 @@
+/**
+ * 2048 Game Analysis
+ *
+ * Replays a finished seeded game (a replay from Game2048.exportReplay,
+ * from the opening or from its initialBoard) and runs Expectimax on the
+ * position before every move. A move is a blunder
+ * when its value is well below the best direction's value.
+ *
+ * Like engine.js this file has no DOM access and loads in the page
+ * (window.Analysis2048), in Web Workers and in Node.
+ */
+(function (root) {
+    'use strict';
+
+    const Engine2048 = root.Engine2048 || require('./engine.js');
+
+    const DEFAULT_DEPTH = 3;
+    // Loss ratio (see getLossRatio) from which a move is a blunder
+    const DEFAULT_BLUNDER_THRESHOLD = 0.2;
+    const LOSS_VALUE = -999999; // Expectimax value of a lost position
+
+    // How much worse the played move is than the best one, relative to the
+    // best value or the sum of the tiles, whichever is larger. Heuristic
+    // values are in tile units but can sit near zero mid-game, where the
+    // tile sum keeps small differences small.
+    function getLossRatio(board, bestValue, playedValue) {
+        const tileSum = board.reduce((sum, row) => row.reduce((s, v) => s + v, sum), 0);
+        return (bestValue - playedValue) / Math.max(Math.abs(bestValue), tileSum, 1);
+    }
+
+    // Analyze every move of a replay. Moves that do not change the board are
+    // skipped, as when the replay is loaded in the game.
+    // Options:
+    //   depth             Expectimax depth per position (default 3)
+    //   weights           heuristic weights (see Engine2048.evaluateGrid)
+    //   blunderThreshold  loss ratio from which a move is a blunder (default 0.2)
+    //   onProgress        called with (done, total) after every move
+    // Returns {
+    //   moves: [{ index, board, score, move, values, bestMove, lossRatio, blunder }],
+    //   blunders: [index, ...], depth, finalBoard, finalScore, gameOver
+    // }
+    // `index` counts from 1; `board` and `score` are before the move.
+    function analyzeGame(replay, options = {}) {
+        const depth = options.depth || DEFAULT_DEPTH;
+        const threshold = options.blunderThreshold !== undefined ? options.blunderThreshold : DEFAULT_BLUNDER_THRESHOLD;
+        const config = Engine2048.createConfig(replay.settings);
+        let state = replay.initialBoard
+            ? Engine2048.newGameFromPosition(config, replay.settings.seed, replay.initialBoard, replay.initialScore || 0)
+            : Engine2048.newGame(config, replay.settings.seed);
+
+        const moves = [];
+        replay.moves.forEach((dir, i) => {
+            const result = Engine2048.applyMove(state, dir, config);
+            if (result.moved) {
+                const values = Engine2048.evaluateMoves(state.board, depth, { weights: options.weights, config: config });
+                const bestMove = Engine2048.pickBestMove(values);
+                const lossRatio = getLossRatio(state.board, values[bestMove], values[dir]);
+                moves.push({
+                    index: moves.length + 1,
+                    board: state.board,
+                    score: state.score,
+                    move: dir,
+                    values: values,
+                    bestMove: bestMove,
+                    lossRatio: lossRatio,
+                    blunder: lossRatio >= threshold
+                });
+                state = result.state;
+            }
+            if (options.onProgress) options.onProgress(i + 1, replay.moves.length);
+        });
+
+        return {
+            moves: moves,
+            blunders: moves.filter(m => m.blunder).map(m => m.index),
+            depth: depth,
+            finalBoard: state.board,
+            finalScore: state.score,
+            gameOver: state.gameOver
+        };
+    }
+
+    // Evaluation after each move for the graph: the best value of the
+    // position, i.e. what the position was worth before the move was made
+    function getEvaluationSeries(analysis) {
+        return analysis.moves.map(m => m.values[m.bestMove]);
+    }
+
+    const Analysis2048 = {
+        DEFAULT_DEPTH,
+        DEFAULT_BLUNDER_THRESHOLD,
+        LOSS_VALUE,
+        getLossRatio,
+        analyzeGame,
+        getEvaluationSeries
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Analysis2048;
+    } else {
+        root.Analysis2048 = Analysis2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
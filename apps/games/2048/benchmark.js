@@ -0,0 +1,189 @@
+/**
+ * 2048 Benchmark Harness
+ * Plays seeded games with every AI strategy on every grid size, without a
+ * browser, and writes the results as research dashboard records.
+ *
+ * Run via: node benchmark.js [options]
+ *
+ * Options:
+ *   --games N          Games per algorithm per grid size (default 5)
+ *   --algorithms A,B   Strategy ids (default: every registered strategy)
+ *   --grids 3,4,5      Grid sizes (default 3,4,5)
+ *   --seed N           Seed of the first game; game i uses seed + i (default 1)
+ *   --time MS          Per-move time budget (default: each strategy's fixed depth)
+ *   --max-moves N      Stop a game after N moves (default 5000)
+ *   --spawn MODE       random (default) or evil: every spawn is the worst tile
+ *                      for the player (see Engine2048.spawnAfterMove)
+ *   --network A,B      N-tuple weight files saved from the page for the learning
+ *                      agent (Rl), one per grid size (default: untrained)
+ *   --merge FILE       Append to the records of an existing dashboard_data.json
+ *   --out FILE         Write to FILE: .json as-is, .js as `const dashboardData = ...;`
+ *                      (default: JSON on stdout)
+ *
+ * Every algorithm plays the same seeds, so the spawn sequence only differs
+ * once their moves do.
+ */
+
+const fs = require('fs');
+const Engine2048 = require('./engine.js');
+const Strategies2048 = require('./strategies.js');
+const NTuple2048 = require('./ntuple.js');
+
+const DEFAULTS = {
+    games: 5,
+    algorithms: null,
+    grids: [3, 4, 5],
+    seed: 1,
+    time: 0,
+    maxMoves: 5000,
+    spawn: 'random',
+    networks: [],
+    merge: null,
+    out: null
+};
+
+// Names the research dashboard gives the algorithms (ALGO_NAMES in
+// dashboard.js), so merged records read like its own
+const DASHBOARD_NAMES = {
+    Mc: 'Monte Carlo',
+    E: 'Expectimax Tree',
+    Igs: 'IDDFS Graph Search',
+    Mm: 'Minimax Tree',
+    Rl: 'Reinforcement Learning'
+};
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--games': options.games = parseInt(value); i++; break;
+            case '--algorithms': options.algorithms = value.split(','); i++; break;
+            case '--grids': options.grids = value.split(',').map(Number); i++; break;
+            case '--seed': options.seed = parseInt(value); i++; break;
+            case '--time': options.time = parseInt(value); i++; break;
+            case '--max-moves': options.maxMoves = parseInt(value); i++; break;
+            case '--spawn': options.spawn = value; i++; break;
+            case '--network': options.networks = value.split(','); i++; break;
+            case '--merge': options.merge = value; i++; break;
+            case '--out': options.out = value; i++; break;
+            default: throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+
+    if (!options.algorithms) options.algorithms = Strategies2048.list().map(s => s.id);
+    for (const id of options.algorithms) {
+        if (!Strategies2048.get(id)) throw new Error(`Unknown algorithm "${id}"`);
+    }
+    for (const size of options.grids) {
+        if (!Engine2048.isValidGridSize(size)) throw new Error(`Grid size must be from ${Engine2048.MIN_GRID_SIZE} to ${Engine2048.MAX_GRID_SIZE}`);
+    }
+    if (!Engine2048.SPAWN_MODES.includes(options.spawn)) throw new Error(`--spawn must be one of ${Engine2048.SPAWN_MODES.join(', ')}`);
+    if (!(options.games > 0)) throw new Error('--games must be a positive number');
+    return options;
+}
+
+// Play one game to the end (or the move cap) and return its result
+function playGame(algorithm, gridSize, seed, options) {
+    const config = Engine2048.createConfig({ gridSize: gridSize, spawnMode: options.spawn });
+    let state = Engine2048.newGame(config, seed);
+
+    while (!state.gameOver && state.moves < options.maxMoves) {
+        const dir = Strategies2048.chooseMove(algorithm, state.board, {
+            config: config,
+            seed: (seed + state.moves) % 4294967296, // Monte Carlo rollouts stay reproducible
+            timeBudget: options.time || undefined
+        });
+        if (dir === -1) break;
+        state = Engine2048.applyMove(state, dir, config).state;
+    }
+
+    return {
+        score: state.score,
+        maxTile: Engine2048.getMaxTile(state.board),
+        moves: state.moves,
+        capped: !state.gameOver
+    };
+}
+
+function buildNotes(algorithm, gridSize, seed, result, options) {
+    const notes = [`Benchmark seed ${seed}`];
+    if (algorithm === 'Rl') notes.push(`${NTuple2048.getNetwork(gridSize).episodes} training games`);
+    if (options.time) notes.push(`${options.time} ms/move`);
+    if (options.spawn === 'evil') notes.push('evil spawner');
+    if (result.capped) notes.push(`stopped at ${options.maxMoves} moves`);
+    return notes.join(', ');
+}
+
+// onGame(record, ms) is called after every game
+function runBenchmark(options, firstIndex = 1, onGame = null) {
+    const records = [];
+    let index = firstIndex;
+
+    for (const gridSize of options.grids) {
+        for (const algorithm of options.algorithms) {
+            const name = DASHBOARD_NAMES[algorithm] || Strategies2048.get(algorithm).name;
+            for (let i = 0; i < options.games; i++) {
+                const seed = options.seed + i;
+                const started = Date.now();
+                const result = playGame(algorithm, gridSize, seed, options);
+
+                const record = {
+                    'Index': index++,
+                    'Algorithm': algorithm,
+                    'Full Name': name,
+                    'Grid Area': gridSize * gridSize,
+                    'Score': result.score,
+                    'Notes': buildNotes(algorithm, gridSize, seed, result, options),
+                    'Max Tile': result.maxTile,
+                    'Moves': result.moves
+                };
+                records.push(record);
+                if (onGame) onGame(record, Date.now() - started);
+            }
+        }
+    }
+    return records;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        for (const file of options.networks) {
+            NTuple2048.setNetwork(NTuple2048.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8'))));
+        }
+    } catch (err) {
+        console.error(`[Benchmark] ${err.message}`);
+        process.exit(1);
+    }
+
+    let data = { records: [], legends: [] };
+    if (options.merge) {
+        data = JSON.parse(fs.readFileSync(options.merge, 'utf8'));
+    }
+
+    const lastIndex = data.records.reduce((max, r) => Math.max(max, Number(r.Index) || 0), 0);
+    // Progress goes to stderr so stdout stays valid JSON
+    const records = runBenchmark(options, lastIndex + 1, (record, ms) => {
+        console.error(`${record['Full Name']} on ${record['Grid Area']} cells, ${record.Notes}: ` +
+            `score ${record.Score}, max tile ${record['Max Tile']}, ${record.Moves} moves (${ms} ms)`);
+    });
+    data.records = data.records.concat(records);
+    data.generatedAt = new Date().toISOString();
+
+    const json = JSON.stringify(data, null, 2);
+    if (!options.out) {
+        console.log(json);
+    } else if (options.out.endsWith('.js')) {
+        fs.writeFileSync(options.out, `const dashboardData = ${json};`);
+    } else {
+        fs.writeFileSync(options.out, json);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, playGame, runBenchmark };
@@ -0,0 +1,364 @@
+/**
+ * 2048 Bitboard - packed boards and row lookup tables for the AI search
+ *
+ * A board is stored as one integer per row, 4 bits per cell holding the
+ * tile's exponent (0 = empty, 1 = 2, 2 = 4, ... 15 = 32768), first column
+ * in the lowest bits. Every possible row is slid, merged and scored once
+ * when the tables are built, so a move is a table lookup per row (columns
+ * are transposed into rows first) instead of rotating nested arrays.
+ *
+ * Tables have 16^size entries, so only 3x3 and 4x4 boards are packed; the
+ * engine keeps using plain arrays for larger boards. Boards with a tile
+ * above 16384 are not packed either, so no merge can go past 32768 during
+ * a search.
+ *
+ * No DOM access and no dependencies: loads in the page (window.Bitboard2048),
+ * in Web Workers and in Node. engine.js picks it up when it is loaded first.
+ */
+(function (root) {
+    'use strict';
+
+    const SUPPORTED_SIZES = [3, 4];
+    const MAX_PACKED_TILE = 16384;
+    const LOSS_VALUE = -999999; // Same as Engine2048's expectimax
+
+    const tablesBySize = {};
+
+    // --- Packing ---
+
+    function canPack(grid) {
+        if (!SUPPORTED_SIZES.includes(grid.length)) return false;
+        for (const row of grid) {
+            if (row.length !== grid.length) return false;
+            for (const value of row) {
+                if (value > MAX_PACKED_TILE || (value !== 0 && (value & (value - 1)) !== 0)) return false;
+            }
+        }
+        return true;
+    }
+
+    function pack(grid) {
+        return grid.map(row => {
+            let line = 0;
+            for (let c = row.length - 1; c >= 0; c--) {
+                line = (line << 4) | (row[c] === 0 ? 0 : Math.log2(row[c]));
+            }
+            return line;
+        });
+    }
+
+    function unpack(rows, size) {
+        return rows.map(line => {
+            const row = [];
+            for (let c = 0; c < size; c++) {
+                const exponent = (line >> (4 * c)) & 15;
+                row.push(exponent === 0 ? 0 : 1 << exponent);
+            }
+            return row;
+        });
+    }
+
+    function transpose(rows, size) {
+        const cols = new Array(size).fill(0);
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                cols[c] |= ((rows[r] >> (4 * c)) & 15) << (4 * r);
+            }
+        }
+        return cols;
+    }
+
+    // --- Lookup Tables ---
+
+    function lineCells(line, size) {
+        const cells = [];
+        for (let i = 0; i < size; i++) cells.push((line >> (4 * i)) & 15);
+        return cells;
+    }
+
+    function cellsToLine(cells) {
+        let line = 0;
+        for (let i = cells.length - 1; i >= 0; i--) line = (line << 4) | cells[i];
+        return line;
+    }
+
+    function reverseLine(line, size) {
+        return cellsToLine(lineCells(line, size).reverse());
+    }
+
+    // Slide + merge one line toward cell 0, like Engine2048.slideLeft
+    function slideLine(cells) {
+        const filtered = cells.filter(e => e !== 0);
+        const merged = [];
+        let score = 0;
+        for (let i = 0; i < filtered.length; i++) {
+            if (i + 1 < filtered.length && filtered[i] === filtered[i + 1] && filtered[i] < 15) {
+                merged.push(filtered[i] + 1);
+                score += 1 << (filtered[i] + 1);
+                i++; // Skip next
+            } else {
+                merged.push(filtered[i]);
+            }
+        }
+        while (merged.length < cells.length) merged.push(0);
+        return { cells: merged, score: score };
+    }
+
+    // Per-line parts of Engine2048.evaluateTerms, in tile values
+    function lineTerms(cells) {
+        const values = cells.map(e => (e === 0 ? 0 : 1 << e));
+        let up = 0, down = 0, smoothness = 0, empty = 0, max = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] === 0) empty++;
+            if (values[i] > max) max = values[i];
+            if (i + 1 < values.length) {
+                const step = values[i + 1] - values[i];
+                if (step > 0) up += step; else down -= step;
+                if (values[i] !== 0 && values[i + 1] !== 0) smoothness -= Math.abs(step);
+            }
+        }
+        return { monotonicity: -Math.min(up, down), smoothness: smoothness, empty: empty, max: max };
+    }
+
+    // Snake weights relative to the corner, as in Engine2048.getWeightMatrix
+    function snakeWeights(size) {
+        const weights = [];
+        let exponent = size * size;
+        for (let r = 0; r < size; r++) {
+            const row = [];
+            for (let c = 0; c < size; c++) {
+                row.push(Math.pow(2, exponent-- - size * size));
+            }
+            weights.push(r % 2 === 0 ? row : row.reverse());
+        }
+        return weights;
+    }
+
+    function getTables(size) {
+        if (tablesBySize[size]) return tablesBySize[size];
+
+        const count = 1 << (4 * size);
+        const t = {
+            left: new Uint32Array(count),
+            right: new Uint32Array(count),
+            scoreLeft: new Uint32Array(count),
+            scoreRight: new Uint32Array(count),
+            monotonicity: new Float64Array(count),
+            smoothness: new Float64Array(count),
+            empty: new Uint8Array(count),
+            max: new Uint32Array(count),
+            snake: [] // One table per row index
+        };
+
+        const weights = snakeWeights(size);
+        for (let r = 0; r < size; r++) t.snake.push(new Float64Array(count));
+
+        for (let line = 0; line < count; line++) {
+            const cells = lineCells(line, size);
+            const slid = slideLine(cells);
+            t.left[line] = cellsToLine(slid.cells);
+            t.scoreLeft[line] = slid.score;
+
+            const terms = lineTerms(cells);
+            t.monotonicity[line] = terms.monotonicity;
+            t.smoothness[line] = terms.smoothness;
+            t.empty[line] = terms.empty;
+            t.max[line] = terms.max;
+
+            for (let r = 0; r < size; r++) {
+                let snake = 0;
+                for (let c = 0; c < size; c++) {
+                    if (cells[c] !== 0) snake += (1 << cells[c]) * weights[r][c];
+                }
+                t.snake[r][line] = snake;
+            }
+        }
+
+        // Sliding right is sliding the reversed line left
+        for (let line = 0; line < count; line++) {
+            const reversed = reverseLine(line, size);
+            t.right[line] = reverseLine(t.left[reversed], size);
+            t.scoreRight[line] = t.scoreLeft[reversed];
+        }
+
+        tablesBySize[size] = t;
+        return t;
+    }
+
+    // --- Moves ---
+
+    // Direction: 0:Up, 1:Right, 2:Down, 3:Left (same as Engine2048).
+    // Returns the new rows, or null if the move changes nothing.
+    function moveRows(rows, size, direction) {
+        const t = getTables(size);
+        const vertical = direction === 0 || direction === 2;
+        const table = direction === 0 || direction === 3 ? t.left : t.right;
+        const lines = vertical ? transpose(rows, size) : rows;
+
+        let moved = false;
+        const next = new Array(size);
+        for (let i = 0; i < size; i++) {
+            next[i] = table[lines[i]];
+            if (next[i] !== lines[i]) moved = true;
+        }
+        if (!moved) return null;
+        return vertical ? transpose(next, size) : next;
+    }
+
+    // Score gained by a move (sum of merged tiles)
+    function moveScore(rows, size, direction) {
+        const t = getTables(size);
+        const vertical = direction === 0 || direction === 2;
+        const table = direction === 0 || direction === 3 ? t.scoreLeft : t.scoreRight;
+        const lines = vertical ? transpose(rows, size) : rows;
+        let score = 0;
+        for (let i = 0; i < size; i++) score += table[lines[i]];
+        return score;
+    }
+
+    // Adapter with the same result shape as Engine2048.simulateMove
+    function simulateMove(grid, direction) {
+        const size = grid.length;
+        const rows = pack(grid);
+        const next = moveRows(rows, size, direction);
+        return {
+            board: unpack(next || rows, size),
+            moved: next !== null,
+            score: next ? moveScore(rows, size, direction) : 0
+        };
+    }
+
+    // --- Evaluation ---
+
+    // Raw terms, same values as Engine2048.evaluateTerms
+    function evaluateTerms(rows, size) {
+        const t = getTables(size);
+        const cols = transpose(rows, size);
+        const terms = { snake: 0, monotonicity: 0, smoothness: 0, emptyCells: 0, maxTile: 0 };
+        for (let i = 0; i < size; i++) {
+            terms.snake += t.snake[i][rows[i]];
+            terms.monotonicity += t.monotonicity[rows[i]] + t.monotonicity[cols[i]];
+            terms.smoothness += t.smoothness[rows[i]] + t.smoothness[cols[i]];
+            terms.emptyCells += t.empty[rows[i]];
+            if (t.max[rows[i]] > terms.maxTile) terms.maxTile = t.max[rows[i]];
+        }
+        return terms;
+    }
+
+    // `weights` must list every term (the engine fills in defaults)
+    function evaluate(rows, size, weights) {
+        const terms = evaluateTerms(rows, size);
+        return terms.snake * weights.snake +
+            terms.monotonicity * weights.monotonicity +
+            terms.smoothness * weights.smoothness +
+            terms.emptyCells * weights.emptyCells +
+            terms.maxTile * weights.maxTile;
+    }
+
+    // --- Expectimax ---
+    // Same tree and values as Engine2048.expectimax: player nodes take the
+    // best move, chance nodes average a 2 (0.9) or 4 (0.1) in every empty
+    // cell. Finished nodes are cached for the rest of the search.
+
+    // Rows as a short string, one char per row (rows fit in 16 bits)
+    function boardKey(rows) {
+        return String.fromCharCode.apply(null, rows);
+    }
+
+    function expectimax(rows, size, depth, isPlayer, search) {
+        if (depth === 0) return evaluate(rows, size, search.weights);
+
+        // The same board is often reached by different move orders; its
+        // value only depends on the board, the depth and the node type.
+        const slot = depth * 2 + (isPlayer ? 1 : 0);
+        const cache = search.cache[slot] || (search.cache[slot] = new Map());
+        const key = boardKey(rows);
+        const cached = cache.get(key);
+        if (cached !== undefined) return cached;
+
+        // Check the clock every 1024 nodes
+        if (search.deadline && (++search.nodes & 1023) === 0 && Date.now() > search.deadline) {
+            search.timedOut = true;
+        }
+        if (search.timedOut) return 0;
+
+        if (isPlayer) {
+            let bestScore = -Infinity;
+            for (let dir = 0; dir < 4; dir++) {
+                const next = moveRows(rows, size, dir);
+                if (next) {
+                    const score = expectimax(next, size, depth - 1, false, search);
+                    if (score > bestScore) bestScore = score;
+                }
+            }
+            const value = bestScore === -Infinity ? LOSS_VALUE : bestScore;
+            if (!search.timedOut) cache.set(key, value);
+            return value;
+        }
+
+        let empty = 0;
+        let total = 0;
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (((rows[r] >> (4 * c)) & 15) !== 0) continue;
+                empty++;
+                const with2 = rows.slice();
+                with2[r] |= 1 << (4 * c);
+                total += expectimax(with2, size, depth - 1, true, search) * 0.9;
+
+                const with4 = rows.slice();
+                with4[r] |= 2 << (4 * c);
+                total += expectimax(with4, size, depth - 1, true, search) * 0.1;
+            }
+        }
+        const value = empty === 0 ? evaluate(rows, size, search.weights) : total / empty;
+        if (!search.timedOut) cache.set(key, value);
+        return value;
+    }
+
+    // Same contract as Engine2048.evaluateMoves; options.weights must be complete
+    function evaluateMoves(grid, depth, options) {
+        const size = grid.length;
+        const rows = pack(grid);
+        const search = {
+            weights: options.weights,
+            deadline: options.deadline || 0,
+            cache: [], // Map per depth and node type: board key -> value
+            nodes: 0,
+            timedOut: false
+        };
+        const values = [null, null, null, null];
+
+        for (let dir = 0; dir < 4; dir++) {
+            const next = moveRows(rows, size, dir);
+            if (next) {
+                values[dir] = expectimax(next, size, depth - 1, false, search); // Next is Chance
+                if (search.timedOut) return null;
+            }
+        }
+        return values;
+    }
+
+    const Bitboard2048 = {
+        SUPPORTED_SIZES,
+        MAX_PACKED_TILE,
+        canPack,
+        pack,
+        unpack,
+        transpose,
+        getTables,
+        moveRows,
+        moveScore,
+        simulateMove,
+        evaluateTerms,
+        evaluate,
+        expectimax,
+        evaluateMoves
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Bitboard2048;
+    } else {
+        root.Bitboard2048 = Bitboard2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
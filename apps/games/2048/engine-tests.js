@@ -0,0 +1,749 @@
+/**
+ * 2048 Engine - Node Test Suite
+ * Exercises engine.js, bitboard.js, strategies.js, analysis.js, race.js,
+ * ntuple.js, scenarios.js, modes.js and benchmark.js without a browser:
+ * rules and rule variants, seeded RNG, the AI players, game analysis, race
+ * mode, the learning agent, the config scenarios, the game modes and the
+ * benchmark records.
+ *
+ * Run via: node engine-tests.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Engine2048 = require('./engine.js');
+const Bitboard2048 = require('./bitboard.js');
+const Strategies2048 = require('./strategies.js');
+const Analysis2048 = require('./analysis.js');
+const Race2048 = require('./race.js');
+const NTuple2048 = require('./ntuple.js');
+const Scenarios2048 = require('./scenarios.js');
+const Modes2048 = require('./modes.js');
+const Benchmark = require('./benchmark.js');
+
+// ============================================================================
+// Test Suite
+// ============================================================================
+let passCount = 0;
+let failCount = 0;
+
+function pass(testName, message) {
+    passCount++;
+    console.log(`✅ PASS: ${testName} - ${message}`);
+}
+
+function fail(testName, message) {
+    failCount++;
+    console.error(`❌ FAIL: ${testName} - ${message}`);
+}
+
+function check(condition, testName, message) {
+    if (condition) pass(testName, message);
+    else fail(testName, message);
+}
+
+function runTests() {
+    console.log("=".repeat(60));
+    console.log("2048 Engine - Node Test Suite");
+    console.log("=".repeat(60));
+    console.log("");
+
+    const config = Engine2048.createConfig();
+
+    // =========================================================================
+    // Test 1: Row Mechanics
+    // =========================================================================
+    console.log("--- Test 1: Row Mechanics ---");
+
+    check(JSON.stringify(Engine2048.slideRow([0, 2, 0, 2])) === JSON.stringify([2, 2, 0, 0]),
+        "Slide Row", "[0, 2, 0, 2] -> [2, 2, 0, 0]");
+    check(JSON.stringify(Engine2048.combineRow([2, 2, 4, 4])) === JSON.stringify([4, 0, 8, 0]),
+        "Combine Row", "[2, 2, 4, 4] -> [4, 0, 8, 0]");
+
+    const up = Engine2048.simulateMove([
+        [2, 0, 0, 0],
+        [2, 0, 0, 0],
+        [0, 0, 0, 0],
+        [0, 0, 0, 0]
+    ], 0);
+    check(up.moved && up.board[0][0] === 4 && up.score === 4, "Move Up", "Column [2, 2] merges into 4 for +4");
+
+    const blocked = Engine2048.simulateMove([
+        [2, 0, 0, 0],
+        [0, 0, 0, 0],
+        [0, 0, 0, 0],
+        [0, 0, 0, 0]
+    ], 3);
+    check(!blocked.moved, "No-op Move", "Moving left with tile on left edge does not move");
+
+    const traced = Engine2048.simulateMove([
+        [0, 0, 0, 0],
+        [2, 0, 0, 0],
+        [2, 0, 0, 4],
+        [0, 0, 0, 0]
+    ], 2, true);
+    const mergedMoves = traced.tiles.filter(t => t.merged);
+    check(traced.tiles.length === 3 && mergedMoves.length === 2 &&
+        mergedMoves.every(t => t.to.r === 3 && t.to.c === 0),
+        "Tile Tracking", "Moving down, both 2s end in the bottom-left cell as a merge");
+    check(traced.tiles.some(t => t.from.r === 2 && t.from.c === 3 && t.to.r === 3 && t.to.c === 3 && !t.merged),
+        "Tile Tracking", "The 4 slides from (2, 3) to (3, 3)");
+    check(Engine2048.simulateMove([[2, 0], [0, 0]], 1).tiles === undefined,
+        "Tile Tracking", "Tile moves are only listed when asked for");
+
+    // =========================================================================
+    // Test 2: Pure State Transitions
+    // =========================================================================
+    console.log("\n--- Test 2: Pure State Transitions ---");
+
+    const start = Engine2048.newGame(config, 12345);
+    const startBoard = JSON.stringify(start.board);
+    const tiles = start.board.flat().filter(v => v !== 0).length;
+    check(tiles === 2, "New Game", "Starts with two tiles");
+
+    let result = { state: start, moved: false };
+    for (const dir of Engine2048.DIRECTIONS) {
+        result = Engine2048.applyMove(start, dir, config);
+        if (result.moved) break;
+    }
+    check(JSON.stringify(start.board) === startBoard, "Immutability", "applyMove does not modify the input state");
+    check(result.moved && result.state.moves === 1 && result.spawn !== null,
+        "Apply Move", "Returns the next state with its spawn");
+
+    // =========================================================================
+    // Test 3: Seeded Determinism
+    // =========================================================================
+    console.log("\n--- Test 3: Seeded Determinism ---");
+
+    function play(seed, moves) {
+        let state = Engine2048.newGame(config, seed);
+        for (const dir of moves) {
+            state = Engine2048.applyMove(state, dir, config).state;
+        }
+        return state;
+    }
+
+    const moves = [3, 0, 1, 2, 3, 0, 1, 2];
+    check(JSON.stringify(play(42, moves)) === JSON.stringify(play(42, moves)),
+        "Determinism", "Same seed and moves produce the same state");
+    check(JSON.stringify(play(42, moves).board) !== JSON.stringify(play(99999, moves).board),
+        "Different Seeds", "Different seeds produce different boards");
+
+    // =========================================================================
+    // Test 4: Win / Loss / Validation
+    // =========================================================================
+    console.log("\n--- Test 4: Win / Loss / Validation ---");
+
+    check(Engine2048.isGameOver([
+        [2, 4, 2, 4],
+        [4, 2, 4, 2],
+        [2, 4, 2, 4],
+        [4, 2, 4, 2]
+    ]), "Game Over", "Full board with no merges is Game Over");
+    check(Engine2048.hasWon([[2048, 0, 0], [0, 0, 0], [0, 0, 0]], 2048), "Win", "2048 tile wins at winScore 2048");
+    check(Engine2048.validateBoard([[3, 0, 0], [0, 0, 0], [0, 0, 0]], 3).length === 1,
+        "Validation", "Tile 3 is reported as invalid");
+
+    // =========================================================================
+    // Test 5: AI
+    // =========================================================================
+    console.log("\n--- Test 5: Expectimax AI ---");
+
+    for (const size of [3, 4, 5]) {
+        const state = Engine2048.newGame(Engine2048.createConfig({ gridSize: size }), 7);
+        const best = Engine2048.getBestMove(state.board, 2);
+        check(Engine2048.DIRECTIONS.includes(best), "Best Move", `Returns a direction on ${size}x${size}`);
+    }
+
+    const valueBoard = Engine2048.newGame(config, 11).board;
+    const values = Engine2048.evaluateMoves(valueBoard, 3);
+    check(values.length === 4 && Engine2048.pickBestMove(values) === Engine2048.getBestMove(valueBoard, 3),
+        "Move Values", "The best of evaluateMoves is getBestMove's move");
+    check(Engine2048.evaluateMoves([[2, 0], [0, 0]], 2)[0] === null && Engine2048.evaluateMoves([[2, 0], [0, 0]], 2)[3] === null,
+        "Move Values", "Moves that do not change the board are null");
+
+    const openBoard = Engine2048.newGame(config, 7).board;
+    const began = Date.now();
+    const deepened = Engine2048.getBestMoveWithin(openBoard, 100);
+    const elapsed = Date.now() - began;
+    check(Engine2048.DIRECTIONS.includes(deepened.move) && deepened.depth > 1,
+        "Iterative Deepening", `Reached depth ${deepened.depth} within the budget`);
+    check(elapsed < 300, "Time Budget", `100 ms budget finished in ${elapsed} ms`);
+    check(Engine2048.getBestMove(openBoard, 20, { deadline: Date.now() + 20 }) === null,
+        "Deadline", "A search past its deadline returns null");
+
+    // =========================================================================
+    // Test 6: Heuristics
+    // =========================================================================
+    console.log("\n--- Test 6: Heuristics ---");
+
+    const terms = Engine2048.evaluateTerms([
+        [8, 4, 0],
+        [2, 0, 0],
+        [0, 0, 0]
+    ]);
+    check(terms.emptyCells === 6 && terms.maxTile === 8, "Count Terms", "6 empty cells, max tile 8");
+    check(terms.smoothness === -10, "Smoothness", "|8-4| + |8-2| = 10 penalty");
+    check(terms.monotonicity === 0, "Monotonicity", "Rows and columns falling from the corner are not penalized");
+    check(Engine2048.evaluateTerms([[2, 8, 2], [0, 0, 0], [0, 0, 0]]).monotonicity === -6,
+        "Monotonicity Penalty", "[2, 8, 2] rises 6 and falls 6");
+
+    const breakdown = Engine2048.evaluateBreakdown([[8, 4, 0], [2, 0, 0], [0, 0, 0]], { snake: 0, smoothness: 0, emptyCells: 10 });
+    check(breakdown.emptyCells === 60 && breakdown.total === 60 + breakdown.monotonicity + breakdown.maxTile,
+        "Breakdown", "Weighted terms add up to the total; missing weights use the defaults");
+    check(Engine2048.validateHeuristicWeights({ snake: 1, corner: 2 }).length === 1,
+        "Weight Validation", "Unknown terms are reported");
+
+    const weightsBoard = Engine2048.newGame(config, 21).board;
+    check(Engine2048.DIRECTIONS.includes(Engine2048.getBestMove(weightsBoard, 2, { weights: { snake: 0, emptyCells: 1 } })),
+        "Custom Weights", "Search runs with custom weights");
+
+    // =========================================================================
+    // Test 7: Strategy Registry
+    // =========================================================================
+    console.log("\n--- Test 7: Strategy Registry ---");
+
+    const stuck = [
+        [2, 4, 2, 4],
+        [4, 2, 4, 2],
+        [2, 4, 2, 4],
+        [4, 2, 4, 2]
+    ];
+    for (const { id, name } of Strategies2048.list()) {
+        let state = Engine2048.newGame(config, 31);
+        let legal = true;
+        for (let i = 0; i < 5 && !state.gameOver; i++) {
+            const dir = Strategies2048.chooseMove(id, state.board, { seed: 1 });
+            const next = Engine2048.applyMove(state, dir, config);
+            legal = legal && next.moved;
+            state = next.state;
+        }
+        check(legal, "Strategy Moves", `${name} (${id}) only picks moves that change the board`);
+        check(Strategies2048.chooseMove(id, stuck) === -1, "Strategy No Move", `${id} returns -1 when stuck`);
+    }
+
+    for (const { id } of Strategies2048.list()) {
+        const t0 = Date.now();
+        const dir = Strategies2048.chooseMove(id, openBoard, { timeBudget: 50, seed: 1 });
+        const ms = Date.now() - t0;
+        check(Engine2048.DIRECTIONS.includes(dir) && ms < 250, "Strategy Budget", `${id} answers within a 50 ms budget (${ms} ms)`);
+    }
+
+    const analysis = Strategies2048.analyze('Mc', openBoard, { seed: 3, rollouts: 5 });
+    check(Engine2048.DIRECTIONS.includes(analysis.move) && analysis.values.length === 4 && analysis.depth === 3,
+        "Analyze", "Strategy move plus depth-3 Expectimax values");
+
+    // Monte Carlo and the values search stubbed out on a clock that only
+    // moves when the stub takes its 40 ms
+    const mcStrategy = Strategies2048.get('Mc');
+    const realChooseMove = mcStrategy.chooseMove;
+    const realEvaluateWithin = Engine2048.evaluateMovesWithin;
+    const realNow = Date.now;
+    const budgets = {};
+    let clock = 0;
+    let timedAnalysis;
+    Date.now = () => clock;
+    mcStrategy.chooseMove = (board, options) => {
+        budgets.move = options.timeBudget;
+        clock += 40;
+        return 2;
+    };
+    Engine2048.evaluateMovesWithin = (board, timeBudget) => {
+        budgets.values = timeBudget;
+        return { values: [0, 0, 0, 0], depth: 1 };
+    };
+    try {
+        timedAnalysis = Strategies2048.analyze('Mc', openBoard, { timeBudget: 100 });
+    } finally {
+        Date.now = realNow;
+        mcStrategy.chooseMove = realChooseMove;
+        Engine2048.evaluateMovesWithin = realEvaluateWithin;
+    }
+    check(timedAnalysis.move === 2 && budgets.move === 50 && budgets.values === 60,
+        "Analyze Budget", `Strategy move gets half of a 100 ms budget and the values what it leaves (${budgets.move} and ${budgets.values} ms)`);
+
+    const mcBoard = Engine2048.newGame(config, 8).board;
+    check(Strategies2048.chooseMove('Mc', mcBoard, { seed: 5 }) === Strategies2048.chooseMove('Mc', mcBoard, { seed: 5 }),
+        "Monte Carlo Seed", "Same rollout seed picks the same move");
+    check(Strategies2048.chooseMove('Missing', mcBoard) === Engine2048.getBestMove(mcBoard, 3),
+        "Fallback", "Unknown ids fall back to Expectimax");
+
+    // =========================================================================
+    // Test 8: Benchmark Records
+    // =========================================================================
+    console.log("\n--- Test 8: Benchmark Records ---");
+
+    const benchOptions = Benchmark.parseArgs(['--games', '2', '--algorithms', 'E,Mc', '--grids', '3', '--max-moves', '15']);
+    const records = Benchmark.runBenchmark(benchOptions, 10);
+    const fields = ['Index', 'Algorithm', 'Full Name', 'Grid Area', 'Score', 'Notes', 'Max Tile', 'Moves'];
+    check(records.length === 4, "Record Count", "2 games x 2 algorithms x 1 grid size");
+    check(records.every(r => fields.every(f => f in r)), "Record Schema", "Records carry the dashboard fields plus Max Tile and Moves");
+    check(records[0].Index === 10 && records[0]['Grid Area'] === 9 && records[0].Moves <= 15,
+        "Record Values", "Index continues from the given start, Grid Area is the cell count, move cap applies");
+    check(JSON.stringify(Benchmark.runBenchmark(benchOptions)) === JSON.stringify(Benchmark.runBenchmark(benchOptions)),
+        "Benchmark Determinism", "Same options produce the same records");
+
+    const expectimax = Strategies2048.get('E');
+    const realExpectimaxMove = expectimax.chooseMove;
+    const benchSpawnModes = new Set();
+    let evilRecords;
+    expectimax.chooseMove = (board, options) => {
+        benchSpawnModes.add(options.config && options.config.spawnMode);
+        return realExpectimaxMove(board, options);
+    };
+    try {
+        evilRecords = Benchmark.runBenchmark(Benchmark.parseArgs(['--games', '1', '--algorithms', 'E,Rl', '--grids', '3', '--max-moves', '5', '--spawn', 'evil']));
+    } finally {
+        expectimax.chooseMove = realExpectimaxMove;
+    }
+    check([...benchSpawnModes].join() === 'evil' && evilRecords.map(r => r['Full Name']).join() === 'Expectimax Tree,Reinforcement Learning',
+        "Benchmark Config", "Strategies search with the benchmark's config, and records use the dashboard's names");
+
+    let rejected = false;
+    try {
+        Benchmark.parseArgs(['--algorithms', 'Nope']);
+    } catch (err) {
+        rejected = true;
+    }
+    check(rejected, "Benchmark Options", "Unknown algorithms are rejected");
+
+    // =========================================================================
+    // Test 9: Bitboard
+    // =========================================================================
+    console.log("\n--- Test 9: Bitboard ---");
+
+    const packBoard = [
+        [2, 0, 4, 4],
+        [0, 16384, 8, 0],
+        [2, 2, 2, 2],
+        [0, 0, 0, 1024]
+    ];
+    check(JSON.stringify(Bitboard2048.unpack(Bitboard2048.pack(packBoard), 4)) === JSON.stringify(packBoard),
+        "Pack Round Trip", "unpack(pack(board)) gives the board back");
+    check(Bitboard2048.canPack(packBoard) && !Bitboard2048.canPack([[32768, 0, 0], [0, 0, 0], [0, 0, 0]]) &&
+        !Bitboard2048.canPack(Engine2048.createEmptyBoard(5)),
+        "Can Pack", "3x3 and 4x4 boards up to 16384 pack; bigger tiles and boards do not");
+
+    // Random positions: every move and every term must match the array engine
+    const bbRng = new Engine2048.SeededRandom(5);
+    let moveMismatches = 0;
+    let termMismatches = 0;
+    for (let i = 0; i < 100; i++) {
+        const size = i % 2 === 0 ? 4 : 3;
+        const board = Engine2048.createEmptyBoard(size);
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (bbRng.next() > 0.3) board[r][c] = Math.pow(2, 1 + Math.floor(bbRng.next() * 4));
+            }
+        }
+        for (const dir of Engine2048.DIRECTIONS) {
+            if (JSON.stringify(Bitboard2048.simulateMove(board, dir)) !== JSON.stringify(Engine2048.simulateMove(board, dir))) {
+                moveMismatches++;
+            }
+        }
+        const arrayTerms = Engine2048.evaluateTerms(board);
+        const packedTerms = Bitboard2048.evaluateTerms(Bitboard2048.pack(board), size);
+        if (Engine2048.HEURISTIC_TERMS.some(t => Math.abs(arrayTerms[t] - packedTerms[t]) > 1e-9)) termMismatches++;
+    }
+    check(moveMismatches === 0, "Packed Moves", `400 random moves match simulateMove (${moveMismatches} mismatches)`);
+    check(termMismatches === 0, "Packed Terms", `100 random boards match evaluateTerms (${termMismatches} mismatches)`);
+
+    const sameValues = (a, b) => a.every((v, d) => (v === null ? b[d] === null : Math.abs(v - b[d]) <= 1e-9 * Math.abs(v)));
+    let searchBoard = Engine2048.newGame(config, 3);
+    for (let i = 0; i < 40; i++) {
+        searchBoard = Engine2048.applyMove(searchBoard, Engine2048.getBestMove(searchBoard.board, 2), config).state;
+    }
+    const customWeights = { snake: 0.5, smoothness: 1, maxTile: 2 };
+    check(sameValues(Engine2048.evaluateMoves(searchBoard.board, 3), Engine2048.evaluateMoves(searchBoard.board, 3, { packed: false })) &&
+        sameValues(Engine2048.evaluateMoves(searchBoard.board, 3, { weights: customWeights }),
+            Engine2048.evaluateMoves(searchBoard.board, 3, { weights: customWeights, packed: false })),
+        "Packed Search", "Depth-3 move values match the array search, with default and custom weights");
+
+    let started = Date.now();
+    const arrayDepth = Engine2048.evaluateMovesWithin(searchBoard.board, 100, { packed: false }).depth;
+    const arrayMs = Date.now() - started;
+    started = Date.now();
+    const packedDepth = Engine2048.evaluateMovesWithin(searchBoard.board, 100).depth;
+    const packedMs = Date.now() - started;
+    check(packedDepth > arrayDepth, "Deeper Search",
+        `100 ms reaches depth ${packedDepth} packed vs ${arrayDepth} on arrays (${packedMs} / ${arrayMs} ms)`);
+
+    // =========================================================================
+    // Test 10: Game Analysis
+    // =========================================================================
+    console.log("\n--- Test 10: Game Analysis ---");
+
+    // Best moves at depth 2, except a move into the worst direction every
+    // tenth move. The replay also gets every move that does nothing.
+    let reviewState = Engine2048.newGame(config, 17);
+    const reviewMoves = [];
+    const worstMoves = [];
+    const replayMoves = [];
+    while (!reviewState.gameOver && reviewMoves.length < 60) {
+        const moveValues = Engine2048.evaluateMoves(reviewState.board, 2);
+        replayMoves.push(...Engine2048.DIRECTIONS.filter(d => moveValues[d] === null));
+        let dir = Engine2048.pickBestMove(moveValues);
+        if (reviewMoves.length % 10 === 9) {
+            dir = Engine2048.DIRECTIONS.filter(d => moveValues[d] !== null)
+                .reduce((worst, d) => (moveValues[d] < moveValues[worst] ? d : worst));
+            if (dir !== Engine2048.pickBestMove(moveValues)) worstMoves.push(reviewMoves.length + 1);
+        }
+        reviewMoves.push(dir);
+        replayMoves.push(dir);
+        reviewState = Engine2048.applyMove(reviewState, dir, config).state;
+    }
+    const reviewReplay = { settings: { gridSize: 4, seed: 17, prob4: 0.1, winScore: 2048 }, moves: reviewMoves };
+    const progress = [];
+    const review = Analysis2048.analyzeGame(reviewReplay, {
+        depth: 2,
+        onProgress: (done, total) => progress.push(done + '/' + total)
+    });
+
+    check(review.moves.length === reviewMoves.length && review.finalScore === reviewState.score,
+        "Replay", `${review.moves.length} moves replayed to the same final score`);
+    check(review.moves.every(m => (m.move === m.bestMove) === (m.lossRatio === 0)),
+        "Loss Ratio", "Best moves lose nothing, other moves lose something");
+    // Early on the board is open and even the worst move costs little
+    check(review.blunders.length > 0 && review.blunders.every(index => worstMoves.includes(index)),
+        "Blunders", `Blunders ${review.blunders.join(', ')} are among the moves into the worst direction (${worstMoves.join(', ')})`);
+    check(progress.length === reviewMoves.length && progress[progress.length - 1] === `${reviewMoves.length}/${reviewMoves.length}`,
+        "Progress", "onProgress is called after every move");
+    check(Analysis2048.getEvaluationSeries(review).every((v, i) => v === review.moves[i].values[review.moves[i].bestMove]),
+        "Evaluation Series", "The graph follows the best value of every position");
+    check(replayMoves.length > reviewMoves.length &&
+        JSON.stringify(Analysis2048.analyzeGame({ ...reviewReplay, moves: replayMoves }, { depth: 2 }).blunders) === JSON.stringify(review.blunders),
+        "No-op Moves", `${replayMoves.length - reviewMoves.length} moves that do not change the board are skipped`);
+
+    // =========================================================================
+    // Test 11: Evil Spawner & Minimax
+    // =========================================================================
+    console.log("\n--- Test 11: Evil Spawner & Minimax ---");
+
+    // Only (2, 2) is free: a 2 there ends the game, a 4 would merge
+    const trapBoard = [
+        [2, 4, 2],
+        [4, 2, 4],
+        [2, 4, 0]
+    ];
+    check(JSON.stringify(Engine2048.getWorstSpawn(trapBoard)) === JSON.stringify({ r: 2, c: 2, value: 2 }),
+        "Worst Spawn", "Picks the tile that leaves no move");
+    check(Engine2048.getWorstSpawn([[2, 4, 2], [4, 2, 4], [2, 4, 2]]) === null, "Full Board", "No spawn on a full board");
+    check(Engine2048.getSpawnOptions(trapBoard).length === 2, "Spawn Options", "One empty cell gives a 2 and a 4");
+
+    const evilConfig = Engine2048.createConfig({ spawnMode: 'evil' });
+    const evilStart = Engine2048.newGame(evilConfig, 5);
+    const evilStep = Engine2048.applyMove(evilStart, Engine2048.getBestMove(evilStart.board, 2), evilConfig);
+    const sim = Engine2048.simulateMove(evilStart.board, Engine2048.getBestMove(evilStart.board, 2));
+    check(JSON.stringify(evilStep.spawn) === JSON.stringify(Engine2048.getWorstSpawn(sim.board)) &&
+        evilStep.state.rngState === evilStart.rngState,
+        "Evil applyMove", "Spawns the worst tile without advancing the RNG");
+    check(JSON.stringify(evilStart.board) === JSON.stringify(Engine2048.newGame(config, 5).board),
+        "Evil Opening", "The two opening tiles are still random");
+
+    // Same seed and player: the evil spawner ends the game sooner
+    const playOut = (spawnMode) => {
+        const cfg = Engine2048.createConfig({ gridSize: 3, spawnMode: spawnMode });
+        let state = Engine2048.newGame(cfg, 2);
+        while (!state.gameOver && state.moves < 500) {
+            state = Engine2048.applyMove(state, Engine2048.getBestMove(state.board, 2), cfg).state;
+        }
+        return state;
+    };
+    const randomGame = playOut('random');
+    const evilGame = playOut('evil');
+    check(evilGame.gameOver && evilGame.score < randomGame.score,
+        "Evil Spawner", `3x3 Expectimax scores ${evilGame.score} against the evil spawner, ${randomGame.score} against random spawns`);
+
+    // The worst case can never beat the average
+    const minimaxValues = Engine2048.evaluateMovesMinimax(searchBoard.board, 3);
+    const expectedValues = Engine2048.evaluateMoves(searchBoard.board, 3);
+    check(minimaxValues.every((v, d) => (v === null ? expectedValues[d] === null : v <= expectedValues[d] + 1e-9)),
+        "Minimax Values", "Minimax values are at most the Expectimax values of the same moves");
+    check(Strategies2048.get('Mm') !== null &&
+        Engine2048.DIRECTIONS.includes(Strategies2048.chooseMove('Mm', Engine2048.newGame(config, 4).board)) &&
+        Engine2048.DIRECTIONS.includes(Strategies2048.chooseMove('Mm', Engine2048.newGame(config, 4).board, { timeBudget: 50 })),
+        "Minimax Strategy", "Mm picks a move at a fixed depth and within a time budget");
+
+    // =========================================================================
+    // Test 12: Race Mode
+    // =========================================================================
+    console.log("\n--- Test 12: Race Mode ---");
+
+    const race = Race2048.createRace({ seed: 77, controllers: ['keys', 'ai'] });
+    check(JSON.stringify(race.players[0].state) === JSON.stringify(race.players[1].state) &&
+        JSON.stringify(race.players[0].state.board) === JSON.stringify(Engine2048.newGame(race.config, 77).board),
+        "Race Start", "Both boards start from the same seeded game");
+
+    const keyMoves = ['w', 'D', 'ArrowLeft', 'ArrowDown', 'x'].map(Race2048.getKeyMove);
+    check(JSON.stringify(keyMoves) === JSON.stringify([
+        { player: 0, direction: 0 }, { player: 0, direction: 1 },
+        { player: 1, direction: 3 }, { player: 1, direction: 2 }, null
+    ]), "Race Keys", "WASD drives the left board, arrow keys the right one");
+
+    let threw = false;
+    try { Race2048.createRace({ controllers: ['keys', 'mouse'] }); } catch (e) { threw = true; }
+    check(threw, "Race Controllers", "Unknown controllers are rejected");
+
+    // Moves on one board leave the other alone
+    const firstMove = Engine2048.DIRECTIONS.find(d => Engine2048.simulateMove(race.players[0].state.board, d).board
+        .some((row, r) => row.some((v, c) => v !== race.players[0].state.board[r][c])));
+    const before = JSON.stringify(race.players[1].state);
+    check(Race2048.playMove(race, 0, firstMove) && race.players[0].state.moves === 1 &&
+        JSON.stringify(race.players[1].state) === before,
+        "Race Independence", "A move on board 1 does not touch board 2");
+
+    // Same seed, same moves: the boards stay identical
+    Race2048.playMove(race, 1, firstMove);
+    check(JSON.stringify(race.players[0].state) === JSON.stringify(race.players[1].state),
+        "Race Same Spawns", "Identical moves give identical spawns on both boards");
+
+    // Play both boards out on 3x3: no winner until both are over
+    const smallRace = Race2048.createRace({ seed: 3, config: { gridSize: 3 }, controllers: ['ai', 'ai'] });
+    const playOutBoard = (player, strategy) => {
+        let guard = 0;
+        while (!smallRace.players[player].state.gameOver && guard++ < 2000) {
+            Race2048.playMove(smallRace, player, Strategies2048.chooseMove(strategy, smallRace.players[player].state.board));
+        }
+    };
+    playOutBoard(0, 'E');
+    const midResult = Race2048.getResult(smallRace);
+    check(!midResult.finished && midResult.winner === null && !Race2048.playMove(smallRace, 0, 0),
+        "Race Unfinished", "One finished board does not decide the race and takes no more moves");
+    playOutBoard(1, 'Mc');
+    const raceResult = Race2048.getResult(smallRace);
+    const expectedWinner = raceResult.scores[0] === raceResult.scores[1] ? null : (raceResult.scores[0] > raceResult.scores[1] ? 0 : 1);
+    check(raceResult.finished && raceResult.winner === expectedWinner &&
+        raceResult.moves[0] === smallRace.players[0].state.moves,
+        "Race Result", `Scores ${raceResult.scores.join(' vs ')}, winner ${raceResult.winner === null ? 'none (draw)' : 'player ' + (raceResult.winner + 1)}`);
+
+    // Equal scores are a draw
+    const drawRace = Race2048.createRace({ seed: 9 });
+    drawRace.players.forEach(p => { p.state = { ...p.state, gameOver: true }; });
+    check(Race2048.getResult(drawRace).winner === null && Race2048.isFinished(drawRace),
+        "Race Draw", "Equal scores on two finished boards are a draw");
+
+    // =========================================================================
+    // Test 13: N-Tuple Learning Agent
+    // =========================================================================
+    console.log("\n--- Test 13: N-Tuple Learning Agent ---");
+
+    // Untrained, the agent takes the biggest merge
+    const greedyBoard = [[2, 2, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [64, 0, 0, 64]];
+    check([1, 3].includes(NTuple2048.chooseMove(NTuple2048.createNetwork(4), greedyBoard)),
+        "Untrained Agent", "An untrained network plays for the largest merge score");
+
+    const rlNet = NTuple2048.createNetwork(3);
+    const rlTrainer = NTuple2048.createTrainer(rlNet, { seed: 11 });
+    const early = rlTrainer.train(100).averageScore;
+    rlTrainer.train(1400);
+    const late = rlTrainer.train(100);
+    check(late.episodes === 1600 && late.games === 1600 && late.averageScore > early,
+        "TD Training", `3x3 average score rises from ${Math.round(early)} to ${Math.round(late.averageScore)} over 1600 self-play games`);
+
+    // The 8 placements make the value symmetric
+    const asymmetric = [[2, 4, 8], [0, 16, 0], [32, 0, 2]];
+    const rotated = Engine2048.rotateBoard(asymmetric, 1);
+    const mirrored = asymmetric.map(row => row.slice().reverse());
+    const baseValue = NTuple2048.evaluate(rlNet, asymmetric);
+    check(baseValue !== 0 && Math.abs(NTuple2048.evaluate(rlNet, rotated) - baseValue) < 1e-3 &&
+        Math.abs(NTuple2048.evaluate(rlNet, mirrored) - baseValue) < 1e-3,
+        "Symmetric Value", "Rotated and mirrored boards have the same value");
+
+    const saved = JSON.parse(JSON.stringify(NTuple2048.toJSON(rlNet)));
+    const reloaded = NTuple2048.fromJSON(saved);
+    check(reloaded.episodes === 1600 && Math.abs(NTuple2048.evaluate(reloaded, asymmetric) - baseValue) < 0.1 &&
+        NTuple2048.chooseMove(reloaded, asymmetric) === NTuple2048.chooseMove(rlNet, asymmetric),
+        "Weights JSON", "Saved weights load back with the same values and moves");
+
+    const rejects = (data) => { try { NTuple2048.fromJSON(data); return false; } catch (e) { return true; } };
+    check(rejects({}) && rejects({ ...saved, version: 2 }) && rejects({ ...saved, size: 9 }) &&
+        rejects({ ...saved, tuples: [[[0, 5]]] }) && rejects({ ...saved, weights: saved.weights.slice(1) }) &&
+        rejects({ ...saved, weights: [[1, 2]].concat(saved.weights.slice(1)) }),
+        "Weights Validation", "Wrong format, version, size, tuples or table lengths are rejected");
+
+    NTuple2048.setNetwork(rlNet);
+    check(Strategies2048.chooseMove('Rl', asymmetric) === NTuple2048.chooseMove(rlNet, asymmetric) &&
+        Strategies2048.chooseMove('Rl', asymmetric, { network: NTuple2048.createNetwork(3) }) ===
+        NTuple2048.chooseMove(NTuple2048.createNetwork(3), asymmetric) &&
+        Strategies2048.chooseMove('Rl', [[2, 4, 2], [4, 2, 4], [2, 4, 2]]) === -1,
+        "Rl Strategy", "Rl plays with the network set for the board size, or options.network");
+
+    // =========================================================================
+    // Test 14: Set-up Positions
+    // =========================================================================
+    console.log("\n--- Test 14: Set-up Positions ---");
+
+    const setupBoard = [[2, 2, 0, 0], [0, 8, 0, 0], [0, 0, 0, 0], [0, 0, 0, 2048]];
+    const setupState = Engine2048.newGameFromPosition(config, 321, setupBoard, 500);
+    check(JSON.stringify(setupState.board) === JSON.stringify(setupBoard) && setupState.board !== setupBoard &&
+        setupState.score === 500 && setupState.rngState === 321 && setupState.gameWon && !setupState.gameOver,
+        "Position State", "A set-up position keeps its board and score, with no opening spawns");
+    check(Engine2048.newGameFromPosition(config, 1, [[2, 4, 2, 4], [4, 2, 4, 2], [2, 4, 2, 4], [4, 2, 4, 2]]).gameOver,
+        "Position Game Over", "A stuck position is over from the start");
+
+    const setupReplay = { settings: { gridSize: 4, seed: 321 }, initialBoard: setupBoard, initialScore: 500, moves: [3, 0, 1] };
+    const setupReview = Analysis2048.analyzeGame(setupReplay, { depth: 1 });
+    let setupFinal = setupState;
+    setupReplay.moves.forEach(dir => { setupFinal = Engine2048.applyMove(setupFinal, dir, config).state; });
+    check(JSON.stringify(setupReview.moves[0].board) === JSON.stringify(setupBoard) && setupReview.moves[0].score === 500 &&
+        setupReview.finalScore === setupFinal.score,
+        "Position Analysis", "Analysis replays a set-up game from its initial board");
+
+    // =========================================================================
+    // Test 15: Config Scenarios
+    // =========================================================================
+    console.log("\n--- Test 15: Config Scenarios ---");
+
+    const sampleDir = path.join(__dirname, 'sample configuration files');
+    for (const file of fs.readdirSync(sampleDir)) {
+        const report = Scenarios2048.runScenarios(JSON.parse(fs.readFileSync(path.join(sampleDir, file), 'utf8')));
+        check(report.failed === 0, "Sample Config",
+            `${file}: ${report.passed} of ${report.results.length} checks passed`);
+    }
+
+    const scenarioBoard = [[2, 2, 4, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+    const scenarioReport = Scenarios2048.runScenarios({
+        settings: { gridSize: 4 },
+        testScenarios: [
+            { name: 'Left', initialBoard: scenarioBoard, expectedMergeResult: { direction: 'LEFT', resultBoard: [[4, 4, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], scoreGain: 4 } },
+            { name: 'Right', initialBoard: scenarioBoard, expectedMergeResult: { direction: 1, resultBoard: [[0, 0, 4, 4], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], scoreGain: 8 } },
+            { name: 'Bad', initialBoard: [[3, 0], [0, 0]], expectedMergeResult: { direction: 'sideways' } }
+        ]
+    });
+    check(scenarioReport.results.map(r => r.passed).join() === 'true,true,true,false,false,false' &&
+        scenarioReport.results[3].message === 'Score gain 4, expected 8',
+        "Scenario Results", "Each scenario's board and move are checked, with the reason for a failure");
+    check(Scenarios2048.parseDirection('up') === 0 && Scenarios2048.parseDirection(3) === 3 && Scenarios2048.parseDirection('north') === -1,
+        "Scenario Directions", "Directions are read as names or 0-3");
+    const rulesReport = Scenarios2048.runScenarios({ validationRules: { onlyPowersOfTwo: false, minTileValue: 2, maxTileValue: 2048 } });
+    check(rulesReport.failed === 1 && /rejects 3/.test(rulesReport.results[0].message) && /accepts 4096/.test(rulesReport.results[0].message),
+        "Scenario Rules", "Validation rules the engine does not follow are reported");
+    const fibRulesReport = Scenarios2048.runScenarios({
+        settings: { mergeRule: 'fibonacci' },
+        validationRules: { minTileValue: 1, maxTileValue: 121393 }
+    });
+    check(fibRulesReport.failed === 0,
+        "Scenario Rule Variant", "Validation rules are checked against the engine under the config's merge rule");
+    const malformedReport = Scenarios2048.runScenarios({ testScenarios: null });
+    const brokenReport = Scenarios2048.runScenarios({ testScenarios: [null, 3] });
+    check(malformedReport.results.length === 0 &&
+        brokenReport.results.map(r => r.passed).join() === 'false,false' &&
+        brokenReport.results[0].message === 'Scenario must be an object',
+        "Scenario Entries", "Missing scenarios have no results, and entries that are not objects fail");
+
+    // =========================================================================
+    // Test 16: Rule Variants
+    // =========================================================================
+    console.log("\n--- Test 16: Rule Variants ---");
+
+    const fib = Engine2048.createConfig({ mergeRule: 'fibonacci' });
+    check(JSON.stringify(Engine2048.combineRow([1, 1, 2, 3], fib)) === JSON.stringify([2, 0, 5, 0]) &&
+        JSON.stringify(Engine2048.combineRow([2, 2, 3, 0], fib)) === JSON.stringify([2, 5, 0, 0]) &&
+        Engine2048.simulateMove([[1, 1, 2, 3]], 3, false, fib).score === 7,
+        "Fibonacci Merges", "Neighbours in the sequence merge (1+1, 2+3), equal tiles above 1 do not");
+    check(Engine2048.validateBoard([[1, 3], [5, 0]], 2, fib).length === 0 &&
+        Engine2048.validateBoard([[4, 0], [0, 0]], 2, fib).length === 1 &&
+        Engine2048.validateBoard([[1, 0], [0, 0]], 2).length === 1,
+        "Fibonacci Tiles", "Boards are checked against the tiles of the merge rule");
+
+    const blockerRules = Engine2048.createConfig({ blockers: [[0, 1]] });
+    const blockedMove = Engine2048.simulateMove([[0, -1, 2, 2], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 3, false, blockerRules);
+    check(JSON.stringify(blockedMove.board[0]) === JSON.stringify([0, -1, 4, 0]) && blockedMove.score === 4,
+        "Blockers", "Tiles stop against a blocker, which stays in place");
+    check(Engine2048.createBoard(blockerRules)[0][1] === Engine2048.BLOCKER &&
+        Engine2048.newGame(blockerRules, 4).board[0][1] === Engine2048.BLOCKER &&
+        Engine2048.validateBoard([[0, 0, 2, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], 4, blockerRules).length === 1,
+        "Blocker Cells", "New games start with the blockers, and boards without them are invalid");
+    check(Engine2048.isGameOver([[2, -1], [4, 8]], Engine2048.createConfig({ blockers: [[0, 1]] })) &&
+        !Engine2048.isGameOver([[1, -1], [2, 3]], Engine2048.createConfig({ mergeRule: 'fibonacci', blockers: [[0, 1]] })),
+        "Variant Game Over", "Game over follows the blockers and the merge rule");
+    check(Engine2048.validateBlockers([[0, 0], [0, 0]], 4).length === 1 &&
+        Engine2048.validateBlockers([[0, 0], [0, 1], [1, 0]], 2).length === 1 &&
+        Engine2048.validateBlockers([[3, 3]], 4).length === 0,
+        "Blocker Validation", "Repeated cells and boards with fewer than two free cells are refused");
+
+    const weighted = Engine2048.createConfig({ spawnWeights: { 2: 1, 8: 1 } });
+    const spawned = new Set();
+    let spawnState = 11;
+    for (let i = 0; i < 40; i++) {
+        const result = Engine2048.spawnTile(Engine2048.createEmptyBoard(4), spawnState, weighted);
+        spawnState = result.rngState;
+        spawned.add(result.spawn.value);
+    }
+    check([...spawned].sort((a, b) => a - b).join() === '2,8' &&
+        Engine2048.validateSpawnWeights({ 3: 1 }, 'classic').length === 1 &&
+        Engine2048.validateSpawnWeights({ 2: 0 }).length === 1,
+        "Spawn Weights", "Spawns follow the weights; other tiles and all-zero weights are refused");
+    check(Engine2048.spawnTile(Engine2048.createEmptyBoard(4), 42, Engine2048.createConfig()).board.flat().join() ===
+        Engine2048.spawnTile(Engine2048.createEmptyBoard(4), 42, 0.1).board.flat().join(),
+        "Classic Spawns", "A classic config spawns exactly as prob4 does");
+
+    const endless = Engine2048.createConfig({ endless: true, winScore: 64 });
+    check(Engine2048.getTarget([[32, 0], [0, 0]], endless) === 64 &&
+        Engine2048.getTarget([[64, 0], [0, 0]], endless) === 128 &&
+        Engine2048.getTarget([[64, 0], [0, 0]], Engine2048.createConfig({ winScore: 64 })) === 64 &&
+        Engine2048.getTarget([[13, 0], [0, 0]], { ...fib, endless: true, winScore: 10 }) === 21,
+        "Endless Target", "Past the win tile the target is the next tile up");
+
+    const variantBoard = [[1, 1, -1, 0], [2, 3, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+    const variantRules = Engine2048.createConfig({ mergeRule: 'fibonacci', blockers: [[0, 2]], spawnWeights: { 1: 1 } });
+    const variantDir = Strategies2048.chooseMove('Mm', variantBoard, { depth: 2, config: variantRules });
+    const variantValues = Engine2048.evaluateMoves(variantBoard, 2, { config: variantRules });
+    check(Engine2048.simulateMove(variantBoard, variantDir, false, variantRules).moved &&
+        variantValues.every((v, dir) => (v === null) === !Engine2048.simulateMove(variantBoard, dir, false, variantRules).moved),
+        "Variant Search", "The AI searches the moves the variant allows");
+
+    // =========================================================================
+    // Test 17: Game Modes
+    // =========================================================================
+    console.log("\n--- Test 17: Game Modes ---");
+
+    const noon = Date.UTC(2026, 9, 19, 12);
+    const daily = Modes2048.createChallenge('daily', {}, noon);
+    check(daily.day === '2026-10-19' && Modes2048.getDayKey(new Date(Date.UTC(2026, 9, 19, 23, 59))) === daily.day &&
+        Modes2048.getDailySeed(daily.day) === Modes2048.getDailySeed('2026-10-19') &&
+        Modes2048.getDailySeed(daily.day) !== Modes2048.getDailySeed('2026-10-20'),
+        "Daily Seed", "One seed per UTC day, a different one the next day");
+    check(JSON.stringify(Engine2048.newGame(Engine2048.createConfig(Modes2048.getDailySettings()), Modes2048.getDailySeed(daily.day)).board) ===
+        JSON.stringify(Engine2048.newGame(Engine2048.createConfig(), Modes2048.getDailySeed('2026-10-19')).board),
+        "Daily Rules", "The daily game is a default-rules game from the day's seed");
+    check(Modes2048.createChallenge('classic') === null && Modes2048.createChallenge('moves').moveLimit === Modes2048.DEFAULT_MOVE_LIMIT,
+        "Challenge Defaults", "Classic has no challenge; limits default when not given");
+
+    let timed = Modes2048.createChallenge('time', { timeLimit: 30 }, noon);
+    check(Modes2048.getTimeLeftMs(timed, noon + 60000) === 30000, "Clock Waits", "The clock does not run before the first move");
+    timed = Modes2048.startClock(timed, noon);
+    const paused = Modes2048.stopClock(timed, noon + 20000);
+    check(Modes2048.describeChallenge(paused, noon + 90000) === '0:10' && !Modes2048.isChallengeOver(paused, noon + 90000) &&
+        Modes2048.isChallengeOver(Modes2048.startClock(paused, noon + 90000), noon + 100000),
+        "Time Attack", "Time used survives a stop, and the game ends when the limit is reached");
+
+    let limited = Modes2048.createChallenge('moves', { moveLimit: 2 });
+    limited = Modes2048.countMove(limited);
+    check(Modes2048.getMovesLeft(limited) === 1 && !Modes2048.isChallengeOver(limited, noon) &&
+        Modes2048.isChallengeOver(Modes2048.countMove(limited), noon) &&
+        Modes2048.getTimeLeftMs(limited, noon) === null,
+        "Move Limit", "The game ends after moveLimit moves, with no clock");
+
+    const keys = [null, daily, timed, limited].map(Modes2048.getBestKey);
+    check(keys[0] === '2048-best' && new Set(keys).size === 4 &&
+        Modes2048.readBest(daily, Modes2048.writeBest(daily, 500)) === 500 &&
+        Modes2048.readBest(Modes2048.createChallenge('daily', {}, noon + 86400000), Modes2048.writeBest(daily, 500)) === 0 &&
+        Modes2048.readBest(null, '1234') === 1234,
+        "Mode Bests", "Each mode keeps its own best; yesterday's daily best does not count today");
+    check(Modes2048.isValidChallenge(paused) && !Modes2048.isValidChallenge({ ...paused, timeLimit: 0 }) &&
+        !Modes2048.isValidChallenge({ ...daily, mode: 'classic' }),
+        "Saved Challenge", "Saved challenges are checked before they are resumed");
+
+    // =========================================================================
+    // Summary
+    // =========================================================================
+    console.log("");
+    console.log("=".repeat(60));
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log("=".repeat(60));
+
+    return failCount === 0;
+}
+
+process.exit(runTests() ? 0 : 1);
@@ -0,0 +1,930 @@
+/**
+ * 2048 Engine - rules, seeded RNG, heuristics and Expectimax AI
+ *
+ * Pure functions over plain objects: state in, state out. No DOM access,
+ * so the same file runs in the page (window.Engine2048), in a Web Worker
+ * (importScripts) and in Node (require('./engine.js')).
+ *
+ * Game state shape:
+ *   { board: number[][], score: number, seed: number, rngState: number,
+ *     gameOver: boolean, gameWon: boolean, moves: number }
+ *
+ * Rule variants (mergeRule, spawnWeights, blockers, endless) live in the
+ * config. Functions that take an optional `config` play classic 2048
+ * without one.
+ */
+(function (root) {
+    'use strict';
+
+    // Optional packed-board search (bitboard.js); loaded before this file in
+    // the page and the worker, required in Node
+    const Bitboard2048 = root.Bitboard2048 ||
+        (typeof require !== 'undefined' ? require('./bitboard.js') : null);
+
+    // Supported board sizes (square boards only)
+    const DEFAULT_GRID_SIZE = 4;
+    const MIN_GRID_SIZE = 3;
+    const MAX_GRID_SIZE = 8;
+
+    // Direction: 0:Up, 1:Right, 2:Down, 3:Left
+    const DIRECTIONS = [0, 1, 2, 3];
+    const DIRECTION_NAMES = ['UP', 'RIGHT', 'DOWN', 'LEFT'];
+
+    // Clockwise quarter-turns that point each direction "Left", so every
+    // move can reuse slideLeft. Rotating back uses (4 - n) % 4.
+    const ROTATIONS_TO_LEFT = [3, 2, 1, 0];
+
+    const VALID_TILES = [0, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536, 131072];
+
+    // --- Rule Variants ---
+    //   mergeRule     'classic': equal tiles double; 'fibonacci': neighbouring
+    //                 Fibonacci numbers add up (1+1, 1+2, 2+3, 3+5, ...)
+    //   spawnWeights  { value: weight } for spawned tiles, e.g. { "2": 8, "4": 1, "8": 1 };
+    //                 null spawns the two smallest tiles with prob4
+    //   blockers      [[r, c], ...] cells that hold a BLOCKER: tiles cannot
+    //                 pass or merge with it, and it never moves
+    //   endless       play on after winScore, each time for the next tile up
+    const MERGE_RULES = ['classic', 'fibonacci'];
+    const BLOCKER = -1;
+
+    // Fibonacci tiles up to the largest classic tile
+    const FIBONACCI_TILES = [1, 2];
+    while (FIBONACCI_TILES[FIBONACCI_TILES.length - 1] + FIBONACCI_TILES[FIBONACCI_TILES.length - 2] <= 131072) {
+        FIBONACCI_TILES.push(FIBONACCI_TILES[FIBONACCI_TILES.length - 1] + FIBONACCI_TILES[FIBONACCI_TILES.length - 2]);
+    }
+    const FIBONACCI_INDEX = new Map(FIBONACCI_TILES.map((value, i) => [value, i]));
+
+    // Spawns the search assumes without a config
+    const CLASSIC_SPAWNS = [{ value: 2, probability: 0.9 }, { value: 4, probability: 0.1 }];
+
+    // --- Seeded Random Number Generator ---
+    class SeededRandom {
+        constructor(seed = Date.now()) {
+            this.seed = seed;
+            this.current = seed;
+        }
+
+        // Linear Congruential Generator (LCG)
+        next() {
+            this.current = nextRngState(this.current);
+            return this.current / 4294967296;
+        }
+
+        reset() {
+            this.current = this.seed;
+        }
+    }
+
+    // Pure LCG step, for code that keeps the RNG position in plain state
+    function nextRngState(current) {
+        return (current * 1664525 + 1013904223) % 4294967296;
+    }
+
+    // --- Config ---
+
+    function createConfig(overrides = {}) {
+        return {
+            gridSize: DEFAULT_GRID_SIZE, // Board is gridSize x gridSize
+            seed: null,    // Fixed seed for every new game (null = random per game)
+            prob4: 0.1,    // Probability of spawning a 4 (vs 2)
+            winScore: 2048,
+            spawnMode: 'random', // 'random', or 'evil': the worst tile for the player (see spawnAfterMove)
+            mergeRule: 'classic', // Rule variants, see above
+            spawnWeights: null,
+            blockers: [],
+            endless: false,
+            ...overrides
+        };
+    }
+
+    function isValidGridSize(size) {
+        return Number.isInteger(size) && size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE;
+    }
+
+    // Classic merges, no blockers and 2/4 spawns from prob4
+    function isClassicRules(config) {
+        return !config || (config.mergeRule !== 'fibonacci' && !config.spawnWeights &&
+            !(config.blockers && config.blockers.length > 0));
+    }
+
+    // Tile values of the config's merge rule, 0 (empty) first
+    function getValidTiles(config = null) {
+        return config && config.mergeRule === 'fibonacci' ? [0, ...FIBONACCI_TILES] : VALID_TILES;
+    }
+
+    // Spawned tiles and their chances: [{ value, probability }], smallest first
+    function getSpawnDistribution(config) {
+        if (config.spawnWeights) {
+            const values = Object.keys(config.spawnWeights).map(Number).sort((a, b) => a - b);
+            const total = values.reduce((sum, v) => sum + config.spawnWeights[v], 0);
+            return values.map(v => ({ value: v, probability: config.spawnWeights[v] / total }));
+        }
+        const [small, large] = getValidTiles(config).slice(1, 3);
+        return [{ value: small, probability: 1 - config.prob4 }, { value: large, probability: config.prob4 }];
+    }
+
+    // Value of a spawn for a uniform draw u in [0, 1). Without spawnWeights
+    // this is the classic `u < prob4 ? 4 : 2`, so seeded games are unchanged.
+    function pickSpawnValue(u, config) {
+        const spawns = getSpawnDistribution(config);
+        if (!config.spawnWeights) return u < config.prob4 ? spawns[1].value : spawns[0].value;
+
+        let total = 0;
+        for (const spawn of spawns) {
+            total += spawn.probability;
+            if (u < total) return spawn.value;
+        }
+        return spawns[spawns.length - 1].value;
+    }
+
+    // Check a spawnWeights object for a merge rule; returns a list of errors
+    function validateSpawnWeights(weights, mergeRule = 'classic') {
+        if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+            return ['spawnWeights must be an object of tile value: weight'];
+        }
+        const tiles = getValidTiles({ mergeRule: mergeRule });
+        const errors = [];
+        let total = 0;
+        for (const key of Object.keys(weights)) {
+            if (!tiles.includes(Number(key)) || Number(key) === 0) {
+                errors.push(`${key} is not a ${mergeRule} tile`);
+            } else if (typeof weights[key] !== 'number' || !(weights[key] >= 0) || !isFinite(weights[key])) {
+                errors.push(`Weight for ${key} must be a number, 0 or more`);
+            } else {
+                total += weights[key];
+            }
+        }
+        if (errors.length === 0 && total === 0) errors.push('spawnWeights needs a weight above 0');
+        return errors;
+    }
+
+    // Check a blockers list for a board size; returns a list of errors.
+    // At least two cells must stay free for the opening tiles.
+    function validateBlockers(blockers, gridSize) {
+        if (!Array.isArray(blockers)) return ['blockers must be an array of [row, column] cells'];
+        const errors = [];
+        const seen = new Set();
+        blockers.forEach(cell => {
+            const ok = Array.isArray(cell) && cell.length === 2 &&
+                cell.every(i => Number.isInteger(i) && i >= 0 && i < gridSize);
+            if (!ok) {
+                errors.push(`Blocker ${JSON.stringify(cell)} is not a cell of a ${gridSize}×${gridSize} board`);
+            } else if (seen.has(cell.join(','))) {
+                errors.push(`Blocker ${JSON.stringify(cell)} is listed twice`);
+            } else {
+                seen.add(cell.join(','));
+            }
+        });
+        if (errors.length === 0 && blockers.length > gridSize * gridSize - 2) {
+            errors.push('Blockers must leave at least two free cells');
+        }
+        return errors;
+    }
+
+    // Blocker cells that fit on a board of this size (a smaller board
+    // drops the rest)
+    function getBlockerCells(config, size) {
+        return (config && config.blockers || []).filter(([r, c]) => r < size && c < size);
+    }
+
+    // Whether two tiles merge under the merge rule (`a` is a tile, not 0
+    // or a blocker); the merged tile is always a + b
+    function canMerge(a, b, fibonacci) {
+        if (!fibonacci) return a === b;
+        if (a === 1 && b === 1) return true;
+        const i = FIBONACCI_INDEX.get(a);
+        const j = FIBONACCI_INDEX.get(b);
+        return i !== undefined && j !== undefined && Math.abs(i - j) === 1;
+    }
+
+    function isFibonacci(config) {
+        return config !== null && config.mergeRule === 'fibonacci';
+    }
+
+    // --- Board Helpers ---
+
+    function createEmptyBoard(size) {
+        return Array(size).fill().map(() => Array(size).fill(0));
+    }
+
+    // Empty board of the config's size with its blockers in place
+    function createBoard(config) {
+        const board = createEmptyBoard(config.gridSize);
+        getBlockerCells(config, config.gridSize).forEach(([r, c]) => { board[r][c] = BLOCKER; });
+        return board;
+    }
+
+    function copyGrid(grid) {
+        return grid.map(row => [...row]);
+    }
+
+    function boardsEqual(a, b) {
+        for (let r = 0; r < a.length; r++) {
+            for (let c = 0; c < a[r].length; c++) {
+                if (a[r][c] !== b[r][c]) return false;
+            }
+        }
+        return true;
+    }
+
+    function getEmptySpots(grid) {
+        let spots = [];
+        for (let r = 0; r < grid.length; r++) {
+            for (let c = 0; c < grid[r].length; c++) {
+                if (grid[r][c] === 0) spots.push({ r, c });
+            }
+        }
+        return spots;
+    }
+
+    function getMaxTile(grid) {
+        let max = 0;
+        for (const row of grid) {
+            for (const val of row) {
+                if (val > max) max = val;
+            }
+        }
+        return max;
+    }
+
+    // --- Row Mechanics ---
+
+    // Remove gaps: [0, 2, 0, 2] -> [2, 2, 0, 0]
+    function slideRow(row) {
+        let filtered = row.filter(val => val !== 0);
+        while (filtered.length < row.length) filtered.push(0);
+        return filtered;
+    }
+
+    // Merge neighbours once, left to right: [2, 2, 4, 4] -> [4, 0, 8, 0]
+    // (with a Fibonacci config: [1, 2, 3, 5] -> [3, 0, 8, 0])
+    function combineRow(row, config = null) {
+        const fibonacci = isFibonacci(config);
+        let combined = [...row];
+        for (let i = 0; i < combined.length - 1; i++) {
+            if (combined[i] > 0 && canMerge(combined[i], combined[i + 1], fibonacci)) {
+                combined[i] += combined[i + 1];
+                combined[i + 1] = 0;
+            }
+        }
+        return combined;
+    }
+
+    // Slide + merge every row to the left. Tiles stop at blockers, and a
+    // tile merges at most once per move.
+    // With trackTiles the result also lists where every tile went:
+    //   moves: [{ r, from, to, merged }]   (columns within row r)
+    // The two tiles of a merge share the same `to`. Blockers are not listed.
+    function slideLeft(grid, trackTiles = false, config = null) {
+        const fibonacci = isFibonacci(config);
+        let gainedScore = 0;
+        let moves = trackTiles ? [] : null;
+        let newGrid = grid.map((row, r) => {
+            const line = new Array(row.length).fill(0);
+            let next = 0;          // Cell the next tile lands on
+            let canTake = false;   // line[next - 1] is a tile that has not merged yet
+            let lastMove = null;
+            for (let c = 0; c < row.length; c++) {
+                const value = row[c];
+                if (value === 0) continue;
+                if (value === BLOCKER) {
+                    line[c] = BLOCKER;
+                    next = c + 1;
+                    canTake = false;
+                } else if (canTake && canMerge(line[next - 1], value, fibonacci)) {
+                    line[next - 1] += value;
+                    gainedScore += line[next - 1];
+                    canTake = false;
+                    if (moves) {
+                        lastMove.merged = true;
+                        moves.push({ r: r, from: c, to: next - 1, merged: true });
+                    }
+                } else {
+                    line[next] = value;
+                    canTake = true;
+                    if (moves) {
+                        lastMove = { r: r, from: c, to: next, merged: false };
+                        moves.push(lastMove);
+                    }
+                    next++;
+                }
+            }
+            return line;
+        });
+        return moves ? { board: newGrid, score: gainedScore, moves: moves } : { board: newGrid, score: gainedScore };
+    }
+
+    // Rotate 90 degrees clockwise `rotations` times
+    function rotateBoard(grid, rotations) {
+        let newGrid = copyGrid(grid);
+        for (let r = 0; r < rotations; r++) {
+            newGrid = newGrid[0].map((val, index) => newGrid.map(row => row[index]).reverse());
+        }
+        return newGrid;
+    }
+
+    // Map a cell of a board rotated `rotations` times back to the original
+    function unrotateCell(r, c, size, rotations) {
+        for (let i = 0; i < rotations; i++) {
+            [r, c] = [size - 1 - c, r];
+        }
+        return { r: r, c: c };
+    }
+
+    // --- Moves ---
+
+    // Slide the board in a direction without spawning a tile.
+    // With trackTiles the result also has
+    //   tiles: [{ from: { r, c }, to: { r, c }, value, merged }]
+    // for every tile on the board (value is the tile's value before the move).
+    // `config` selects the rule variant (classic without one).
+    function simulateMove(grid, direction, trackTiles = false, config = null) {
+        const rots = ROTATIONS_TO_LEFT[direction];
+        const result = slideLeft(rotateBoard(grid, rots), trackTiles, config);
+        const newBoard = rotateBoard(result.board, (4 - rots) % 4);
+        const sim = { board: newBoard, moved: !boardsEqual(grid, newBoard), score: result.score };
+
+        if (trackTiles) {
+            const size = grid.length;
+            sim.tiles = result.moves.map(m => {
+                const from = unrotateCell(m.r, m.from, size, rots);
+                return {
+                    from: from,
+                    to: unrotateCell(m.r, m.to, size, rots),
+                    value: grid[from.r][from.c],
+                    merged: m.merged
+                };
+            });
+        }
+        return sim;
+    }
+
+    // Place a tile on a random empty cell: a 2 or 4 for prob4 (a number),
+    // or drawn from a config's spawns (see getSpawnDistribution). Returns the
+    // new board, the advanced RNG position and the spawn ({ r, c, value } or
+    // null if full).
+    function spawnTile(grid, rngState, config) {
+        const empty = getEmptySpots(grid);
+        if (empty.length === 0) {
+            return { board: grid, rngState, spawn: null };
+        }
+
+        const rng = new SeededRandom(rngState);
+        const spot = empty[Math.floor(rng.next() * empty.length)];
+        const value = pickSpawnValue(rng.next(), typeof config === 'number' ? { prob4: config } : config);
+
+        const newBoard = copyGrid(grid);
+        newBoard[spot.r][spot.c] = value;
+        return { board: newBoard, rngState: rng.current, spawn: { r: spot.r, c: spot.c, value } };
+    }
+
+    // Spawn that follows a move. In 'evil' mode the spawner places the tile
+    // that is worst for the player (getWorstSpawn) and the RNG is not used.
+    // Same result shape as spawnTile.
+    function spawnAfterMove(grid, rngState, config) {
+        if (config.spawnMode !== 'evil') return spawnTile(grid, rngState, config);
+
+        const spawn = getWorstSpawn(grid, EVIL_SPAWN_DEPTH, { config: config });
+        if (!spawn) return { board: grid, rngState, spawn: null };
+        const newBoard = copyGrid(grid);
+        newBoard[spawn.r][spawn.c] = spawn.value;
+        return { board: newBoard, rngState, spawn };
+    }
+
+    // --- Win / Loss ---
+
+    function hasWon(grid, winScore) {
+        return getMaxTile(grid) >= winScore;
+    }
+
+    function isGameOver(grid, config = null) {
+        const size = grid.length;
+        const fibonacci = isFibonacci(config);
+        // 1. Check empty
+        for (let r = 0; r < size; r++) for (let c = 0; c < size; c++) if (grid[r][c] === 0) return false;
+
+        // 2. Check merges
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                let val = grid[r][c];
+                if (val === BLOCKER) continue;
+                if (c + 1 < size && canMerge(val, grid[r][c + 1], fibonacci)) return false;
+                if (r + 1 < size && canMerge(val, grid[r + 1][c], fibonacci)) return false;
+            }
+        }
+        return true;
+    }
+
+    // Tile the player is after: winScore, or in endless play (once
+    // winScore is reached) the first tile above the largest one
+    function getTarget(grid, config) {
+        const max = getMaxTile(grid);
+        if (!config.endless || max < config.winScore) return config.winScore;
+        const next = getValidTiles(config).find(value => value > max);
+        return next !== undefined ? next : max;
+    }
+
+    // Anti-cheat: returns an array of error strings (empty when valid).
+    // With a config, tiles follow its merge rule and blockers must sit
+    // exactly on its blocker cells.
+    function validateBoard(grid, gridSize, config = null) {
+        const errors = [];
+
+        // Board must be square and match the configured size
+        if (grid.length !== gridSize) {
+            errors.push(`Board has ${grid.length} rows, expected ${gridSize}`);
+        }
+        for (let r = 0; r < grid.length; r++) {
+            if (grid[r].length !== gridSize) {
+                errors.push(`Row ${r} has ${grid[r].length} cells, expected ${gridSize}`);
+            }
+        }
+
+        const tiles = getValidTiles(config);
+        const blockers = new Set(getBlockerCells(config, gridSize).map(cell => cell.join(',')));
+        for (let r = 0; r < grid.length; r++) {
+            for (let c = 0; c < grid[r].length; c++) {
+                const val = grid[r][c];
+                if (blockers.has(r + ',' + c)) {
+                    if (val !== BLOCKER) errors.push(`Missing blocker at position (${r}, ${c})`);
+                } else if (!tiles.includes(val)) {
+                    errors.push(`Invalid tile value ${val} at position (${r}, ${c})`);
+                }
+            }
+        }
+        return errors;
+    }
+
+    // --- Game State ---
+
+    // Start a game: empty board (with the config's blockers) plus two
+    // seeded spawns
+    function newGame(config, seed) {
+        let state = {
+            board: createBoard(config),
+            score: 0,
+            seed: seed,
+            rngState: seed,
+            gameOver: false,
+            gameWon: false,
+            moves: 0
+        };
+        for (let i = 0; i < 2; i++) {
+            const spawned = spawnTile(state.board, state.rngState, config);
+            state.board = spawned.board;
+            state.rngState = spawned.rngState;
+        }
+        return state;
+    }
+
+    // Start from a set-up position (board editor): no opening spawns, and
+    // the seed only drives the spawns after each move
+    function newGameFromPosition(config, seed, board, score = 0) {
+        return {
+            board: copyGrid(board),
+            score: score,
+            seed: seed,
+            rngState: seed,
+            gameOver: isGameOver(board, config),
+            gameWon: hasWon(board, config.winScore),
+            moves: 0
+        };
+    }
+
+    // Apply one move and its spawn. Returns { state, moved, spawn, gained };
+    // the input state is not modified.
+    function applyMove(state, direction, config) {
+        const sim = simulateMove(state.board, direction, false, config);
+        if (!sim.moved) {
+            return { state, moved: false, spawn: null, gained: 0 };
+        }
+
+        const spawned = spawnAfterMove(sim.board, state.rngState, config);
+        const next = {
+            ...state,
+            board: spawned.board,
+            score: state.score + sim.score,
+            rngState: spawned.rngState,
+            moves: state.moves + 1
+        };
+        next.gameWon = state.gameWon || hasWon(next.board, config.winScore);
+        next.gameOver = isGameOver(next.board, config);
+        return { state: next, moved: true, spawn: spawned.spawn, gained: sim.score };
+    }
+
+    // --- AI Solver (Expectimax) ---
+    // Max Node: Player moves (Up, Right, Down, Left). Maximize Score.
+    // Chance Node: Computer adds random tile (2 or 4, or the config's spawns) at random spot. Average Score.
+
+    // Expected value of every direction: [up, right, down, left], null for
+    // moves that do not change the board.
+    // Options:
+    //   weights   heuristic weights for evaluateGrid (default weights if omitted)
+    //   deadline  ms timestamp (Date.now() clock); if the search runs past it,
+    //             the search gives up and returns null
+    //   packed    false to skip the bitboard search (same values, slower)
+    //   config    game config whose rule variant the search plays by (moves,
+    //             spawns and their chances); classic 2048 with 2 (0.9) or
+    //             4 (0.1) spawns if omitted
+    // 3x3 and 4x4 boards with tiles up to 16384 are searched on packed
+    // boards with lookup tables (bitboard.js) when it is available. The
+    // packed search knows only classic rules with prob4 0.1.
+    function usePacked(grid, options) {
+        return options.packed !== false && Bitboard2048 !== null && isClassicRules(options.config) &&
+            (!options.config || options.config.prob4 === 0.1) && Bitboard2048.canPack(grid);
+    }
+
+    function evaluateMoves(grid, depth, options = {}) {
+        if (usePacked(grid, options)) {
+            return Bitboard2048.evaluateMoves(grid, depth, {
+                weights: { ...DEFAULT_HEURISTIC_WEIGHTS, ...options.weights },
+                deadline: options.deadline
+            });
+        }
+
+        let search = createSearch(options);
+        let values = [null, null, null, null];
+
+        for (let dir = 0; dir < 4; dir++) {
+            let sim = simulateMove(grid, dir, false, search.config);
+            if (sim.moved) {
+                values[dir] = expectimax(sim.board, depth - 1, false, search); // Next is Chance
+                if (search.timedOut) return null;
+            }
+        }
+        return values;
+    }
+
+    // Direction with the highest value (first one on ties), -1 if none
+    function pickBestMove(values) {
+        let bestMove = -1;
+        for (let dir = 0; dir < 4; dir++) {
+            if (values[dir] !== null && (bestMove === -1 || values[dir] > values[bestMove])) {
+                bestMove = dir;
+            }
+        }
+        return bestMove;
+    }
+
+    // Same options as evaluateMoves; returns null if the deadline passed
+    function getBestMove(grid, depth, options = {}) {
+        const values = evaluateMoves(grid, depth, options);
+        return values === null ? null : pickBestMove(values);
+    }
+
+    // Deepen one ply at a time until the deadline or options.maxDepth. The
+    // first pass always finishes so there are always values to return.
+    // Returns { move, values, depth } from the deepest finished pass.
+    function evaluateMovesWithin(grid, timeBudget, options = {}) {
+        const maxDepth = options.maxDepth || 12;
+        // Build the lookup tables (once, ~0.1 s) before the clock starts
+        if (usePacked(grid, options)) Bitboard2048.getTables(grid.length);
+        const deadline = Date.now() + timeBudget;
+        const passOptions = { weights: options.weights, packed: options.packed, config: options.config };
+        let values = evaluateMoves(grid, 1, passOptions);
+        let depth = 1;
+
+        while (pickBestMove(values) !== -1 && depth < maxDepth && Date.now() < deadline) {
+            const deeper = evaluateMoves(grid, depth + 1, { ...passOptions, deadline: deadline });
+            if (deeper === null) break;
+            values = deeper;
+            depth++;
+        }
+        return { move: pickBestMove(values), values: values, depth: depth };
+    }
+
+    function getBestMoveWithin(grid, timeBudget, options = {}) {
+        const result = evaluateMovesWithin(grid, timeBudget, options);
+        return { move: result.move, depth: result.depth };
+    }
+
+    function createSearch(options = {}) {
+        const config = options.config || null;
+        return {
+            weights: options.weights || DEFAULT_HEURISTIC_WEIGHTS,
+            config: config,
+            spawns: config ? getSpawnDistribution(config).filter(s => s.probability > 0) : CLASSIC_SPAWNS,
+            deadline: options.deadline || 0,
+            nodes: 0,
+            timedOut: false
+        };
+    }
+
+    function expectimax(grid, depth, isPlayer, search = createSearch()) {
+        if (depth === 0) return evaluateGrid(grid, search.weights);
+
+        // Check the clock every 1024 nodes
+        if (search.deadline && (++search.nodes & 1023) === 0 && Date.now() > search.deadline) {
+            search.timedOut = true;
+        }
+        if (search.timedOut) return 0;
+
+        if (isPlayer) {
+            let bestScore = -Infinity;
+            let anyMove = false;
+            for (let dir = 0; dir < 4; dir++) {
+                let sim = simulateMove(grid, dir, false, search.config);
+                if (sim.moved) {
+                    anyMove = true;
+                    let score = expectimax(sim.board, depth - 1, false, search);
+                    if (score > bestScore) bestScore = score;
+                }
+            }
+            return anyMove ? bestScore : -999999; // Loss
+        } else {
+            // Chance Node: every empty cell, with every spawn (classic: 2 (0.9) or 4 (0.1))
+            let empty = getEmptySpots(grid);
+            if (empty.length === 0) return evaluateGrid(grid, search.weights);
+
+            let avgScore = 0;
+            empty.forEach(spot => {
+                for (const spawn of search.spawns) {
+                    let next = copyGrid(grid);
+                    next[spot.r][spot.c] = spawn.value;
+                    avgScore += expectimax(next, depth - 1, true, search) * spawn.probability;
+                }
+            });
+
+            return avgScore / empty.length;
+        }
+    }
+
+    // --- Adversarial Search (Minimax) ---
+    // The evil spawner treats spawns as an opponent instead of chance: it
+    // places the 2 or 4 that is worst for the player, assuming the best
+    // reply. Player nodes maximize, spawner nodes minimize; alpha-beta
+    // pruning skips branches that cannot change the result. Depth counts
+    // player and spawner plies, as in expectimax.
+
+    const SPAWN_MODES = ['random', 'evil'];
+    const EVIL_SPAWN_DEPTH = 3; // Spawn, player reply, spawn
+
+    // Every possible spawn: each empty cell with a 2, then with a 4 (or
+    // with each value of `spawns`, see getSpawnDistribution)
+    function getSpawnOptions(grid, spawns = CLASSIC_SPAWNS) {
+        const options = [];
+        for (const spot of getEmptySpots(grid)) {
+            for (const spawn of spawns) options.push({ r: spot.r, c: spot.c, value: spawn.value });
+        }
+        return options;
+    }
+
+    function minimax(grid, depth, isPlayer, alpha, beta, search) {
+        if (depth === 0) return evaluateGrid(grid, search.weights);
+
+        // Check the clock every 1024 nodes
+        if (search.deadline && (++search.nodes & 1023) === 0 && Date.now() > search.deadline) {
+            search.timedOut = true;
+        }
+        if (search.timedOut) return 0;
+
+        if (isPlayer) {
+            let best = -Infinity;
+            for (let dir = 0; dir < 4 && alpha < beta; dir++) {
+                const sim = simulateMove(grid, dir, false, search.config);
+                if (sim.moved) {
+                    best = Math.max(best, minimax(sim.board, depth - 1, false, alpha, beta, search));
+                    alpha = Math.max(alpha, best);
+                }
+            }
+            return best === -Infinity ? -999999 : best; // Loss if no move
+        }
+
+        const spawns = getSpawnOptions(grid, search.spawns);
+        if (spawns.length === 0) return evaluateGrid(grid, search.weights);
+
+        let worst = Infinity;
+        for (const spawn of spawns) {
+            const next = copyGrid(grid);
+            next[spawn.r][spawn.c] = spawn.value;
+            worst = Math.min(worst, minimax(next, depth - 1, true, alpha, beta, search));
+            beta = Math.min(beta, worst);
+            if (alpha >= beta) break;
+        }
+        return worst;
+    }
+
+    // Minimax value of every direction: [up, right, down, left], null for
+    // moves that do not change the board. Same options as evaluateMoves.
+    function evaluateMovesMinimax(grid, depth, options = {}) {
+        const search = createSearch(options);
+        const values = [null, null, null, null];
+
+        for (let dir = 0; dir < 4; dir++) {
+            const sim = simulateMove(grid, dir, false, search.config);
+            if (sim.moved) {
+                values[dir] = minimax(sim.board, depth - 1, false, -Infinity, Infinity, search); // Next is the spawner
+                if (search.timedOut) return null;
+            }
+        }
+        return values;
+    }
+
+    // The spawn that leaves the player worst off: { r, c, value }, or null if
+    // the board is full or the deadline passed. Ties go to the first cell
+    // (row by row) and to 2 before 4. Options: weights, deadline, config.
+    function getWorstSpawn(grid, depth = EVIL_SPAWN_DEPTH, options = {}) {
+        const search = createSearch(options);
+        let worst = null;
+        let worstValue = Infinity;
+
+        for (const spawn of getSpawnOptions(grid, search.spawns)) {
+            const next = copyGrid(grid);
+            next[spawn.r][spawn.c] = spawn.value;
+            // Only spawns below the current worst matter
+            const value = minimax(next, depth - 1, true, -Infinity, worstValue, search);
+            if (search.timedOut) return null;
+            if (value < worstValue) {
+                worstValue = value;
+                worst = spawn;
+            }
+        }
+        return worst;
+    }
+
+    // --- Heuristics ---
+    // evaluateGrid is a weighted sum of five terms, all measured in tile
+    // values so the weights are comparable:
+    //   snake         tiles weighted along a snake path from the top-left
+    //                 corner, scaled so the corner counts 1x
+    //   monotonicity  minus how far each row/column is from sorted
+    //   smoothness    minus the differences between neighbouring tiles
+    //   emptyCells    number of empty cells
+    //   maxTile       value of the largest tile
+    // Weights come from the config (heuristicWeights); missing ones use
+    // DEFAULT_HEURISTIC_WEIGHTS. Blockers count as neither tiles nor
+    // empty cells.
+    const HEURISTIC_TERMS = ['snake', 'monotonicity', 'smoothness', 'emptyCells', 'maxTile'];
+
+    // On seeded depth-2 games these more than double the average score of
+    // the snake term alone.
+    const DEFAULT_HEURISTIC_WEIGHTS = {
+        snake: 1,
+        monotonicity: 2,
+        smoothness: 0.2,
+        emptyCells: 64,
+        maxTile: 0
+    };
+
+    // For 4x4 the snake is:
+    //   [65536, 32768, 16384, 8192],
+    //   [512,   1024,  2048,  4096],
+    //   [256,   128,   64,    32],
+    //   [2,     4,     8,     16]
+    // Larger and smaller boards follow the same snake, from 2^(n*n) in the
+    // top-left corner down to 2^1.
+    const weightMatrices = {};
+
+    function getWeightMatrix(size) {
+        if (weightMatrices[size]) return weightMatrices[size];
+
+        let matrix = [];
+        let exponent = size * size;
+        for (let r = 0; r < size; r++) {
+            let row = [];
+            for (let c = 0; c < size; c++) {
+                row.push(Math.pow(2, exponent--));
+            }
+            // Odd rows run right-to-left so the snake stays connected
+            matrix.push(r % 2 === 0 ? row : row.reverse());
+        }
+        weightMatrices[size] = matrix;
+        return matrix;
+    }
+
+    // Check a partial weights object; returns a list of errors
+    function validateHeuristicWeights(weights) {
+        const errors = [];
+        if (typeof weights !== 'object' || weights === null) {
+            return ['heuristicWeights must be an object'];
+        }
+        for (const key of Object.keys(weights)) {
+            if (!HEURISTIC_TERMS.includes(key)) {
+                errors.push(`Unknown heuristic term "${key}"`);
+            } else if (typeof weights[key] !== 'number' || !isFinite(weights[key])) {
+                errors.push(`Weight for ${key} must be a number`);
+            }
+        }
+        return errors;
+    }
+
+    // Raw (unweighted) value of every term
+    function evaluateTerms(grid) {
+        const size = grid.length;
+        const snakeWeights = getWeightMatrix(size);
+        const cornerWeight = snakeWeights[0][0];
+        const terms = { snake: 0, monotonicity: 0, smoothness: 0, emptyCells: 0, maxTile: 0 };
+
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const value = grid[r][c];
+                if (value === BLOCKER) continue;
+                terms.snake += value * (snakeWeights[r][c] / cornerWeight);
+                if (value === 0) {
+                    terms.emptyCells++;
+                    continue;
+                }
+                if (value > terms.maxTile) terms.maxTile = value;
+                if (c + 1 < size && grid[r][c + 1] > 0) terms.smoothness -= Math.abs(value - grid[r][c + 1]);
+                if (r + 1 < size && grid[r + 1][c] > 0) terms.smoothness -= Math.abs(value - grid[r + 1][c]);
+            }
+        }
+
+        // A row/column is monotonic if it only rises or only falls; the
+        // penalty is the smaller of its total rise and total fall.
+        for (let i = 0; i < size; i++) {
+            let rowUp = 0, rowDown = 0, colUp = 0, colDown = 0;
+            for (let j = 0; j + 1 < size; j++) {
+                // A blocker reads as an empty cell
+                const rowStep = Math.max(grid[i][j + 1], 0) - Math.max(grid[i][j], 0);
+                const colStep = Math.max(grid[j + 1][i], 0) - Math.max(grid[j][i], 0);
+                if (rowStep > 0) rowUp += rowStep; else rowDown -= rowStep;
+                if (colStep > 0) colUp += colStep; else colDown -= colStep;
+            }
+            terms.monotonicity -= Math.min(rowUp, rowDown) + Math.min(colUp, colDown);
+        }
+        return terms;
+    }
+
+    // Weighted contribution of every term, plus their total
+    function evaluateBreakdown(grid, weights = DEFAULT_HEURISTIC_WEIGHTS) {
+        const terms = evaluateTerms(grid);
+        const breakdown = { total: 0 };
+        for (const term of HEURISTIC_TERMS) {
+            const weight = weights[term] !== undefined ? weights[term] : DEFAULT_HEURISTIC_WEIGHTS[term];
+            breakdown[term] = terms[term] * weight;
+            breakdown.total += breakdown[term];
+        }
+        return breakdown;
+    }
+
+    function evaluateGrid(grid, weights = DEFAULT_HEURISTIC_WEIGHTS) {
+        return evaluateBreakdown(grid, weights).total;
+    }
+
+    const Engine2048 = {
+        DEFAULT_GRID_SIZE,
+        MIN_GRID_SIZE,
+        MAX_GRID_SIZE,
+        DIRECTIONS,
+        DIRECTION_NAMES,
+        VALID_TILES,
+        MERGE_RULES,
+        BLOCKER,
+        FIBONACCI_TILES,
+        CLASSIC_SPAWNS,
+        SeededRandom,
+        nextRngState,
+        createConfig,
+        isValidGridSize,
+        isClassicRules,
+        getValidTiles,
+        getSpawnDistribution,
+        validateSpawnWeights,
+        validateBlockers,
+        createEmptyBoard,
+        createBoard,
+        copyGrid,
+        getEmptySpots,
+        getMaxTile,
+        slideRow,
+        combineRow,
+        slideLeft,
+        rotateBoard,
+        simulateMove,
+        spawnTile,
+        spawnAfterMove,
+        hasWon,
+        isGameOver,
+        getTarget,
+        validateBoard,
+        newGame,
+        newGameFromPosition,
+        applyMove,
+        evaluateMoves,
+        evaluateMovesWithin,
+        pickBestMove,
+        getBestMove,
+        getBestMoveWithin,
+        expectimax,
+        SPAWN_MODES,
+        EVIL_SPAWN_DEPTH,
+        getSpawnOptions,
+        minimax,
+        evaluateMovesMinimax,
+        getWorstSpawn,
+        HEURISTIC_TERMS,
+        DEFAULT_HEURISTIC_WEIGHTS,
+        getWeightMatrix,
+        validateHeuristicWeights,
+        evaluateTerms,
+        evaluateBreakdown,
+        evaluateGrid
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Engine2048;
+    } else {
+        root.Engine2048 = Engine2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
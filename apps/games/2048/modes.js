@@ -0,0 +1,223 @@
+/**
+ * 2048 Game Modes - the daily challenge, time attack and move limit
+ *
+ *   classic  open-ended play, as always
+ *   daily    the seed comes from the date (UTC) and the rules are the
+ *            defaults, so everyone gets the same spawns that day
+ *   time     the highest score in timeLimit seconds; the clock starts with
+ *            the first move
+ *   moves    the highest score in moveLimit moves
+ *
+ * A game in one of the three challenge modes carries a challenge object:
+ *   { mode, day, timeLimit, moveLimit, moves, elapsedMs, startedAt }
+ * (startedAt is the Date.now() the clock last started, null while it is
+ * stopped). The functions below return new objects and never read the
+ * clock themselves, so every one of them takes `now`.
+ *
+ * Each mode keeps its own best score under its own localStorage key
+ * (getBestKey); classic keeps "2048-best".
+ *
+ * Like engine.js this file has no DOM access and loads in the page
+ * (window.Modes2048) and in Node.
+ */
+(function (root) {
+    'use strict';
+
+    const Engine2048 = root.Engine2048 || require('./engine.js');
+
+    const MODES = ['classic', 'daily', 'time', 'moves'];
+    const DEFAULT_TIME_LIMIT = 120; // seconds
+    const DEFAULT_MOVE_LIMIT = 200;
+    const CLASSIC_BEST_KEY = '2048-best';
+
+    // Name and stat-box label of each mode
+    const MODE_INFO = {
+        classic: { name: 'Classic', label: '' },
+        daily: { name: 'Daily Challenge', label: 'DAILY' },
+        time: { name: 'Time Attack', label: 'TIME' },
+        moves: { name: 'Move Limit', label: 'MOVES' }
+    };
+
+    // UTC date as "YYYY-MM-DD"
+    function getDayKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    // Seed of a day's challenge (FNV-1a hash of the day key)
+    function getDailySeed(day) {
+        let hash = 2166136261;
+        for (let i = 0; i < day.length; i++) {
+            hash ^= day.charCodeAt(i);
+            hash = Math.imul(hash, 16777619) >>> 0;
+        }
+        return hash;
+    }
+
+    // Settings every daily game is played with: the default rules, so the
+    // seed gives everyone the same spawns
+    function getDailySettings() {
+        const { seed, ...rules } = Engine2048.createConfig();
+        return rules;
+    }
+
+    function isValidTimeLimit(seconds) {
+        return Number.isInteger(seconds) && seconds > 0;
+    }
+
+    function isValidMoveLimit(moves) {
+        return Number.isInteger(moves) && moves > 0;
+    }
+
+    // Challenge for a new game in a mode; null for classic.
+    // options: { timeLimit, moveLimit }
+    function createChallenge(mode, options = {}, now = Date.now()) {
+        if (!MODES.includes(mode)) throw new Error(`Mode must be one of ${MODES.join(', ')}`);
+        if (mode === 'classic') return null;
+        return {
+            mode: mode,
+            day: mode === 'daily' ? getDayKey(new Date(now)) : null,
+            timeLimit: mode === 'time' ? (options.timeLimit || DEFAULT_TIME_LIMIT) : null,
+            moveLimit: mode === 'moves' ? (options.moveLimit || DEFAULT_MOVE_LIMIT) : null,
+            moves: 0,
+            elapsedMs: 0,
+            startedAt: null
+        };
+    }
+
+    // Whether a saved challenge object can be played on
+    function isValidChallenge(challenge) {
+        if (typeof challenge !== 'object' || challenge === null) return false;
+        if (!MODES.includes(challenge.mode) || challenge.mode === 'classic') return false;
+        if (!Number.isInteger(challenge.moves) || challenge.moves < 0) return false;
+        if (typeof challenge.elapsedMs !== 'number' || !(challenge.elapsedMs >= 0)) return false;
+        if (challenge.mode === 'daily') return /^\d{4}-\d{2}-\d{2}$/.test(challenge.day);
+        if (challenge.mode === 'time') return isValidTimeLimit(challenge.timeLimit);
+        return isValidMoveLimit(challenge.moveLimit);
+    }
+
+    function isClockRunning(challenge) {
+        return challenge.startedAt !== null && challenge.startedAt !== undefined;
+    }
+
+    function getElapsedMs(challenge, now) {
+        return challenge.elapsedMs + (isClockRunning(challenge) ? now - challenge.startedAt : 0);
+    }
+
+    // Start the clock (time attack only; the other modes are untimed)
+    function startClock(challenge, now) {
+        if (challenge.mode !== 'time' || isClockRunning(challenge)) return challenge;
+        return { ...challenge, startedAt: now };
+    }
+
+    // Stop the clock, keeping the time used so far (for saves)
+    function stopClock(challenge, now) {
+        if (!isClockRunning(challenge)) return challenge;
+        return { ...challenge, elapsedMs: getElapsedMs(challenge, now), startedAt: null };
+    }
+
+    // Count a move that changed the board
+    function countMove(challenge) {
+        return { ...challenge, moves: challenge.moves + 1 };
+    }
+
+    // Milliseconds left in a time attack, 0 at the end; null if untimed
+    function getTimeLeftMs(challenge, now) {
+        if (challenge.mode !== 'time') return null;
+        return Math.max(0, challenge.timeLimit * 1000 - getElapsedMs(challenge, now));
+    }
+
+    // Moves left in a move-limited game; null if unlimited
+    function getMovesLeft(challenge) {
+        if (challenge.mode !== 'moves') return null;
+        return Math.max(0, challenge.moveLimit - challenge.moves);
+    }
+
+    // Whether the time or the moves have run out (the daily challenge,
+    // like classic, ends only when no move is left)
+    function isChallengeOver(challenge, now) {
+        return getTimeLeftMs(challenge, now) === 0 || getMovesLeft(challenge) === 0;
+    }
+
+    // "m:ss"
+    function formatTime(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // What the mode stat box shows: the day, the time left or the moves left
+    function describeChallenge(challenge, now) {
+        if (challenge.mode === 'daily') return challenge.day;
+        if (challenge.mode === 'time') return formatTime(getTimeLeftMs(challenge, now));
+        return String(getMovesLeft(challenge));
+    }
+
+    // Message when the limit ends the game
+    function getEndMessage(challenge, score) {
+        const reason = challenge.mode === 'time' ? "Time's up!" : 'Out of moves!';
+        return `${reason} Score: ${score}`;
+    }
+
+    // localStorage key of the mode's best score. Time attack and move limit
+    // keep one best per limit; the daily best is stored with its day.
+    function getBestKey(challenge) {
+        if (!challenge) return CLASSIC_BEST_KEY;
+        if (challenge.mode === 'daily') return `${CLASSIC_BEST_KEY}-daily`;
+        if (challenge.mode === 'time') return `${CLASSIC_BEST_KEY}-time-${challenge.timeLimit}s`;
+        return `${CLASSIC_BEST_KEY}-moves-${challenge.moveLimit}`;
+    }
+
+    // Best score from the stored value under getBestKey (0 when there is
+    // none, or when the daily best is from another day)
+    function readBest(challenge, stored) {
+        if (stored === null || stored === undefined) return 0;
+        if (challenge && challenge.mode === 'daily') {
+            try {
+                const best = JSON.parse(stored);
+                return best && best.day === challenge.day && Number.isFinite(best.score) ? best.score : 0;
+            } catch (e) {
+                return 0;
+            }
+        }
+        return Number(stored) || 0;
+    }
+
+    // Value to store under getBestKey for a new best
+    function writeBest(challenge, score) {
+        if (challenge && challenge.mode === 'daily') return JSON.stringify({ day: challenge.day, score: score });
+        return String(score);
+    }
+
+    const Modes2048 = {
+        MODES,
+        MODE_INFO,
+        DEFAULT_TIME_LIMIT,
+        DEFAULT_MOVE_LIMIT,
+        getDayKey,
+        getDailySeed,
+        getDailySettings,
+        isValidTimeLimit,
+        isValidMoveLimit,
+        createChallenge,
+        isValidChallenge,
+        isClockRunning,
+        getElapsedMs,
+        startClock,
+        stopClock,
+        countMove,
+        getTimeLeftMs,
+        getMovesLeft,
+        isChallengeOver,
+        formatTime,
+        describeChallenge,
+        getEndMessage,
+        getBestKey,
+        readBest,
+        writeBest
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Modes2048;
+    } else {
+        root.Modes2048 = Modes2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,343 @@
+/**
+ * 2048 N-Tuple Network - TD learning agent
+ *
+ * A learned value function for boards, trained by self-play with TD(0) on
+ * afterstates (the board after a move, before the spawn), as in Szubert &
+ * Jaśkowski, "Temporal Difference Learning of N-Tuple Networks for the Game
+ * 2048" (2014). No search: the agent plays the move with the best
+ * merge score + value of the afterstate.
+ *
+ * The network is a few tuples of cells. Each tuple has one weight per
+ * combination of tile exponents on its cells (16^length weights), and is
+ * applied at all 8 rotations and reflections of the board. A board's value
+ * is the sum of the weights its cells select.
+ *
+ * Network object (plain data, so it can be posted to workers):
+ *   {
+ *     size: 4,                       // board size it was built for
+ *     tuples: [[[r, c], ...], ...],  // cells of each tuple
+ *     weights: [Float32Array, ...],  // one table per tuple
+ *     episodes: 0                    // self-play games trained so far
+ *   }
+ *
+ * Like engine.js this file has no DOM access and loads in the page
+ * (window.NTuple2048), in Web Workers and in Node.
+ */
+(function (root) {
+    'use strict';
+
+    const Engine2048 = root.Engine2048 || require('./engine.js');
+
+    const FORMAT = 'ntuple-2048';
+    const FORMAT_VERSION = 1;
+    const MAX_EXPONENT = 15; // 4 bits per cell; larger tiles share the 32768 weights
+    const MAX_TUPLE_LENGTH = 6; // 16^6 weights per table
+    const DEFAULT_LEARNING_RATE = 0.1; // Split across all tuple placements
+    const STATS_WINDOW = 100; // Games in the rolling training stats
+    const WEIGHT_DECIMALS = 1000; // Weights are saved to 3 decimals
+
+    const networks = {}; // Board size -> network used by the Rl strategy
+    const featureCache = new WeakMap(); // Network -> cell indexes per placement
+
+    // --- Network ---
+
+    // The two outer rows and three 2×2 squares in the corner. With the 8
+    // symmetries they cover every cell of a 4×4 board; larger boards are
+    // seen from their corners, 3×3 boards with 3-cell rows.
+    function getDefaultTuples(size) {
+        const length = Math.min(4, size);
+        const row = r => Array.from({ length: length }, (_, c) => [r, c]);
+        const square = (r, c) => [[r, c], [r, c + 1], [r + 1, c], [r + 1, c + 1]];
+        return [row(0), row(1), square(0, 0), square(0, 1), square(1, 1)];
+    }
+
+    function createNetwork(size, tuples = getDefaultTuples(size)) {
+        if (!Engine2048.isValidGridSize(size)) {
+            throw new Error(`Network size must be from ${Engine2048.MIN_GRID_SIZE} to ${Engine2048.MAX_GRID_SIZE}`);
+        }
+        return {
+            size: size,
+            tuples: tuples,
+            weights: tuples.map(tuple => new Float32Array(Math.pow(16, tuple.length))),
+            episodes: 0
+        };
+    }
+
+    // The 8 images of a cell under rotation and reflection
+    function getSymmetricCells(r, c, size) {
+        const last = size - 1;
+        return [
+            [r, c], [c, last - r], [last - r, last - c], [last - c, r],
+            [r, last - c], [last - c, last - r], [last - r, c], [c, r]
+        ];
+    }
+
+    // For each tuple, the flat cell indexes of its 8 placements
+    function getFeatures(network) {
+        let features = featureCache.get(network);
+        if (!features) {
+            features = network.tuples.map(tuple => {
+                const placements = [[], [], [], [], [], [], [], []];
+                for (const [r, c] of tuple) {
+                    getSymmetricCells(r, c, network.size).forEach(([sr, sc], i) => {
+                        placements[i].push(sr * network.size + sc);
+                    });
+                }
+                return placements;
+            });
+            featureCache.set(network, features);
+        }
+        return features;
+    }
+
+    function getFeatureCount(network) {
+        return network.tuples.length * 8;
+    }
+
+    // Flat tile exponents (0 = empty), capped at MAX_EXPONENT
+    function toExponents(board) {
+        const size = board.length;
+        const exponents = new Uint8Array(size * size);
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const value = board[r][c];
+                if (value) exponents[r * size + c] = Math.min(31 - Math.clz32(value), MAX_EXPONENT);
+            }
+        }
+        return exponents;
+    }
+
+    function valueOfExponents(network, exponents) {
+        const features = getFeatures(network);
+        let value = 0;
+        for (let t = 0; t < features.length; t++) {
+            const table = network.weights[t];
+            for (const cells of features[t]) {
+                let index = 0;
+                for (let k = 0; k < cells.length; k++) index = index * 16 + exponents[cells[k]];
+                value += table[index];
+            }
+        }
+        return value;
+    }
+
+    // Add delta to every weight the position selects
+    function updateExponents(network, exponents, delta) {
+        const features = getFeatures(network);
+        for (let t = 0; t < features.length; t++) {
+            const table = network.weights[t];
+            for (const cells of features[t]) {
+                let index = 0;
+                for (let k = 0; k < cells.length; k++) index = index * 16 + exponents[cells[k]];
+                table[index] += delta;
+            }
+        }
+    }
+
+    function evaluate(network, board) {
+        return valueOfExponents(network, toExponents(board));
+    }
+
+    // --- Playing ---
+
+    // Merge score + afterstate value per direction (null = no move)
+    function getMoveValues(network, board) {
+        return Engine2048.DIRECTIONS.map(dir => {
+            const sim = Engine2048.simulateMove(board, dir);
+            return sim.moved ? sim.score + evaluate(network, sim.board) : null;
+        });
+    }
+
+    // Best direction 0-3, or -1 if no move
+    function chooseMove(network, board) {
+        return Engine2048.pickBestMove(getMoveValues(network, board));
+    }
+
+    // The best move as { reward, board, exponents, value }, or null
+    function pickAfterstate(network, board) {
+        let best = null;
+        for (const dir of Engine2048.DIRECTIONS) {
+            const sim = Engine2048.simulateMove(board, dir);
+            if (!sim.moved) continue;
+            const exponents = toExponents(sim.board);
+            const value = sim.score + valueOfExponents(network, exponents);
+            if (!best || value > best.value) {
+                best = { reward: sim.score, board: sim.board, exponents: exponents, value: value };
+            }
+        }
+        return best;
+    }
+
+    // --- Training ---
+
+    // One self-play game. After each move, the previous afterstate's value
+    // moves toward this move's reward + afterstate value; the last one moves
+    // toward 0. Returns { score, maxTile, moves }.
+    function trainEpisode(network, rng, options = {}) {
+        const learningRate = (options.learningRate || DEFAULT_LEARNING_RATE) / getFeatureCount(network);
+        const prob4 = options.prob4 !== undefined ? options.prob4 : 0.1;
+
+        let board = Engine2048.createEmptyBoard(network.size);
+        for (let i = 0; i < 2; i++) {
+            const spawned = Engine2048.spawnTile(board, rng.current, prob4);
+            board = spawned.board;
+            rng.current = spawned.rngState;
+        }
+
+        let score = 0;
+        let moves = 0;
+        let previous = null; // Exponents of the last afterstate
+        for (let best = pickAfterstate(network, board); best; best = pickAfterstate(network, board)) {
+            if (previous) {
+                updateExponents(network, previous, learningRate * (best.value - valueOfExponents(network, previous)));
+            }
+            previous = best.exponents;
+            score += best.reward;
+            moves++;
+
+            const spawned = Engine2048.spawnTile(best.board, rng.current, prob4);
+            board = spawned.board;
+            rng.current = spawned.rngState;
+        }
+        if (previous) {
+            updateExponents(network, previous, -learningRate * valueOfExponents(network, previous));
+        }
+
+        network.episodes++;
+        return { score: score, maxTile: Engine2048.getMaxTile(board), moves: moves };
+    }
+
+    // Trains a network in slices, so the caller can report progress and
+    // stop between them. options: { learningRate, prob4, winScore, seed }
+    function createTrainer(network, options = {}) {
+        const rng = new Engine2048.SeededRandom(options.seed !== undefined ? options.seed : Date.now() % 4294967296);
+        const winScore = options.winScore || 2048;
+        const recent = []; // Last STATS_WINDOW results
+        let games = 0;
+        let bestScore = 0;
+
+        function record(result) {
+            games++;
+            bestScore = Math.max(bestScore, result.score);
+            recent.push(result);
+            if (recent.length > STATS_WINDOW) recent.shift();
+        }
+
+        // { episodes (all time), games (this trainer), averageScore and
+        //   winRate over the last games, bestScore }
+        function getStats() {
+            const total = recent.reduce((sum, r) => sum + r.score, 0);
+            const wins = recent.filter(r => r.maxTile >= winScore).length;
+            return {
+                episodes: network.episodes,
+                games: games,
+                averageScore: recent.length ? total / recent.length : 0,
+                winRate: recent.length ? wins / recent.length : 0,
+                bestScore: bestScore
+            };
+        }
+
+        return {
+            network: network,
+            getStats: getStats,
+            // Play `count` games
+            train: function (count) {
+                for (let i = 0; i < count; i++) record(trainEpisode(network, rng, options));
+                return getStats();
+            },
+            // Play games until `ms` have passed (at least one)
+            trainFor: function (ms) {
+                const deadline = Date.now() + ms;
+                do {
+                    record(trainEpisode(network, rng, options));
+                } while (Date.now() < deadline);
+                return getStats();
+            }
+        };
+    }
+
+    // --- Strategy Networks ---
+
+    // Network the Rl strategy uses for this board size (an untrained one,
+    // which plays greedily for merge score, until one is set)
+    function getNetwork(size) {
+        if (!networks[size]) networks[size] = createNetwork(size);
+        return networks[size];
+    }
+
+    function setNetwork(network) {
+        networks[network.size] = network;
+    }
+
+    // --- Save / Load ---
+
+    function toJSON(network) {
+        return {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            size: network.size,
+            tuples: network.tuples,
+            episodes: network.episodes,
+            weights: network.weights.map(table => Array.from(table, w => Math.round(w * WEIGHT_DECIMALS) / WEIGHT_DECIMALS))
+        };
+    }
+
+    // Network from toJSON() data; throws on anything malformed
+    function fromJSON(data) {
+        if (typeof data !== 'object' || data === null || data.format !== FORMAT) {
+            throw new Error('Not an n-tuple network file');
+        }
+        if (data.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported network version ${data.version}`);
+        }
+        if (!Engine2048.isValidGridSize(data.size)) {
+            throw new Error(`Network size must be from ${Engine2048.MIN_GRID_SIZE} to ${Engine2048.MAX_GRID_SIZE}`);
+        }
+        const inBoard = n => Number.isInteger(n) && n >= 0 && n < data.size;
+        if (!Array.isArray(data.tuples) || data.tuples.length === 0 || !data.tuples.every(tuple =>
+            Array.isArray(tuple) && tuple.length > 0 && tuple.length <= MAX_TUPLE_LENGTH &&
+            tuple.every(cell => Array.isArray(cell) && cell.length === 2 && inBoard(cell[0]) && inBoard(cell[1])))) {
+            throw new Error(`Tuples must be lists of 1 to ${MAX_TUPLE_LENGTH} [row, col] cells on the board`);
+        }
+        if (!Array.isArray(data.weights) || data.weights.length !== data.tuples.length) {
+            throw new Error('There must be one weight table per tuple');
+        }
+
+        const network = createNetwork(data.size, data.tuples);
+        data.weights.forEach((table, t) => {
+            if (!Array.isArray(table) || table.length !== network.weights[t].length || !table.every(Number.isFinite)) {
+                throw new Error(`Weight table ${t} must have ${network.weights[t].length} numbers`);
+            }
+            network.weights[t].set(table);
+        });
+        network.episodes = Number.isInteger(data.episodes) && data.episodes >= 0 ? data.episodes : 0;
+        return network;
+    }
+
+    const NTuple2048 = {
+        FORMAT,
+        FORMAT_VERSION,
+        MAX_EXPONENT,
+        DEFAULT_LEARNING_RATE,
+        STATS_WINDOW,
+        getDefaultTuples,
+        createNetwork,
+        getSymmetricCells,
+        toExponents,
+        evaluate,
+        getMoveValues,
+        chooseMove,
+        trainEpisode,
+        createTrainer,
+        getNetwork,
+        setNetwork,
+        toJSON,
+        fromJSON
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = NTuple2048;
+    } else {
+        root.NTuple2048 = NTuple2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,216 @@
+/**
+ * 2048 Race Page
+ *
+ * Draws the two boards of a Race2048 race, routes keys to them and runs
+ * the AI players. Each AI board gets its own ai-worker.js so both can think
+ * at once; without Web Workers the search runs on the main thread.
+ */
+
+const RACE_AI_TIME = 100; // ms the AI thinks per move
+const RACE_AI_DELAY = 150; // ms between AI moves, so the boards can be followed
+
+// --- DOM Elements ---
+const seedInput = document.getElementById('race-seed');
+const gridSizePicker = document.getElementById('race-grid-size');
+const strategyPicker = document.getElementById('race-ai-strategy');
+const startBtn = document.getElementById('race-start-btn');
+const resultEl = document.getElementById('race-result');
+const playerEls = Array.from(document.querySelectorAll('.race-player'));
+
+// --- State ---
+let race = null;
+let raceId = 0; // Bumped on every start; AI answers for an older race are dropped
+const aiWorkers = []; // Per player: Worker, null = not started, false = unavailable
+
+function init() {
+    renderStrategyPicker();
+
+    startBtn.addEventListener('click', startRace);
+    document.addEventListener('keydown', handleKey);
+    startRace();
+}
+
+function startRace() {
+    const seedText = seedInput.value.trim();
+    const seed = seedText === '' ? Date.now() % 4294967296 : Number(seedText);
+    if (!Number.isInteger(seed) || seed < 0) {
+        alert('The seed must be a whole number (or empty for a random one)');
+        return;
+    }
+
+    stopAi();
+    race = Race2048.createRace({
+        seed: seed,
+        config: { gridSize: parseInt(gridSizePicker.value) },
+        controllers: playerEls.map(el => el.querySelector('.race-controller').value)
+    });
+    raceId++;
+
+    resultEl.classList.add('hidden');
+    race.players.forEach((player, i) => {
+        playerEls[i].querySelector('.race-name').textContent = getPlayerName(i);
+        playerEls[i].classList.remove('winner');
+        renderPlayer(i);
+        if (player.controller === 'ai') scheduleAiMove(i);
+    });
+    startBtn.textContent = `🏁 Restart (seed ${seed})`;
+    startBtn.blur(); // Space/Enter should not restart mid-race
+}
+
+// Strategies the AI can race with. The learning agent (Rl) is not one: the
+// race page has no way to train or load its network, and an untrained one
+// only grabs the biggest merge.
+function renderStrategyPicker() {
+    Strategies2048.list()
+        .filter(strategy => strategy.id !== 'Rl')
+        .forEach(strategy => {
+            const option = document.createElement('option');
+            option.value = strategy.id;
+            option.textContent = strategy.name;
+            strategyPicker.appendChild(option);
+        });
+    strategyPicker.value = Strategies2048.DEFAULT_STRATEGY;
+}
+
+function getPlayerName(player) {
+    if (race.players[player].controller === 'ai') {
+        return `AI ${player + 1} (${Strategies2048.get(strategyPicker.value).name})`;
+    }
+    return `Player ${player + 1}`;
+}
+
+// --- Input ---
+
+function handleKey(e) {
+    if (!race || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return; // Typing a seed
+
+    const keyMove = Race2048.getKeyMove(e.key);
+    if (!keyMove || race.players[keyMove.player].controller !== 'keys') return;
+    e.preventDefault(); // Arrow keys would scroll the page
+
+    if (Race2048.playMove(race, keyMove.player, keyMove.direction)) {
+        renderPlayer(keyMove.player);
+        updateResult();
+    }
+}
+
+// --- AI Players ---
+
+function getAiWorker(player) {
+    if (aiWorkers[player] === undefined || aiWorkers[player] === null) {
+        try {
+            aiWorkers[player] = new Worker('ai-worker.js');
+        } catch (err) {
+            // e.g. pages opened from file:// in Chrome
+            console.warn('[Race] Web Worker unavailable, searching on the main thread:', err.message);
+            aiWorkers[player] = false;
+        }
+    }
+    return aiWorkers[player] || null;
+}
+
+function stopAi() {
+    aiWorkers.forEach((worker, i) => {
+        if (worker) worker.terminate(); // May be mid-search
+        aiWorkers[i] = null;
+    });
+}
+
+function scheduleAiMove(player) {
+    const id = raceId;
+    setTimeout(() => requestAiMove(player, id), RACE_AI_DELAY);
+}
+
+function requestAiMove(player, id) {
+    if (id !== raceId || race.players[player].state.gameOver) return;
+
+    const strategy = strategyPicker.value;
+    const board = race.players[player].state.board;
+    const options = { config: race.config, timeBudget: RACE_AI_TIME };
+    const worker = getAiWorker(player);
+    if (!worker) {
+        applyAiMove(player, id, Strategies2048.chooseMove(strategy, board, options));
+        return;
+    }
+
+    worker.onmessage = (e) => applyAiMove(player, id, e.data.move);
+    worker.onerror = (e) => {
+        console.warn('[Race] Worker failed, searching on the main thread:', e.message);
+        e.preventDefault();
+        worker.terminate();
+        aiWorkers[player] = false;
+        applyAiMove(player, id, Strategies2048.chooseMove(strategy, board, options));
+    };
+    worker.postMessage({ id: id, type: 'move', strategy: strategy, board: board, options: options });
+}
+
+function applyAiMove(player, id, move) {
+    if (id !== raceId) return; // Restarted meanwhile
+    if (move === -1 || !Race2048.playMove(race, player, move)) return; // Stuck
+
+    renderPlayer(player);
+    updateResult();
+    if (!race.players[player].state.gameOver) scheduleAiMove(player);
+}
+
+// --- Render ---
+
+function renderPlayer(player) {
+    const el = playerEls[player];
+    const { state, lastSpawn } = race.players[player];
+    el.querySelector('.race-score').textContent = state.score.toLocaleString();
+    el.querySelector('.race-moves').textContent = state.moves;
+    el.querySelector('.race-over').classList.toggle('hidden', !state.gameOver);
+    renderBoard(el.querySelector('.grid-container'), state.board, lastSpawn);
+}
+
+// Tiles are redrawn in place on every move; only the spawn pops in
+function renderBoard(container, board, spawn) {
+    const size = board.length;
+    container.style.setProperty('--grid-size', size);
+    container.style.setProperty('--move-ms', '80ms');
+    container.innerHTML = '';
+
+    for (let i = 0; i < size * size; i++) {
+        const cell = document.createElement('div');
+        cell.className = 'cell';
+        container.appendChild(cell);
+    }
+    board.forEach((row, r) => row.forEach((value, c) => {
+        if (value === 0) return;
+        const tile = document.createElement('div');
+        tile.className = 'tile';
+        if (spawn && spawn.r === r && spawn.c === c) tile.classList.add('new');
+        tile.style.setProperty('--row', r);
+        tile.style.setProperty('--col', c);
+        tile.setAttribute('data-val', value);
+        tile.textContent = value;
+        container.appendChild(tile);
+    }));
+}
+
+function updateResult() {
+    const result = Race2048.getResult(race);
+    if (!result.finished) {
+        // One board is done: say who the other one has to beat
+        const done = race.players.findIndex(p => p.state.gameOver);
+        if (done !== -1) {
+            resultEl.textContent = `${getPlayerName(done)} is out with ${result.scores[done].toLocaleString()} points`;
+            resultEl.classList.remove('hidden');
+        }
+        return;
+    }
+
+    if (result.winner === null) {
+        resultEl.textContent = `🤝 Draw at ${result.scores[0].toLocaleString()} points`;
+    } else {
+        const loser = 1 - result.winner;
+        resultEl.textContent = `🏆 ${getPlayerName(result.winner)} wins, ` +
+            `${result.scores[result.winner].toLocaleString()} to ${result.scores[loser].toLocaleString()}`;
+        playerEls[result.winner].classList.add('winner');
+    }
+    resultEl.classList.remove('hidden');
+}
+
+document.addEventListener('DOMContentLoaded', init);
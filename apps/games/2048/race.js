@@ -0,0 +1,104 @@
+/**
+ * 2048 Race - two boards from the same seed, side by side
+ *
+ * Each board is an independent Engine2048 game state, so the race needs no
+ * page globals. Both boards start from the same seed and draw spawns from
+ * their own copy of the RNG: they stay identical until the players' moves
+ * differ. A board is played from the keyboard (WASD on the left, arrow keys
+ * on the right) or by an AI strategy. The race ends when both boards are
+ * over; the higher score wins.
+ *
+ * Like engine.js this file has no DOM access and loads in the page
+ * (window.Race2048) and in Node. race-ui.js draws the race page.
+ */
+(function (root) {
+    'use strict';
+
+    const Engine2048 = root.Engine2048 || require('./engine.js');
+
+    const PLAYER_COUNT = 2;
+    const CONTROLLERS = ['keys', 'ai'];
+
+    // Key -> direction for each board (0: Up, 1: Right, 2: Down, 3: Left)
+    const KEY_BINDINGS = [
+        { w: 0, d: 1, s: 2, a: 3 },
+        { ArrowUp: 0, ArrowRight: 1, ArrowDown: 2, ArrowLeft: 3 }
+    ];
+
+    // options: { seed, config (Engine2048.createConfig overrides),
+    //            controllers: ['keys' | 'ai', 'keys' | 'ai'] }
+    function createRace(options = {}) {
+        const config = Engine2048.createConfig(options.config);
+        const seed = options.seed !== undefined ? options.seed : Date.now() % 4294967296;
+        const controllers = options.controllers || ['keys', 'keys'];
+        const start = Engine2048.newGame(config, seed);
+
+        const players = [];
+        for (let i = 0; i < PLAYER_COUNT; i++) {
+            if (!CONTROLLERS.includes(controllers[i])) {
+                throw new Error(`Controller must be one of ${CONTROLLERS.join(', ')}`);
+            }
+            players.push({ controller: controllers[i], state: start, lastSpawn: null });
+        }
+        return { seed: seed, config: config, players: players };
+    }
+
+    // { player, direction } for a keyboard key, or null. Letters work with
+    // Caps Lock or Shift held.
+    function getKeyMove(key) {
+        const normalized = key.length === 1 ? key.toLowerCase() : key;
+        for (let player = 0; player < PLAYER_COUNT; player++) {
+            const direction = KEY_BINDINGS[player][normalized];
+            if (direction !== undefined) return { player: player, direction: direction };
+        }
+        return null;
+    }
+
+    // Move one board. Returns false if the board is over or did not change.
+    function playMove(race, player, direction) {
+        const entry = race.players[player];
+        if (entry.state.gameOver) return false;
+
+        const result = Engine2048.applyMove(entry.state, direction, race.config);
+        if (!result.moved) return false;
+        entry.state = result.state;
+        entry.lastSpawn = result.spawn;
+        return true;
+    }
+
+    function isFinished(race) {
+        return race.players.every(p => p.state.gameOver);
+    }
+
+    // { finished, winner (player index, or null for a draw or an unfinished
+    // race), scores, moves }
+    function getResult(race) {
+        const scores = race.players.map(p => p.state.score);
+        const finished = isFinished(race);
+        let winner = null;
+        if (finished && scores[0] !== scores[1]) winner = scores[0] > scores[1] ? 0 : 1;
+        return {
+            finished: finished,
+            winner: winner,
+            scores: scores,
+            moves: race.players.map(p => p.state.moves)
+        };
+    }
+
+    const Race2048 = {
+        PLAYER_COUNT,
+        CONTROLLERS,
+        KEY_BINDINGS,
+        createRace,
+        getKeyMove,
+        playMove,
+        isFinished,
+        getResult
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Race2048;
+    } else {
+        root.Race2048 = Race2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,38 @@
+/**
+ * 2048 Training Worker
+ *
+ * Trains the learning agent's n-tuple network (ntuple.js) by self-play off
+ * the main thread.
+ *
+ * Requests:
+ *   { type: 'start', network, options }   network to keep training;
+ *                                         options as NTuple2048.createTrainer
+ *   { type: 'stop' }
+ * Responses:
+ *   { type: 'progress', stats }           after every slice (trainer.getStats())
+ *   { type: 'stopped', network, stats }   the trained network, after 'stop'
+ *
+ * Games run in TRAIN_SLICE_MS slices, so 'stop' is read between them.
+ */
+importScripts('engine.js', 'ntuple.js');
+
+const TRAIN_SLICE_MS = 250;
+
+let trainer = null;
+let sliceTimer = null;
+
+self.onmessage = function (e) {
+    if (e.data.type === 'start') {
+        trainer = NTuple2048.createTrainer(e.data.network, e.data.options);
+        trainSlice();
+    } else if (e.data.type === 'stop' && trainer) {
+        clearTimeout(sliceTimer);
+        self.postMessage({ type: 'stopped', network: trainer.network, stats: trainer.getStats() });
+        trainer = null;
+    }
+};
+
+function trainSlice() {
+    self.postMessage({ type: 'progress', stats: trainer.trainFor(TRAIN_SLICE_MS) });
+    sliceTimer = setTimeout(trainSlice, 0);
+}
@@ -0,0 +1,175 @@
+/**
+ * 2048 Config Scenarios
+ *
+ * Runs the checks a configuration file carries next to its settings
+ * through the engine, under the rule variant of those settings:
+ *   testScenarios.initialBoard         must be a valid board for the grid size
+ *   testScenarios.expectedMergeResult  { direction, resultBoard, scoreGain }:
+ *                                      the move from initialBoard must give this
+ *                                      board and score (before any spawn)
+ *   validationRules                    { onlyPowersOfTwo, minTileValue, maxTileValue }:
+ *                                      the engine must accept exactly these tiles,
+ *                                      and the scenario boards must keep to them
+ * testScenarios may also be an array of scenarios, each with an optional name.
+ *
+ * Like engine.js this file has no DOM access and loads in the page
+ * (window.Scenarios2048), in the test pages and in Node.
+ */
+(function (root) {
+    'use strict';
+
+    const Engine2048 = root.Engine2048 || require('./engine.js');
+
+    // Values that are not powers of two, probed against the engine
+    const NON_POWER_PROBES = [3, 6, 12, 96];
+
+    // Direction index for 0-3 or a name ('up', 'Left', ...); -1 if unknown
+    function parseDirection(direction) {
+        if (Engine2048.DIRECTIONS.includes(direction)) return direction;
+        if (typeof direction !== 'string') return -1;
+        return Engine2048.DIRECTION_NAMES.indexOf(direction.toUpperCase());
+    }
+
+    function isBoard(grid) {
+        return Array.isArray(grid) && grid.every(Array.isArray);
+    }
+
+    function isPowerOfTwo(value) {
+        return Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+    }
+
+    // Whether validationRules allow a tile value (missing rules allow anything)
+    function ruleAllows(rules, value) {
+        if (rules.minTileValue !== undefined && value < rules.minTileValue) return false;
+        if (rules.maxTileValue !== undefined && value > rules.maxTileValue) return false;
+        return !rules.onlyPowersOfTwo || isPowerOfTwo(value);
+    }
+
+    function engineAllows(value, config) {
+        return Engine2048.validateBoard([[value]], 1, config).length === 0;
+    }
+
+    function result(name, problems, summary) {
+        return { name: name, passed: problems.length === 0, message: problems.length > 0 ? problems.join('; ') : summary };
+    }
+
+    function checkInitialBoard(label, scenario, size, rules) {
+        const grid = scenario.initialBoard;
+        if (!isBoard(grid)) return result(`${label}Initial board`, ['initialBoard must be an array of rows'], '');
+        const boardSize = size !== undefined ? size : grid.length;
+        const tileCount = grid.reduce((n, row) => n + row.filter(v => v > 0).length, 0);
+        return result(`${label}Initial board`, Engine2048.validateBoard(grid, boardSize, rules),
+            `${boardSize}×${boardSize}, ${tileCount} tiles`);
+    }
+
+    function checkMergeResult(label, scenario, boardValid, rules) {
+        const expected = scenario.expectedMergeResult;
+        const dir = parseDirection(expected.direction);
+        const name = dir !== -1
+            ? `${label}Move ${Engine2048.DIRECTION_NAMES[dir].toLowerCase()}`
+            : `${label}Move`;
+        if (dir === -1) return result(name, [`Unknown direction "${expected.direction}"`], '');
+        if (!boardValid) return result(name, ['initialBoard is not a valid board'], '');
+
+        const sim = Engine2048.simulateMove(scenario.initialBoard, dir, false, rules);
+        const problems = [];
+        if (expected.resultBoard !== undefined && JSON.stringify(sim.board) !== JSON.stringify(expected.resultBoard)) {
+            problems.push(`Got ${JSON.stringify(sim.board)}, expected ${JSON.stringify(expected.resultBoard)}`);
+        }
+        if (expected.scoreGain !== undefined && sim.score !== expected.scoreGain) {
+            problems.push(`Score gain ${sim.score}, expected ${expected.scoreGain}`);
+        }
+        return result(name, problems, `Score gain ${sim.score}`);
+    }
+
+    // The engine, under the config's rule variant, must accept the tiles the
+    // rules allow and reject the rest, and the boards of every scenario must
+    // keep to the rules
+    function checkValidationRules(rules, scenarios, config) {
+        const problems = [];
+        for (const key of ['minTileValue', 'maxTileValue']) {
+            if (rules[key] !== undefined && typeof rules[key] !== 'number') problems.push(`${key} must be a number`);
+        }
+        if (problems.length > 0) return result('Validation rules', problems, '');
+
+        // Fibonacci tiles are not powers of two to begin with
+        const tiles = Engine2048.getValidTiles(config).filter(v => v !== 0);
+        const probes = new Set(config.mergeRule === 'fibonacci' ? tiles : tiles.concat(NON_POWER_PROBES));
+        if (rules.minTileValue !== undefined) probes.add(rules.minTileValue / 2);
+        if (rules.maxTileValue !== undefined) probes.add(rules.maxTileValue * 2);
+        for (const value of probes) {
+            const allowed = ruleAllows(rules, value);
+            if (engineAllows(value, config) !== allowed) {
+                problems.push(`Engine ${allowed ? 'rejects' : 'accepts'} ${value}`);
+            }
+        }
+
+        scenarios.forEach(scenario => {
+            const boards = [['initialBoard', scenario.initialBoard]];
+            if (scenario.expectedMergeResult) boards.push(['resultBoard', scenario.expectedMergeResult.resultBoard]);
+            for (const [key, grid] of boards) {
+                if (!isBoard(grid)) continue;
+                const broken = [...new Set(grid.flat().filter(v => v > 0 && !ruleAllows(rules, v)))];
+                if (broken.length > 0) problems.push(`${key} has tiles outside the rules: ${broken.join(', ')}`);
+            }
+        });
+
+        const range = `${rules.minTileValue !== undefined ? rules.minTileValue : 'any'}–${rules.maxTileValue !== undefined ? rules.maxTileValue : 'any'}`;
+        return result('Validation rules', problems, `Tiles ${range}${rules.onlyPowersOfTwo ? ', powers of two' : ''}`);
+    }
+
+    // Run every check in a configuration object (as loaded by
+    // Game2048.loadConfig). Returns {
+    //   name, results: [{ name, passed, message }], passed, failed
+    // }; `message` describes the failure, or what was checked on a pass.
+    // A config without testScenarios or validationRules has no results.
+    function runScenarios(config) {
+        const size = config.settings ? config.settings.gridSize : undefined;
+        const rules = Engine2048.createConfig(config.settings);
+        const scenarios = config.testScenarios === undefined || config.testScenarios === null
+            ? []
+            : [].concat(config.testScenarios);
+        const results = [];
+
+        scenarios.forEach((scenario, i) => {
+            if (typeof scenario !== 'object' || scenario === null || Array.isArray(scenario)) {
+                const label = scenarios.length > 1 ? `Scenario ${i + 1}: ` : '';
+                results.push(result(`${label}Scenario`, ['Scenario must be an object'], ''));
+                return;
+            }
+            const label = scenario.name ? `${scenario.name}: ` : (scenarios.length > 1 ? `Scenario ${i + 1}: ` : '');
+            if (scenario.initialBoard === undefined) {
+                results.push(result(`${label}Initial board`, ['Scenario has no initialBoard'], ''));
+                return;
+            }
+            const boardCheck = checkInitialBoard(label, scenario, size, rules);
+            results.push(boardCheck);
+            if (scenario.expectedMergeResult) {
+                results.push(checkMergeResult(label, scenario, boardCheck.passed, rules));
+            }
+        });
+        if (config.validationRules) {
+            const objects = scenarios.filter(scenario => typeof scenario === 'object' && scenario !== null);
+            results.push(checkValidationRules(config.validationRules, objects, rules));
+        }
+
+        const passed = results.filter(r => r.passed).length;
+        return {
+            name: config.name || 'Configuration',
+            results: results,
+            passed: passed,
+            failed: results.length - passed
+        };
+    }
+
+    const Scenarios2048 = {
+        parseDirection,
+        runScenarios
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Scenarios2048;
+    } else {
+        root.Scenarios2048 = Scenarios2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -1,35 +1,44 @@
 /**
- * 2048 Game Logic with Expectimax Solver
+ * 2048 Game UI
  * Brain Gym Style
+ *
+ * Rules, seeded RNG and the Expectimax AI live in engine.js (Engine2048);
+ * the selectable AI players live in strategies.js (Strategies2048) and run
+ * in ai-worker.js when the browser allows Web Workers, as does the
+ * post-game review (analysis.js, Analysis2048). The learning agent
+ * (ntuple.js, NTuple2048) trains in rl-worker.js. The checks a config
+ * file carries (testScenarios, validationRules) run in scenarios.js
+ * (Scenarios2048) when the config is loaded. The daily challenge, time
+ * attack and move limit modes keep their clocks and bests in modes.js
+ * (Modes2048).
+ * This file holds the current game, input handling and rendering.
  */
 
-const GRID_SIZE = 4;
-
-// --- Seeded Random Number Generator ---
-class SeededRandom {
-    constructor(seed = Date.now()) {
-        this.seed = seed;
-        this.current = seed;
-    }
-
-    // Linear Congruential Generator (LCG)
-    next() {
-        this.current = (this.current * 1664525 + 1013904223) % 4294967296;
-        return this.current / 4294967296;
-    }
-
-    reset() {
-        this.current = this.seed;
-    }
-}
-
-let rng = new SeededRandom();
+let rng = new Engine2048.SeededRandom();
 
 // --- Game2048 Namespace for Testing ---
 const Game2048 = {
     // Set seed for reproducible games
     setSeed: function (seed) {
-        rng = new SeededRandom(seed);
+        rng = new Engine2048.SeededRandom(seed);
+    },
+
+    // Get recorded moves (each with its spawn and the RNG state before the move)
+    getHistory: function () {
+        return moveHistory.slice(0, historyIndex).map(entry => ({
+            direction: entry.direction,
+            spawn: entry.spawn ? { ...entry.spawn } : null,
+            rngState: entry.rngState
+        }));
+    },
+
+    // Step backwards/forwards through the move history
+    undo: function () { return undoMove(); },
+    redo: function () { return redoMove(); },
+
+    // Build a replay (seed + move list) for the current game
+    exportReplay: function () {
+        return buildReplay();
     },
 
     // Get current board state
@@ -42,6 +51,13 @@ const Game2048 = {
         board = newGrid.map(row => [...row]);
     },
 
+    // Tiles with their identity: [{ id, value, r, c }]. A tile keeps its id
+    // while it slides; a merge keeps the id of the tile nearer the wall.
+    getTiles: function () {
+        syncTiles();
+        return tiles.map(t => ({ id: t.id, value: t.value, r: t.r, c: t.c }));
+    },
+
     // Get current score
     getScore: function () {
         return score;
@@ -51,30 +67,24 @@ const Game2048 = {
     init: function (uiRefs) {
         if (uiRefs === null) {
             // Test mode - no UI
-            board = Array(GRID_SIZE).fill().map(() => Array(GRID_SIZE).fill(0));
+            board = Engine2048.createBoard(CONF);
             score = 0;
+            challenge = null;
             gameOver = false;
             gameWon = false;
+            keepPlaying = false;
+            resetHistory();
         }
     },
 
     // Slide row (exposed for testing)
     slideRow: function (row) {
-        let filtered = row.filter(val => val !== 0);
-        while (filtered.length < row.length) filtered.push(0);
-        return filtered;
+        return Engine2048.slideRow(row);
     },
 
-    // Combine row (exposed for testing)
+    // Combine row (exposed for testing), under the current merge rule
     combineRow: function (row) {
-        let combined = [...row];
-        for (let i = 0; i < combined.length - 1; i++) {
-            if (combined[i] !== 0 && combined[i] === combined[i + 1]) {
-                combined[i] *= 2;
-                combined[i + 1] = 0;
-            }
-        }
-        return combined;
+        return Engine2048.combineRow(row, CONF);
     },
 
     // Move functions for testing
@@ -83,14 +93,16 @@ const Game2048 = {
     moveUp: function () { return move(0); },
     moveDown: function () { return move(2); },
 
-    // Check win condition
+    // Check win condition: a tile of winScore or more (with Fibonacci
+    // tiles, the first one past it)
     checkWin: function () {
-        for (let r = 0; r < GRID_SIZE; r++) {
-            for (let c = 0; c < GRID_SIZE; c++) {
-                if (board[r][c] >= CONF.winScore) return true;
-            }
-        }
-        return false;
+        return Engine2048.hasWon(board, CONF.winScore);
+    },
+
+    // Tile the player is after (see Engine2048.getTarget): winScore, or
+    // the next tile up in endless play
+    getTarget: function () {
+        return Engine2048.getTarget(board, CONF);
     },
 
     // Check lose condition
@@ -100,25 +112,28 @@ const Game2048 = {
 
     // Validate board state (for anti-cheat testing)
     validateBoardState: function () {
-        const errors = [];
-        const validTiles = [0, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536, 131072];
-
-        for (let r = 0; r < GRID_SIZE; r++) {
-            for (let c = 0; c < GRID_SIZE; c++) {
-                const val = board[r][c];
-                if (!validTiles.includes(val)) {
-                    errors.push(`Invalid tile value ${val} at position (${r}, ${c})`);
-                }
-            }
-        }
-        return errors;
+        return Engine2048.validateBoard(board, CONF.gridSize, CONF);
     },
 
-    // Load configuration
+    // Load configuration. Every setting is checked first: a config with an
+    // invalid setting returns false and changes nothing.
     loadConfig: function (config) {
         if (config.settings) {
+            const errors = validateSettings(config.settings);
+            if (errors.length > 0) {
+                errors.forEach(error => console.error(`[Config] ${error}`));
+                return false;
+            }
+            // Loaded settings are the player's own from now on
+            playerSettings = null;
+            if (config.settings.gridSize !== undefined) {
+                setGridSize(config.settings.gridSize);
+            }
             if (config.settings.seed !== undefined) {
-                this.setSeed(config.settings.seed);
+                CONF.seed = config.settings.seed;
+                if (config.settings.seed !== null) {
+                    this.setSeed(config.settings.seed);
+                }
             }
             if (config.settings.prob4 !== undefined) {
                 CONF.prob4 = config.settings.prob4;
@@ -126,22 +141,178 @@ const Game2048 = {
             if (config.settings.winScore !== undefined) {
                 CONF.winScore = config.settings.winScore;
             }
+            if (config.settings.spawnMode !== undefined) {
+                setSpawnMode(config.settings.spawnMode);
+            }
+            if (config.settings.mergeRule !== undefined) {
+                setMergeRule(config.settings.mergeRule);
+            }
+            if (config.settings.spawnWeights !== undefined) {
+                const weights = config.settings.spawnWeights;
+                CONF.spawnWeights = weights === null ? null : { ...weights };
+            }
+            if (config.settings.blockers !== undefined) {
+                CONF.blockers = config.settings.blockers.map(cell => [...cell]);
+            }
+            if (config.settings.endless !== undefined) {
+                setEndless(!!config.settings.endless);
+            }
+            if (config.settings.gameMode !== undefined) {
+                setGameMode(config.settings.gameMode);
+            }
+            if (config.settings.timeLimit !== undefined) {
+                timeLimit = config.settings.timeLimit;
+            }
+            if (config.settings.moveLimit !== undefined) {
+                moveLimit = config.settings.moveLimit;
+            }
+            if (config.settings.aiTimeBudget !== undefined) {
+                setAiTimeBudget(config.settings.aiTimeBudget);
+            }
+            if (config.settings.heuristicWeights !== undefined) {
+                setHeuristicWeights(config.settings.heuristicWeights);
+            }
+            if (config.settings.liveHints !== undefined) {
+                setLiveHints(!!config.settings.liveHints);
+            }
+            if (config.settings.aiStrategy !== undefined) {
+                setAiStrategy(config.settings.aiStrategy);
+            }
+        }
+        if (config.testScenarios !== undefined || config.validationRules !== undefined) {
+            showScenarioResults(Scenarios2048.runScenarios(config));
         }
         return true;
     },
 
-    // Run seeded game simulation
+    // Start a new game in the selected mode, like New Game (without the UI)
+    newGame: function () {
+        resetGame();
+    },
+
+    // Mode of the games New Game starts (false if unknown, see Modes2048)
+    setGameMode: function (mode) {
+        return setGameMode(mode);
+    },
+
+    // The current game's challenge with its time and moves left, or null
+    // for a classic game
+    getChallenge: function () {
+        if (!challenge) return null;
+        const now = Date.now();
+        return {
+            ...challenge,
+            timeLeftMs: Modes2048.getTimeLeftMs(challenge, now),
+            movesLeft: Modes2048.getMovesLeft(challenge)
+        };
+    },
+
+    // Results of the last loaded config's scenarios (see Scenarios2048.runScenarios)
+    getScenarioResults: function () {
+        return scenarioReport;
+    },
+
+    // Select the AI used by hints and "Play for Me" (returns false if unknown)
+    setStrategy: function (id) {
+        return setAiStrategy(id);
+    },
+
+    getStrategy: function () {
+        return aiStrategy;
+    },
+
+    // Heuristic weights used by the AI (copy)
+    getHeuristicWeights: function () {
+        return { ...heuristicWeights };
+    },
+
+    // Weighted heuristic terms and total for the current board
+    evaluateBoard: function () {
+        return Engine2048.evaluateBreakdown(board, heuristicWeights);
+    },
+
+    // Suggested move + Expectimax value per direction (synchronous)
+    getHint: function () {
+        return analyzeBoard();
+    },
+
+    // Ask the selected AI for a move on the current board (synchronous,
+    // uses the per-move time budget)
+    getAiMove: function () {
+        return chooseAiMove();
+    },
+
+    // Review of the moves played so far (synchronous, see Analysis2048.analyzeGame)
+    analyzeGame: function (options = {}) {
+        return reviewGame(buildReplay(), options);
+    },
+
+    // Play from a set-up position; seed drives the spawns (null: random).
+    // Returns the problems that stopped it (empty when the game started).
+    setPosition: function (grid, positionScore = 0, seed = null) {
+        return startFromPosition(grid, positionScore, seed);
+    },
+
+    // The current board as a testScenarios position file
+    exportPosition: function () {
+        return buildPosition(board, score, rng.seed);
+    },
+
+    // Learning agent network for the current grid size, as saved to file
+    exportNetwork: function () {
+        return NTuple2048.toJSON(NTuple2048.getNetwork(CONF.gridSize));
+    },
+
+    // Use saved network data for its grid size (throws if malformed)
+    loadNetwork: function (data) {
+        return loadNetwork(data);
+    },
+
+    // Save / resume the game in localStorage
+    saveGame: function () { saveGame(); },
+    getSavedGame: function () { return loadSavedGame(); },
+    resumeGame: function () {
+        const save = loadSavedGame();
+        if (!save) return false;
+        restoreGame(save);
+        return true;
+    },
+    clearSavedGame: function () { clearSavedGame(); },
+
+    // Run seeded game simulation.
+    // Accepts (seed, moves) or a replay object from exportReplay().
     runSeededSimulation: function (seed, moves) {
+        let initialBoard = null;
+        let initialScore = 0;
+        if (typeof seed === 'object' && seed !== null) {
+            const replay = seed;
+            if (!this.loadConfig(replay)) return null;
+            resetMissingRules(replay.settings);
+            seed = replay.settings.seed;
+            moves = replay.moves;
+            initialBoard = replay.initialBoard || null;
+            initialScore = replay.initialScore || 0;
+        }
+
         this.setSeed(seed);
         this.init(null);
-        addRandomTile();
-        addRandomTile();
+        if (initialBoard) {
+            // Started from the board editor
+            board = Engine2048.copyGrid(initialBoard);
+            score = initialScore;
+            startPosition = { board: Engine2048.copyGrid(initialBoard), score: initialScore };
+        } else {
+            startPosition = null;
+            addRandomTile(true);
+            addRandomTile(true);
+        }
 
         const results = [];
         for (const dir of moves) {
+            const before = captureState();
             const moved = move(dir);
             if (moved) {
-                addRandomTile();
+                recordMove(dir, addRandomTile(), before);
             }
             results.push({
                 board: this.getGrid(),
@@ -154,15 +325,161 @@ const Game2048 = {
 };
 
 // --- Config ---
-const CONF = {
-    prob4: 0.1,    // Probability of spawning a 4 (vs 2)
-    winScore: 2048
-};
+// gridSize, seed, prob4, winScore, spawnMode and the rule variants
+// (see Engine2048.createConfig)
+const CONF = Engine2048.createConfig();
+
+// Change the board size. The current board is replaced with an empty one
+// (with the blockers that fit on it).
+function setGridSize(size) {
+    CONF.gridSize = size;
+    board = Engine2048.createBoard(CONF);
+    if (gridSizePicker) gridSizePicker.value = size;
+    if (!rlTraining) updateLearningStatus();
+}
+
+// 'random' or 'evil' (see Engine2048.spawnAfterMove); false if unknown.
+// Takes effect on the next spawn, so the UI starts a new game with it.
+function setSpawnMode(mode) {
+    if (!Engine2048.SPAWN_MODES.includes(mode)) return false;
+    CONF.spawnMode = mode;
+    if (spawnModePicker) spawnModePicker.value = mode;
+    if (evilBadge) evilBadge.classList.toggle('hidden', mode !== 'evil');
+    return true;
+}
+
+// 'classic' or 'fibonacci'; false if unknown. Spawn weights for tiles the
+// rule does not have are dropped. Moves follow the rule at once, so the
+// UI starts a new game with it.
+function setMergeRule(rule) {
+    if (!Engine2048.MERGE_RULES.includes(rule)) return false;
+    CONF.mergeRule = rule;
+    if (CONF.spawnWeights && Engine2048.validateSpawnWeights(CONF.spawnWeights, rule).length > 0) {
+        CONF.spawnWeights = null;
+    }
+    if (mergeRulePicker) mergeRulePicker.value = rule;
+    return true;
+}
+
+// Endless play: no "You Win!" stop, the target moves up instead
+function setEndless(on) {
+    CONF.endless = on;
+    if (endlessToggle) endlessToggle.checked = on;
+    updateTarget();
+}
+
+// Mode of the games New Game starts: 'classic', 'daily', 'time' or 'moves';
+// false if unknown
+function setGameMode(mode) {
+    if (!Modes2048.MODES.includes(mode)) return false;
+    gameMode = mode;
+    if (gameModePicker) gameModePicker.value = mode;
+    // Daily games play by the daily rules (resetGame), so the rules cannot
+    // be picked until the player leaves the mode
+    [gridSizePicker, spawnModePicker, mergeRulePicker].forEach(picker => {
+        if (picker) picker.disabled = mode === 'daily';
+    });
+    return true;
+}
+
+// Problems with the settings of a config (see Game2048.loadConfig), checked
+// against the grid size and merge rule the config leaves in place
+function validateSettings(settings) {
+    const errors = [];
+    const gridSize = settings.gridSize !== undefined ? settings.gridSize : CONF.gridSize;
+    const mergeRule = settings.mergeRule !== undefined ? settings.mergeRule : CONF.mergeRule;
+    if (settings.gridSize !== undefined && !Engine2048.isValidGridSize(settings.gridSize)) {
+        errors.push(`gridSize must be an integer from ${Engine2048.MIN_GRID_SIZE} to ${Engine2048.MAX_GRID_SIZE}`);
+    }
+    if (settings.spawnMode !== undefined && !Engine2048.SPAWN_MODES.includes(settings.spawnMode)) {
+        errors.push(`spawnMode must be one of ${Engine2048.SPAWN_MODES.join(', ')}`);
+    }
+    if (settings.mergeRule !== undefined && !Engine2048.MERGE_RULES.includes(settings.mergeRule)) {
+        errors.push(`mergeRule must be one of ${Engine2048.MERGE_RULES.join(', ')}`);
+    }
+    if (settings.spawnWeights !== undefined && settings.spawnWeights !== null && Engine2048.MERGE_RULES.includes(mergeRule)) {
+        const weightErrors = Engine2048.validateSpawnWeights(settings.spawnWeights, mergeRule);
+        if (weightErrors.length > 0) errors.push(`spawnWeights: ${weightErrors.join('; ')}`);
+    }
+    if (settings.blockers !== undefined && Engine2048.isValidGridSize(gridSize)) {
+        const blockerErrors = Engine2048.validateBlockers(settings.blockers, gridSize);
+        if (blockerErrors.length > 0) errors.push(`blockers: ${blockerErrors.join('; ')}`);
+    }
+    if (settings.gameMode !== undefined && !Modes2048.MODES.includes(settings.gameMode)) {
+        errors.push(`gameMode must be one of ${Modes2048.MODES.join(', ')}`);
+    }
+    if (settings.timeLimit !== undefined && !Modes2048.isValidTimeLimit(settings.timeLimit)) {
+        errors.push('timeLimit must be a whole number of seconds above 0');
+    }
+    if (settings.moveLimit !== undefined && !Modes2048.isValidMoveLimit(settings.moveLimit)) {
+        errors.push('moveLimit must be a whole number above 0');
+    }
+    if (settings.aiTimeBudget !== undefined && (typeof settings.aiTimeBudget !== 'number' || !(settings.aiTimeBudget > 0))) {
+        errors.push('aiTimeBudget must be a positive number of milliseconds');
+    }
+    if (settings.heuristicWeights !== undefined) {
+        const weightErrors = Engine2048.validateHeuristicWeights(settings.heuristicWeights);
+        if (weightErrors.length > 0) errors.push(`heuristicWeights: ${weightErrors.join('; ')}`);
+    }
+    if (settings.aiStrategy !== undefined && !Strategies2048.get(settings.aiStrategy)) {
+        errors.push(`Unknown aiStrategy "${settings.aiStrategy}"`);
+    }
+    return errors;
+}
+
+// Replays, saves and positions from before a rule existed play by its default
+function resetMissingRules(settings) {
+    const defaults = Engine2048.createConfig();
+    if (settings.spawnMode === undefined) setSpawnMode(defaults.spawnMode);
+    if (settings.mergeRule === undefined) setMergeRule(defaults.mergeRule);
+    if (settings.spawnWeights === undefined) CONF.spawnWeights = defaults.spawnWeights;
+    if (settings.blockers === undefined) CONF.blockers = defaults.blockers;
+    if (settings.endless === undefined) setEndless(defaults.endless);
+}
+
+// Problems with the rule variants of a replay, save or position (the
+// checks loadConfig makes), so its boards can be checked under them
+function getRuleErrors(settings, size) {
+    const errors = [];
+    if (settings.mergeRule !== undefined && !Engine2048.MERGE_RULES.includes(settings.mergeRule)) {
+        errors.push(`Unknown merge rule "${settings.mergeRule}"`);
+    } else if (settings.spawnWeights) {
+        errors.push(...Engine2048.validateSpawnWeights(settings.spawnWeights, settings.mergeRule));
+    }
+    if (settings.blockers !== undefined) {
+        errors.push(...Engine2048.validateBlockers(settings.blockers, size));
+    }
+    return errors;
+}
+
+// Grid size and rules the player chose, as loadConfig settings
+function getPlayerSettings() {
+    return { gridSize: CONF.gridSize, ...getRuleSettings() };
+}
+
+// Settings that decide how a game plays, as written to replays, saves and
+// position files (each adds gridSize and a seed)
+function getRuleSettings() {
+    return {
+        prob4: CONF.prob4,
+        winScore: CONF.winScore,
+        spawnMode: CONF.spawnMode,
+        mergeRule: CONF.mergeRule,
+        spawnWeights: CONF.spawnWeights,
+        blockers: CONF.blockers,
+        endless: CONF.endless
+    };
+}
 
 // --- DOM Elements ---
 const gridContainer = document.getElementById('grid-container');
 const scoreEl = document.getElementById('score-value');
 const bestEl = document.getElementById('best-value');
+const bestLabel = document.getElementById('best-label');
+const modeBox = document.getElementById('mode-box');
+const modeLabel = document.getElementById('mode-label');
+const modeValue = document.getElementById('mode-value');
+const gameModePicker = document.getElementById('game-mode-picker');
 const gameMsg = document.getElementById('game-message');
 const newGameBtn = document.getElementById('new-game-btn');
 const hintBtn = document.getElementById('hint-btn');
@@ -172,40 +489,195 @@ const settingsModal = document.getElementById('settings-modal');
 const closeSettingsBtn = document.getElementById('close-settings');
 const themePicker = document.getElementById('theme-picker');
 const speedRange = document.getElementById('speed-range');
+const gridSizePicker = document.getElementById('grid-size-picker');
+const spawnModePicker = document.getElementById('spawn-mode-picker');
+const evilBadge = document.getElementById('evil-badge');
+const targetBox = document.getElementById('target-box');
+const targetValue = document.getElementById('target-value');
+const mergeRulePicker = document.getElementById('merge-rule-picker');
+const endlessToggle = document.getElementById('endless-toggle');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const exportReplayBtn = document.getElementById('export-replay-btn');
+const importReplayBtn = document.getElementById('import-replay-btn');
+const replayFileInput = document.getElementById('replay-file-input');
+const loadConfigBtn = document.getElementById('load-config-btn');
+const configFileInput = document.getElementById('config-file-input');
+const scenarioPanel = document.getElementById('scenario-panel');
+const scenarioSummary = document.getElementById('scenario-summary');
+const scenarioResults = document.getElementById('scenario-results');
+const closeScenariosBtn = document.getElementById('close-scenarios');
+const keepPlayingBtn = document.getElementById('keep-playing-btn');
+const resumeModal = document.getElementById('resume-modal');
+const resumeSummary = document.getElementById('resume-summary');
+const resumeBtn = document.getElementById('resume-btn');
+const resumeNewBtn = document.getElementById('resume-new-btn');
+const hintOverlay = document.getElementById('hint-overlay');
+const hintArrow = document.getElementById('hint-arrow');
+const hintBreakdown = document.getElementById('hint-breakdown');
+const liveHintsToggle = document.getElementById('live-hints-toggle');
+const aiStrategyPicker = document.getElementById('ai-strategy-picker');
+const aiTimeRange = document.getElementById('ai-time-range');
+const aiTimeValue = document.getElementById('ai-time-value');
+const heuristicWeightsEl = document.getElementById('heuristic-weights');
+const analyzeBtn = document.getElementById('analyze-btn');
+const analysisModal = document.getElementById('analysis-modal');
+const closeAnalysisBtn = document.getElementById('close-analysis');
+const analysisStatus = document.getElementById('analysis-status');
+const analysisView = document.getElementById('analysis-view');
+const analysisGraph = document.getElementById('analysis-graph');
+const analysisBoard = document.getElementById('analysis-board');
+const analysisPosition = document.getElementById('analysis-position');
+const analysisValues = document.getElementById('analysis-values');
+const analysisBlunders = document.getElementById('analysis-blunders');
+const analysisPrevBtn = document.getElementById('analysis-prev');
+const analysisNextBtn = document.getElementById('analysis-next');
+const rlTrainBtn = document.getElementById('rl-train-btn');
+const rlSaveBtn = document.getElementById('rl-save-btn');
+const rlLoadBtn = document.getElementById('rl-load-btn');
+const rlFileInput = document.getElementById('rl-file-input');
+const rlStatus = document.getElementById('rl-status');
+const editBtn = document.getElementById('edit-btn');
+const editorPanel = document.getElementById('editor-panel');
+const editorScore = document.getElementById('editor-score');
+const editorSeed = document.getElementById('editor-seed');
+const editorErrors = document.getElementById('editor-errors');
+const editorPlayBtn = document.getElementById('editor-play-btn');
+const editorAiBtn = document.getElementById('editor-ai-btn');
+const editorClearBtn = document.getElementById('editor-clear-btn');
+const editorSaveBtn = document.getElementById('editor-save-btn');
+const editorLoadBtn = document.getElementById('editor-load-btn');
+const editorCancelBtn = document.getElementById('editor-cancel-btn');
+const editorFileInput = document.getElementById('editor-file-input');
 
 // --- State ---
 let board = [];
 let score = 0;
-let bestScore = localStorage.getItem('2048-best') || 0;
+let bestScore = Modes2048.readBest(null, localStorage.getItem(Modes2048.getBestKey(null))); // Of the game's mode, see loadBest()
 let gameOver = false;
 let gameWon = false;
+let keepPlaying = false; // Player chose to continue after winning
+let playerSettings = null; // The player's own settings while daily games use the daily ones (resetGame)
 let autoPlayInterval = null;
 let isAutoPlaying = false;
 let autoSpeed = 200; // ms
+let aiStrategy = Strategies2048.DEFAULT_STRATEGY;
+let aiTimeBudget = 200; // ms per AI move
+let heuristicWeights = { ...Engine2048.DEFAULT_HEURISTIC_WEIGHTS };
+let liveHints = false; // Re-run the hint after every move
+
+// Game modes (see Modes2048): the mode New Game starts, the limits of the
+// timed and move-limited modes, and the current game's challenge (null
+// for a classic game, and for replays and set-up positions)
+let gameMode = 'classic';
+let timeLimit = Modes2048.DEFAULT_TIME_LIMIT; // seconds
+let moveLimit = Modes2048.DEFAULT_MOVE_LIMIT;
+let challenge = null;
+let challengeTimer = null; // Interval that runs the time attack clock
+
+// AI worker: null = not started yet, false = unavailable (search runs
+// on the main thread instead)
+let aiWorker = null;
+let aiRequestId = 0;
+let pendingAiRequest = null; // { id, type, callback, extra, onProgress }
+
+// Post-game review shown in the analysis modal (see Analysis2048.analyzeGame)
+let gameAnalysis = null;
+let analysisIndex = 0; // Move shown; moves.length = final position
+
+// Learning agent training run: { worker, size, stopping } while
+// rl-worker.js trains, { timer, trainer, size } when training on the main
+// thread, else null
+let rlTraining = null;
+
+// Board editor: the game under the editor while it is open ({ board }),
+// and the position the current game started from if it was set up there
+// ({ board, score }, null for a normal opening)
+let editorBackup = null;
+let startPosition = null;
+
+// Scenario results of the last config loaded with testScenarios or
+// validationRules (see Scenarios2048.runScenarios), else null
+let scenarioReport = null;
+
+// Move history: one entry per move that changed the board.
+// Entries past historyIndex are the redo branch.
+let moveHistory = [];
+let historyIndex = 0;
+
+// Tiles on the board, tracked across moves so the renderer can slide them.
+// `merged`/`isNew` flag the pop animations for the next render.
+let tiles = []; // { id, value, r, c, merged, isNew }
+let mergedAwayTiles = []; // Tiles consumed by a merge, slid out then removed
+let nextTileId = 1;
+const tileElements = new Map(); // tile id -> DOM element
 
 // --- Initialization ---
 
 function init() {
-    bestEl.textContent = bestScore;
+    loadBest();
     setupInputs();
     setupSettings();
-    startNewGame();
+    setupResume();
+    setupAnalysis();
+    setupLearning();
+    setupEditor();
+
+    // Show a saved game behind the resume prompt, or start fresh
+    const save = loadSavedGame();
+    if (save) {
+        restoreGame(save);
+        offerResume(save);
+    } else {
+        startNewGame();
+    }
 }
 
-function startNewGame() {
+function startNewGame(seed) {
     stopAutoPlay();
-    board = Array(GRID_SIZE).fill().map(() => Array(GRID_SIZE).fill(0));
+    if (isEditing()) closeEditor();
+    resetGame(seed);
+    gameMsg.classList.add('hidden');
+    render();
+}
+
+// The state of a new game (startNewGame adds the UI)
+function resetGame(seed) {
+    startPosition = null;
+
+    // New Game plays the selected mode; a game from a given seed (a replay)
+    // is a classic one. The daily challenge has its own rules and seed, and
+    // the player's own settings come back with the next game in another mode.
+    challenge = seed === undefined ? Modes2048.createChallenge(gameMode, { timeLimit, moveLimit }) : null;
+    if (challenge && challenge.mode === 'daily') {
+        const own = playerSettings || getPlayerSettings();
+        Game2048.loadConfig({ settings: Modes2048.getDailySettings() });
+        playerSettings = own;
+        seed = Modes2048.getDailySeed(challenge.day);
+    } else if (playerSettings) {
+        Game2048.loadConfig({ settings: playerSettings });
+    }
+    stopChallengeTimer();
+    loadBest();
+
+    // Every game gets its own seed so it can be replayed exactly
+    if (seed === undefined) {
+        seed = CONF.seed !== null ? CONF.seed : Date.now() % 4294967296;
+    }
+    rng = new Engine2048.SeededRandom(seed);
+
+    board = Engine2048.createBoard(CONF);
     score = 0;
     gameOver = false;
     gameWon = false;
+    keepPlaying = false;
     updateScore(0);
-    gameMsg.classList.add('hidden');
+    resetHistory();
+    clearSavedGame(); // Nothing to resume until the first move
 
     // Add two starting tiles
-    addRandomTile();
-    addRandomTile();
-
-    render();
+    addRandomTile(true);
+    addRandomTile(true);
 }
 
 function setupInputs() {
@@ -213,9 +685,12 @@ function setupInputs() {
     document.addEventListener('keydown', handleInput);
 
     // Buttons
-    newGameBtn.addEventListener('click', startNewGame);
+    newGameBtn.addEventListener('click', () => startNewGame());
+    keepPlayingBtn.addEventListener('click', continueAfterWin);
     hintBtn.addEventListener('click', showHint);
     solveBtn.addEventListener('click', toggleAutoPlay);
+    undoBtn.addEventListener('click', undoMove);
+    redoBtn.addEventListener('click', redoMove);
 
     // Touch (Swipe)
     let touchStartX = 0;
@@ -228,6 +703,11 @@ function setupInputs() {
     }, { passive: false });
 
     gridContainer.addEventListener('touchend', (e) => {
+        if (isEditing()) {
+            // touchstart's preventDefault suppresses the click
+            editCellAt(e.changedTouches[0].clientX, e.changedTouches[0].clientY, 1);
+            return;
+        }
         let touchEndX = e.changedTouches[0].screenX;
         let touchEndY = e.changedTouches[0].screenY;
         handleSwipe(touchStartX, touchStartY, touchEndX, touchEndY);
@@ -251,269 +731,598 @@ function setupSettings() {
         // Value 500 = 50ms delay. Value 50 = 500ms delay.
         autoSpeed = 550 - parseInt(e.target.value);
     });
+
+    Strategies2048.list().forEach(strategy => {
+        const option = document.createElement('option');
+        option.value = strategy.id;
+        option.textContent = strategy.name;
+        aiStrategyPicker.appendChild(option);
+    });
+    aiStrategyPicker.value = aiStrategy;
+    aiStrategyPicker.addEventListener('change', (e) => {
+        setAiStrategy(e.target.value);
+    });
+
+    aiTimeRange.addEventListener('input', (e) => {
+        setAiTimeBudget(parseInt(e.target.value));
+    });
+
+    liveHintsToggle.addEventListener('change', (e) => setLiveHints(e.target.checked));
+
+    updateWeightInputs();
+    heuristicWeightsEl.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (isFinite(value)) {
+            setHeuristicWeights({ [e.target.dataset.term]: value });
+        } else {
+            updateWeightInputs(); // Put back the current weight
+        }
+    });
+
+    gridSizePicker.addEventListener('change', (e) => {
+        setGridSize(parseInt(e.target.value));
+        startNewGame();
+    });
+
+    spawnModePicker.addEventListener('change', (e) => {
+        setSpawnMode(e.target.value);
+        startNewGame();
+    });
+
+    gameModePicker.addEventListener('change', (e) => {
+        setGameMode(e.target.value);
+        startNewGame();
+    });
+
+    mergeRulePicker.addEventListener('change', (e) => {
+        setMergeRule(e.target.value);
+        startNewGame();
+    });
+
+    endlessToggle.addEventListener('change', (e) => {
+        setEndless(e.target.checked);
+        if (CONF.endless && isWinMessageShown()) continueAfterWin();
+    });
+
+    exportReplayBtn.addEventListener('click', exportReplay);
+    importReplayBtn.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', importReplay);
+
+    loadConfigBtn.addEventListener('click', () => configFileInput.click());
+    configFileInput.addEventListener('change', importConfig);
+    closeScenariosBtn.addEventListener('click', hideScenarioResults);
 }
 
 // --- Game Logic ---
 
 function handleInput(e) {
-    if (gameOver) return;
-
-    // 0: Up, 1: Right, 2: Down, 3: Left
-    let moved = false;
-
-    switch (e.key) {
-        case 'ArrowUp': moved = move(0); break;
-        case 'ArrowRight': moved = move(1); break;
-        case 'ArrowDown': moved = move(2); break;
-        case 'ArrowLeft': moved = move(3); break;
-        default: return;
+    if (isAnalysisOpen()) {
+        handleAnalysisKey(e);
+        return;
+    }
+    if (isEditing()) {
+        if (e.key === 'Escape') cancelEditor();
+        return;
     }
 
-    if (moved) {
-        stopAutoPlay(); // Stop if user interrupts
-        afterMove();
+    // Undo: Ctrl+Z, Redo: Ctrl+Y or Ctrl+Shift+Z (works after Game Over too)
+    if (e.ctrlKey || e.metaKey) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoMove();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redoMove();
+        }
+        return;
     }
+
+    if (gameOver || isWinMessageShown()) return;
+
+    // 0: Up, 1: Right, 2: Down, 3: Left
+    const direction = { ArrowUp: 0, ArrowRight: 1, ArrowDown: 2, ArrowLeft: 3 }[e.key];
+    if (direction === undefined) return;
+
+    if (isAutoPlaying) stopAutoPlay(); // The user takes over
+    playMove(direction);
 }
 
 function handleSwipe(x1, y1, x2, y2) {
-    if (gameOver) return;
+    if (gameOver || isWinMessageShown() || isAnalysisOpen() || isEditing()) return;
     let dx = x2 - x1;
     let dy = y2 - y1;
 
     if (Math.abs(dx) < 10 && Math.abs(dy) < 10) return; // Tap?
 
-    let moved = false;
+    let direction;
     if (Math.abs(dx) > Math.abs(dy)) {
-        // Horizontal
-        if (dx > 0) moved = move(1); // Right
-        else moved = move(3); // Left
+        direction = dx > 0 ? 1 : 3; // Right : Left
     } else {
-        // Vertical
-        if (dy > 0) moved = move(2); // Down
-        else moved = move(0); // Up
+        direction = dy > 0 ? 2 : 0; // Down : Up
     }
 
-    if (moved) {
-        stopAutoPlay();
-        afterMove();
-    }
+    if (isAutoPlaying) stopAutoPlay(); // The user takes over
+    playMove(direction);
 }
 
-function afterMove() {
-    addRandomTile();
+// Apply a player/AI move, spawn a tile and record it in the history
+function playMove(direction) {
+    const before = captureState();
+    if (!move(direction)) return false;
+    afterMove(direction, before);
+    return true;
+}
+
+function afterMove(direction, before) {
+    if (challenge) {
+        challenge = Modes2048.countMove(Modes2048.startClock(challenge, Date.now()));
+        startChallengeTimer();
+    }
+    const spawn = addRandomTile();
+    recordMove(direction, spawn, before);
     render();
+    checkForWin();
 
     if (checkGameOver()) {
         gameOver = true;
+        stopChallengeTimer();
+        updateHistoryButtons(); // Enables Analyze
         alert("Game Over!");
         stopAutoPlay();
+    } else if (challenge && Modes2048.isChallengeOver(challenge, Date.now())) {
+        endChallenge();
     }
+    autoSave();
 }
 
-// --- Core Mechanics ---
+// "You Win!" the first time the board reaches winScore (endless play goes
+// on to the next target instead)
+function checkForWin() {
+    if (gameWon || !Engine2048.hasWon(board, CONF.winScore)) return;
+    gameWon = true;
+    if (CONF.endless) {
+        keepPlaying = true; // On to the next target (see updateTarget)
+    } else {
+        stopAutoPlay();
+        if (gameMsg) gameMsg.classList.remove('hidden');
+    }
+}
 
-// Direction: 0:Up, 1:Right, 2:Down, 3:Left
-function move(direction) {
-    // Clone board to check logic
-    let rotated = rotateBoard(board, direction);
-    let result = slideLeft(rotated);
-    let newBoard = rotateBoard(result.board, (4 - direction) % 4); // Rotate back
+function isWinMessageShown() {
+    return gameWon && !keepPlaying;
+}
 
-    if (JSON.stringify(board) !== JSON.stringify(newBoard)) {
-        board = newBoard;
-        updateScore(score + result.score);
-        return true; // Moved
-    }
-    return false;
+function continueAfterWin() {
+    keepPlaying = true;
+    gameMsg.classList.add('hidden');
+    autoSave();
 }
 
-// Helper: Slide row left
-function slideLeft(grid) {
-    let gainedScore = 0;
-    let newGrid = grid.map(row => {
-        // Filter non-zeros
-        let filtered = row.filter(val => val !== 0);
-        let merged = [];
-        for (let i = 0; i < filtered.length; i++) {
-            if (i + 1 < filtered.length && filtered[i] === filtered[i + 1]) {
-                merged.push(filtered[i] * 2);
-                gainedScore += filtered[i] * 2;
-                i++; // Skip next
-            } else {
-                merged.push(filtered[i]);
-            }
-        }
-        // Pad with zeros
-        while (merged.length < GRID_SIZE) merged.push(0);
-        return merged;
-    });
-    return { board: newGrid, score: gainedScore };
-}
-
-// Helper: Rotate board (to standardize everything to "Slide Left")
-function rotateBoard(grid, rotations) {
-    let newGrid = copyGrid(grid);
-    for (let r = 0; r < rotations; r++) {
-        // Transpose + Reverse Row = 90deg Clockwise ??
-        // Actually simpler: 
-        // 0 (Up) -> Need to rotate so Up becomes Left (270 deg / -1)
-        // Wait, standard strategy:
-        // Move Left: No rotate
-        // Move Right: Rotate 180? No.
-
-        // Let's implement standardized rotation to simplify sliding:
-        // Input is Direction. We want to align that direction to "Left".
-        // Up (0) -> Rotate 270 (or -90)
-        // Right (1) -> Rotate 180
-        // Down (2) -> Rotate 90
-        // Left (3) -> 0
-
-        // This helper just rotates 90 deg clockwise N times.
-        // We handle the N in the caller.
-        newGrid = newGrid[0].map((val, index) => newGrid.map(row => row[index]).reverse());
-    }
-    return newGrid;
-}
-// Correction: To use `slideLeft` logic for all directions:
-// Left (3): Rotate 0
-// Down (2): Rotate 1 (90 deg) -> Now Down is pointing Left? No.
-// If we rotate 90 deg clockwise: Top row becomes Right col. Left col becomes Top row.
-// Sliding Left on rotated board = Sliding Up on original.
-// So:
-// Up (0): Rotate 3 times (270) -> Top becomes Left.
-// Right (1): Rotate 2 times (180).
-// Down (2): Rotate 1 time (90).
-// Left (3): Rotate 0.
-// BUT my move function uses `rotateBoard(board, direction)`. 
-// If direction is 0 (Up), I pass 0? No.
-// Let's fix loop in `rotateBoard`: it rotates 90deg CW `rotations` times.
-// UP (0): We want to slide UP. If we rotate 270 (3 times), top becomes left. Slide left. Rotate 90 (1 time) to restore.
-// RIGHT (1): Rotate 180 (2 times). Slide Left. Rotate 180 (2).
-// DOWN (2): Rotate 90 (1 time). Slide Left. Rotate 270 (3).
-// LEFT (3): Rotate 0. 
-
-// My previous switch was standard Up/Right/Down/Left.
-// Let's map those 0,1,2,3 to needed rotations.
-// Direction Enum: 0=Up, 1=Right, 2=Down, 3=Left.
-// Rotations needed to make "Direction" point "Left":
-// Up(0) -> Needs 3 (270). 
-// Right(1) -> Needs 2 (180).
-// Down(2) -> Needs 1 (90).
-// Left(3) -> Needs 0.
-// So: rotations = (4 - direction + 3) % 4 ??
-// Let's simpler:
-// if dir=0 (Up), rot=3.
-// if dir=1 (Right), rot=2.
-// if dir=2 (Down), rot=1.
-// if dir=3 (Left), rot=0.
-// Formula: (3 - direction + 4) % 4 ?
-// 3-0 = 3. 3-1=2. 3-2=1. 3-3=0. Yes.
-// Let's update `move` logic slightly to be safe.
+// --- Core Mechanics ---
 
+// Direction: 0:Up, 1:Right, 2:Down, 3:Left
 function move(direction) {
-    // 0:Up, 1:Right, 2:Down, 3:Left
-    // Map to rotations needed for "Slide Left"
-    // Up needs 3 (270), Right needs 2, Down needs 1, Left needs 0.
-    // However, JS array mapping is tricky. Let's stick to standard loop logic if unsafe, 
-    // OR verify rotation.
-    // Rotate 90 CW: (x,y) -> (y, 3-x).
-
-    // Let's use specific rotation counts based on direction ID
-    let rots = 0;
-    if (direction === 0) rots = 3;
-    if (direction === 1) rots = 2;
-    if (direction === 2) rots = 1;
-    if (direction === 3) rots = 0;
-
-    let rotated = rotateBoard(board, rots);
-    let result = slideLeft(rotated);
-    let newBoard = rotateBoard(result.board, (4 - rots) % 4); // Rotate back
-
-    if (JSON.stringify(board) !== JSON.stringify(newBoard)) {
-        board = newBoard;
+    syncTiles();
+    const result = Engine2048.simulateMove(board, direction, true, CONF);
+    if (result.moved) {
+        board = result.board;
+        moveTiles(result.tiles);
         updateScore(score + result.score);
         return true;
     }
     return false;
 }
 
-function addRandomTile() {
-    let empty = [];
-    for (let r = 0; r < GRID_SIZE; r++) {
-        for (let c = 0; c < GRID_SIZE; c++) {
-            if (board[r][c] === 0) empty.push({ r, c });
-        }
-    }
-    if (empty.length > 0) {
-        // Use seeded RNG for reproducible testing
-        let spot = empty[Math.floor(rng.next() * empty.length)];
-        board[spot.r][spot.c] = rng.next() < CONF.prob4 ? 4 : 2;
+// Spawn a 2 or 4 (or a tile of the configured spawns) from the seeded
+// RNG, or after a move with the evil
+// spawner the worst tile for the player. The two opening tiles are always
+// random so every seed still gives a different game.
+// Returns { r, c, value } or null.
+function addRandomTile(opening = false) {
+    syncTiles();
+    const result = opening
+        ? Engine2048.spawnTile(board, rng.current, CONF)
+        : Engine2048.spawnAfterMove(board, rng.current, CONF);
+    board = result.board;
+    rng.current = result.rngState;
+    if (result.spawn) {
+        tiles.push({ id: nextTileId++, value: result.spawn.value, r: result.spawn.r, c: result.spawn.c, isNew: true });
     }
+    return result.spawn;
 }
 
-function checkGameOver() {
-    // 1. Check empty
-    for (let r = 0; r < GRID_SIZE; r++) for (let c = 0; c < GRID_SIZE; c++) if (board[r][c] === 0) return false;
-
-    // 2. Check merges
-    for (let r = 0; r < GRID_SIZE; r++) {
-        for (let c = 0; c < GRID_SIZE; c++) {
-            let val = board[r][c];
-            if (c + 1 < GRID_SIZE && board[r][c + 1] === val) return false;
-            if (r + 1 < GRID_SIZE && board[r + 1][c] === val) return false;
+// --- Tile Tracking ---
+
+// Rebuild the tile list if the board was replaced (new game, undo, setGrid).
+// Blockers are not tiles; render() draws them on their cells.
+function syncTiles() {
+    const count = board.reduce((n, row) => n + row.filter(v => v > 0).length, 0);
+    const inSync = tiles.length === count && tiles.every(t => board[t.r] && board[t.r][t.c] === t.value);
+    if (inSync) return;
+
+    tiles = [];
+    mergedAwayTiles = [];
+    board.forEach((row, r) => row.forEach((value, c) => {
+        if (value > 0) tiles.push({ id: nextTileId++, value: value, r: r, c: c });
+    }));
+}
+
+// Apply the tile moves reported by Engine2048.simulateMove
+function moveTiles(moves) {
+    const byCell = new Map(tiles.map(t => [t.r + ',' + t.c, t]));
+    const survivors = new Map(); // target cell -> tile that absorbs the merge
+    const moved = [];
+    mergedAwayTiles = [];
+
+    for (const m of moves) {
+        const tile = byCell.get(m.from.r + ',' + m.from.c);
+        tile.r = m.to.r;
+        tile.c = m.to.c;
+        tile.merged = false;
+        tile.isNew = false;
+
+        const target = m.to.r + ',' + m.to.c;
+        if (m.merged && survivors.has(target)) {
+            const survivor = survivors.get(target);
+            survivor.value += tile.value;
+            survivor.merged = true;
+            mergedAwayTiles.push(tile);
+        } else {
+            if (m.merged) survivors.set(target, tile);
+            moved.push(tile);
         }
     }
-    return true;
+    tiles = moved;
+}
+
+function checkGameOver() {
+    return Engine2048.isGameOver(board, CONF);
 }
 
 function updateScore(newScore) {
     score = newScore;
     // Only update DOM elements if they exist (allows testing without UI)
     if (scoreEl) scoreEl.textContent = score;
-    if (score > bestScore) {
+    if (score > bestScore && !startPosition) { // Set-up positions do not count
         bestScore = score;
         if (bestEl) bestEl.textContent = bestScore;
         try {
-            localStorage.setItem('2048-best', bestScore);
+            localStorage.setItem(Modes2048.getBestKey(challenge), Modes2048.writeBest(challenge, bestScore));
         } catch (e) { } // Handle localStorage errors gracefully
     }
 }
 
+// Best score of the current game's mode; every mode keeps its own
+function loadBest() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(Modes2048.getBestKey(challenge));
+    } catch (e) { }
+    bestScore = Modes2048.readBest(challenge, stored);
+    if (bestEl) {
+        bestEl.textContent = bestScore;
+        bestLabel.textContent = challenge ? `${Modes2048.MODE_INFO[challenge.mode].label} BEST` : 'BEST';
+    }
+}
+
 // --- Render ---
+// Slide/pop duration: at most 120 ms, shorter when auto-play is fast
+function getAnimationMs() {
+    return Math.min(120, Math.round(autoSpeed / 2));
+}
+
 function render() {
-    gridContainer.innerHTML = '';
-    for (let r = 0; r < GRID_SIZE; r++) {
-        for (let c = 0; c < GRID_SIZE; c++) {
-            let val = board[r][c];
-            let tile = document.createElement('div');
-            tile.className = 'tile';
-            if (val > 0) {
-                tile.textContent = val;
-                tile.setAttribute('data-val', val);
-            }
-            gridContainer.appendChild(tile);
+    const size = board.length;
+    const animationMs = getAnimationMs();
+    gridContainer.style.setProperty('--grid-size', size);
+    gridContainer.style.setProperty('--move-ms', animationMs + 'ms');
+
+    // Background cells, rebuilt only when the grid size changes
+    if (gridContainer.querySelectorAll('.cell').length !== size * size) {
+        gridContainer.innerHTML = '';
+        tileElements.clear();
+        for (let i = 0; i < size * size; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'cell';
+            gridContainer.appendChild(cell);
         }
     }
+    gridContainer.querySelectorAll('.cell').forEach((cell, i) => {
+        cell.classList.toggle('blocker', board[Math.floor(i / size)][i % size] === Engine2048.BLOCKER);
+    });
+
+    syncTiles();
+    const live = new Set();
+    tiles.forEach(tile => {
+        live.add(tile.id);
+        let el = tileElements.get(tile.id);
+        if (!el) {
+            el = document.createElement('div');
+            el.className = 'tile';
+            if (tile.isNew) el.classList.add('new');
+            tileElements.set(tile.id, el);
+            gridContainer.appendChild(el);
+        }
+        el.style.setProperty('--row', tile.r);
+        el.style.setProperty('--col', tile.c);
+        el.textContent = tile.value;
+        el.setAttribute('data-val', getTileColorValue(tile.value));
+
+        if (tile.merged) {
+            // Restart the pop if this tile merged on the previous move too
+            el.classList.remove('merged');
+            void el.offsetWidth;
+            el.classList.add('merged');
+        }
+        tile.merged = false;
+        tile.isNew = false;
+    });
+
+    // Tiles eaten by a merge slide into place underneath, then disappear
+    mergedAwayTiles.forEach(tile => {
+        const el = tileElements.get(tile.id);
+        if (!el) return;
+        live.add(tile.id);
+        el.classList.add('merged-away');
+        el.style.setProperty('--row', tile.r);
+        el.style.setProperty('--col', tile.c);
+        setTimeout(() => {
+            el.remove();
+            tileElements.delete(tile.id);
+        }, animationMs);
+    });
+    mergedAwayTiles = [];
+
+    tileElements.forEach((el, id) => {
+        if (!live.has(id)) {
+            el.remove();
+            tileElements.delete(id);
+        }
+    });
+
+    // The board changed: drop or refresh the hint
+    refreshHint();
+
+    updateHistoryButtons();
+    updateTarget();
+    updateModeBox();
+}
+
+// Tile colours are keyed by classic values; a Fibonacci tile takes the
+// colour of the classic tile of the same rank (1 -> 2, 2 -> 4, 3 -> 8, ...)
+function getTileColorValue(value) {
+    if (CONF.mergeRule !== 'fibonacci') return value;
+    return Math.pow(2, Engine2048.FIBONACCI_TILES.indexOf(value) + 1);
+}
+
+// Target box in endless play; it pops when the target moves up
+function updateTarget() {
+    if (!targetBox) return;
+    targetBox.classList.toggle('hidden', !CONF.endless);
+    const target = String(Engine2048.getTarget(board, CONF));
+    if (targetValue.textContent === target) return;
+
+    const raised = targetValue.textContent !== '' && Number(target) > Number(targetValue.textContent);
+    targetValue.textContent = target;
+    targetBox.classList.remove('reached');
+    if (raised) {
+        void targetBox.offsetWidth; // Restart the animation
+        targetBox.classList.add('reached');
+    }
+}
+
+
+// --- AI Solver (see strategies.js) ---
+
+function setAiStrategy(id) {
+    if (!Strategies2048.get(id)) return false;
+    aiStrategy = id;
+    if (aiStrategyPicker) aiStrategyPicker.value = id;
+    return true;
+}
+
+function setAiTimeBudget(ms) {
+    if (typeof ms !== 'number' || !(ms > 0)) return false;
+    aiTimeBudget = ms;
+    if (aiTimeRange) aiTimeRange.value = ms;
+    if (aiTimeValue) aiTimeValue.textContent = ms + ' ms';
+    return true;
+}
+
+// Merge a partial weights object into the current weights
+function setHeuristicWeights(weights) {
+    heuristicWeights = { ...heuristicWeights, ...weights };
+    updateWeightInputs();
+}
+
+function updateWeightInputs() {
+    if (!heuristicWeightsEl) return;
+    heuristicWeightsEl.querySelectorAll('input[data-term]').forEach(input => {
+        input.value = heuristicWeights[input.dataset.term];
+    });
+}
+
+function getAiOptions() {
+    const options = { config: CONF, timeBudget: aiTimeBudget, weights: heuristicWeights };
+    // The worker has its own copy of NTuple2048, so the weights travel along
+    if (aiStrategy === 'Rl') options.network = NTuple2048.getNetwork(CONF.gridSize);
+    return options;
+}
+
+const HEURISTIC_LABELS = {
+    snake: 'Snake',
+    monotonicity: 'Monotonicity',
+    smoothness: 'Smoothness',
+    emptyCells: 'Empty Cells',
+    maxTile: 'Max Tile',
+    total: 'Total'
+};
+
+// "Snake: +1234" lines for the position after a move
+function describeEvaluation(direction) {
+    const after = Engine2048.simulateMove(board, direction, false, CONF).board;
+    const breakdown = Engine2048.evaluateBreakdown(after, heuristicWeights);
+    return [...Engine2048.HEURISTIC_TERMS, 'total'].map(term => {
+        const value = Math.round(breakdown[term]);
+        return `${HEURISTIC_LABELS[term]}: ${value >= 0 ? '+' : ''}${value}`;
+    });
+}
+
+function chooseAiMove() {
+    return Strategies2048.chooseMove(aiStrategy, board, getAiOptions());
+}
+
+function getAiWorker() {
+    if (aiWorker === null) {
+        try {
+            aiWorker = new Worker('ai-worker.js');
+            aiWorker.onmessage = handleAiResult;
+            aiWorker.onerror = handleAiWorkerError;
+        } catch (err) {
+            // e.g. pages opened from file:// in Chrome
+            console.warn('[AI] Web Worker unavailable, searching on the main thread:', err.message);
+            aiWorker = false;
+        }
+    }
+    return aiWorker || null;
+}
+
+// Hint data for the current board: { move, values, depth }
+function analyzeBoard() {
+    return Strategies2048.analyze(aiStrategy, board, getAiOptions());
+}
+
+// What the worker would answer, computed on the main thread
+function runAiLocally(type, extra) {
+    if (type === 'review') return { analysis: reviewGame(extra.replay) };
+    return type === 'analyze' ? analyzeBoard() : { move: chooseAiMove() };
+}
+
+// Search off the main thread; callback(result) runs when the time budget is
+// used up. type 'move' answers { move }, 'analyze' { move, values, depth },
+// 'review' { analysis } (extra = { replay }, onProgress(done, total) is
+// called while it runs). Starting a new search cancels the previous one.
+function requestAi(type, callback, extra = {}, onProgress = null) {
+    cancelAiSearch();
+
+    const worker = getAiWorker();
+    if (!worker) {
+        callback(runAiLocally(type, extra));
+        return;
+    }
+
+    pendingAiRequest = { id: ++aiRequestId, type: type, callback: callback, extra: extra, onProgress: onProgress };
+    worker.postMessage({
+        id: pendingAiRequest.id,
+        type: type,
+        strategy: aiStrategy,
+        board: board,
+        options: getAiOptions(),
+        ...extra
+    });
+}
+
+function requestAiMove(callback) {
+    requestAi('move', result => callback(result.move));
+}
+
+function handleAiResult(e) {
+    if (!pendingAiRequest || e.data.id !== pendingAiRequest.id) return; // Stale
+    if (e.data.progress !== undefined) {
+        if (pendingAiRequest.onProgress) pendingAiRequest.onProgress(e.data.progress, e.data.total);
+        return;
+    }
+    const callback = pendingAiRequest.callback;
+    pendingAiRequest = null;
+    callback(e.data);
+}
 
-    // Update active hint if any
-    gridContainer.classList.remove('hint-active');
+function handleAiWorkerError(e) {
+    console.warn('[AI] Worker failed, searching on the main thread:', e.message);
+    e.preventDefault();
+    aiWorker.terminate();
+    aiWorker = false;
+
+    if (pendingAiRequest) {
+        const { type, callback, extra } = pendingAiRequest;
+        pendingAiRequest = null;
+        callback(runAiLocally(type, extra));
+    }
 }
 
-function copyGrid(grid) {
-    return grid.map(row => [...row]);
+// A busy worker cannot read messages, so cancelling means terminating it;
+// the next request starts a fresh one.
+function cancelAiSearch() {
+    if (!pendingAiRequest) return;
+    pendingAiRequest = null;
+    aiWorker.terminate();
+    aiWorker = null;
+    hintBtn.disabled = false;
 }
 
+// --- Hint Overlay ---
+// Arrow for the suggested move, the Expectimax value of each direction at
+// the board edges, and the heuristic breakdown below the board.
 
-// --- AI Solver (Expectimax) ---
+const HINT_ARROWS = ['↑', '→', '↓', '←'];
 
 function showHint() {
-    // Simple: Best next move
-    let bestMove = getBestMove(board, 3); // Depth 3
-    if (bestMove !== -1) {
-        alert("Try moving " + getDirName(bestMove));
-    } else {
-        alert("No moves?");
+    if (isAutoPlaying) return; // The AI is already busy playing
+    hintBtn.disabled = true;
+    requestAi('analyze', result => {
+        hintBtn.disabled = false;
+        renderHint(result);
+    });
+}
+
+function renderHint(result) {
+    hintArrow.textContent = result.move !== -1 ? HINT_ARROWS[result.move] : 'No moves';
+    hintOverlay.querySelectorAll('.hint-value').forEach(el => {
+        const dir = parseInt(el.dataset.dir);
+        el.textContent = formatMoveValue(result.values[dir]);
+        el.classList.toggle('best', dir === result.move);
+    });
+    hintOverlay.classList.remove('hidden');
+
+    hintBreakdown.innerHTML = '';
+    if (result.move !== -1) {
+        const title = document.createElement('div');
+        title.className = 'hint-breakdown-title';
+        title.textContent = `After ${getDirName(result.move)} (depth ${result.depth})`;
+        hintBreakdown.appendChild(title);
+        describeEvaluation(result.move).forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            hintBreakdown.appendChild(row);
+        });
     }
+    hintBreakdown.classList.toggle('hidden', result.move === -1);
+}
+
+function formatMoveValue(value) {
+    if (value === null) return '–'; // Move does not change the board
+    if (value <= -999999) return 'Lose';
+    return Math.round(value).toLocaleString();
+}
+
+function hideHint() {
+    hintOverlay.classList.add('hidden');
+    hintBreakdown.classList.add('hidden');
+}
+
+// Called after every render: old hints are stale, live hints are refreshed
+function refreshHint() {
+    if (isAutoPlaying) return; // Auto-play owns the AI; its renders hide nothing
+    cancelAiSearch();
+    hideHint();
+    if (liveHints && !gameOver && !isWinMessageShown() && !isEditing()) showHint();
+}
+
+function setLiveHints(enabled) {
+    liveHints = enabled;
+    if (liveHintsToggle) liveHintsToggle.checked = enabled;
+    if (gridContainer) refreshHint();
 }
 
 function toggleAutoPlay() {
@@ -526,6 +1335,7 @@ function toggleAutoPlay() {
 
 function startAutoPlay() {
     if (isAutoPlaying || gameOver) return;
+    hideHint();
     isAutoPlaying = true;
     solveBtn.textContent = "⏹ Stop";
     solveBtn.classList.remove('btn-highlight');
@@ -537,6 +1347,7 @@ function startAutoPlay() {
 function stopAutoPlay() {
     isAutoPlaying = false;
     clearTimeout(autoPlayInterval);
+    cancelAiSearch();
     solveBtn.textContent = "🤖 Play for Me";
     solveBtn.classList.remove('btn-secondary');
     solveBtn.classList.add('btn-highlight');
@@ -545,136 +1356,1020 @@ function stopAutoPlay() {
 function playNextMove() {
     if (!isAutoPlaying || gameOver) return;
 
-    let bestMove = getBestMove(board, 3); // Depth 3 or 4
-    if (bestMove !== -1) {
-        move(bestMove);
-        afterMove(); // This handles addRandomTile and render
-        autoPlayInterval = setTimeout(playNextMove, autoSpeed);
-    } else {
-        stopAutoPlay(); // Stuck
-    }
+    requestAiMove(bestMove => {
+        if (!isAutoPlaying || gameOver) return;
+        if (bestMove !== -1) {
+            playMove(bestMove); // This handles addRandomTile, history and render
+            autoPlayInterval = setTimeout(playNextMove, autoSpeed);
+        } else {
+            stopAutoPlay(); // Stuck
+        }
+    });
 }
 
 function getDirName(dir) {
-    return ['UP', 'RIGHT', 'DOWN', 'LEFT'][dir];
-}
-
-// --- Expectimax Logic ---
-// We need to simulate moves.
-// Max Node: Player moves (Up, Right, Down, Left). Maximize Score.
-// Chance Node: Computer adds random tile (2 or 4) at random spot. Average Score.
-
-function getBestMove(grid, depth) {
-    let bestScore = -Infinity;
-    let bestMove = -1;
-
-    // Try all 4 moves
-    for (let dir = 0; dir < 4; dir++) {
-        let sim = simulateMove(grid, dir);
-        if (sim.moved) {
-            let score = expectimax(sim.board, depth - 1, false); // Next is Chance
-            if (score > bestScore) {
-                bestScore = score;
-                bestMove = dir;
-            }
-        }
+    return Engine2048.DIRECTION_NAMES[dir];
+}
+
+// ==================== Move History & Replays ====================
+
+// Snapshot of everything a move can change. rngState is the SeededRandom
+// position before the move, so redo and replays draw the same spawns.
+function captureState() {
+    return {
+        board: Engine2048.copyGrid(board),
+        score: score,
+        rngState: rng.current
+    };
+}
+
+function recordMove(direction, spawn, before) {
+    // A new move discards the redo branch
+    moveHistory.length = historyIndex;
+    moveHistory.push({ direction, spawn, ...before });
+    historyIndex++;
+}
+
+function resetHistory() {
+    moveHistory = [];
+    historyIndex = 0;
+}
+
+// Off in the challenge modes, where moves and time count
+function undoMove() {
+    if (historyIndex === 0 || challenge) return false;
+    if (isAutoPlaying) stopAutoPlay();
+    cancelAiSearch();
+
+    const entry = moveHistory[--historyIndex];
+    board = Engine2048.copyGrid(entry.board);
+    updateScore(entry.score);
+    rng.current = entry.rngState;
+    gameOver = false;
+    // Undoing the winning move takes the win back, so reaching winScore
+    // again shows "You Win!" again
+    if (gameWon && !Engine2048.hasWon(board, CONF.winScore)) {
+        gameWon = false;
+        keepPlaying = false;
+        if (gameMsg) gameMsg.classList.add('hidden');
     }
-    return bestMove;
+
+    if (gridContainer) render();
+    autoSave();
+    return true;
 }
 
-function expectimax(grid, depth, isPlayer) {
-    if (depth === 0) return evaluateGrid(grid);
+function redoMove() {
+    if (historyIndex >= moveHistory.length || challenge) return false;
+    if (isAutoPlaying) stopAutoPlay();
+    cancelAiSearch();
 
-    if (isPlayer) {
-        let bestScore = -Infinity;
-        let anyMove = false;
-        for (let dir = 0; dir < 4; dir++) {
-            let sim = simulateMove(grid, dir);
-            if (sim.moved) {
-                anyMove = true;
-                let score = expectimax(sim.board, depth - 1, false);
-                if (score > bestScore) bestScore = score;
-            }
+    const entry = moveHistory[historyIndex];
+    rng.current = entry.rngState;
+    move(entry.direction);
+    addRandomTile();
+    historyIndex++;
+    gameOver = checkGameOver();
+    checkForWin();
+
+    if (gridContainer) render();
+    autoSave();
+    return true;
+}
+
+function updateHistoryButtons() {
+    if (undoBtn) undoBtn.disabled = historyIndex === 0 || challenge !== null;
+    if (redoBtn) redoBtn.disabled = historyIndex >= moveHistory.length || challenge !== null;
+    if (analyzeBtn) analyzeBtn.disabled = !gameOver || historyIndex === 0;
+}
+
+// Replay format: settings (incl. seed) + move list, plus initialBoard and
+// initialScore for games started from the board editor. Loadable by
+// Game2048.loadConfig and Game2048.runSeededSimulation.
+function buildReplay() {
+    const moves = moveHistory.slice(0, historyIndex);
+    const replay = {
+        version: "1.0",
+        name: "2048 Replay",
+        settings: {
+            gridSize: CONF.gridSize,
+            seed: rng.seed,
+            ...getRuleSettings()
+        },
+        moves: moves.map(entry => entry.direction),
+        spawns: moves.map(entry => entry.spawn),
+        finalScore: score
+    };
+    if (startPosition) {
+        replay.initialBoard = Engine2048.copyGrid(startPosition.board);
+        replay.initialScore = startPosition.score;
+    }
+    return replay;
+}
+
+function exportReplay() {
+    const replay = buildReplay();
+    const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `2048-replay-seed-${replay.settings.seed}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function validateReplay(replay) {
+    if (typeof replay !== 'object' || replay === null) {
+        return 'Replay must be an object';
+    }
+    if (!replay.settings || typeof replay.settings.seed !== 'number') {
+        return 'Replay must include settings.seed';
+    }
+    if (!Array.isArray(replay.moves) || !replay.moves.every(dir => [0, 1, 2, 3].includes(dir))) {
+        return 'Replay moves must be an array of directions 0-3';
+    }
+    if (replay.initialBoard !== undefined) {
+        const size = replay.settings.gridSize !== undefined ? replay.settings.gridSize : CONF.gridSize;
+        const ruleErrors = getRuleErrors(replay.settings, size);
+        if (ruleErrors.length > 0) return `Replay settings: ${ruleErrors.join('; ')}`;
+        const rules = Engine2048.createConfig(replay.settings);
+        const errors = Array.isArray(replay.initialBoard) ? Engine2048.validateBoard(replay.initialBoard, size, rules) : ['not a board'];
+        if (errors.length > 0) return `Replay initialBoard: ${errors.join('; ')}`;
+        if (replay.initialScore !== undefined && !(Number.isInteger(replay.initialScore) && replay.initialScore >= 0)) {
+            return 'Replay initialScore must be a whole number, 0 or more';
         }
-        return anyMove ? bestScore : -999999; // Loss
+    }
+    return null;
+}
+
+// Replay a game into the move history so it can be stepped through with undo/redo
+function loadReplay(replay) {
+    const error = validateReplay(replay);
+    if (error) throw new Error(error);
+    // Keep the player's own seed setting; the replay seed is only for this game
+    const previousSeed = CONF.seed;
+    const loaded = Game2048.loadConfig(replay);
+    CONF.seed = previousSeed;
+    if (!loaded) throw new Error('Invalid replay settings');
+    resetMissingRules(replay.settings); // Replays from before evil mode or rule variants
+
+    if (replay.initialBoard) {
+        const errors = startFromPosition(replay.initialBoard, replay.initialScore || 0, replay.settings.seed);
+        if (errors.length > 0) throw new Error(errors.join('; '));
     } else {
-        // Chance Node
-        let empty = getEmptySpots(grid);
-        if (empty.length === 0) return evaluateGrid(grid);
-
-        let avgScore = 0;
-        let totalWeight = 0;
-
-        // Optimization: Don't check ALL empty spots if too many. Sample?
-        // For accurate 2048 AI,checking all is better but slow.
-        // Let's check all (Standard logic).
-        empty.forEach(spot => {
-            // Spawn 2 (0.9 prob)
-            let grid2 = copyGrid(grid);
-            grid2[spot.r][spot.c] = 2;
-            let score2 = expectimax(grid2, depth - 1, true);
-            avgScore += score2 * 0.9;
-
-            // Spawn 4 (0.1 prob)
-            let grid4 = copyGrid(grid);
-            grid4[spot.r][spot.c] = 4;
-            let score4 = expectimax(grid4, depth - 1, true);
-            avgScore += score4 * 0.1;
-
-            totalWeight += 1;
+        startNewGame(replay.settings.seed);
+    }
+    for (const dir of replay.moves) {
+        const before = captureState();
+        if (move(dir)) {
+            recordMove(dir, addRandomTile(), before);
+        }
+    }
+    gameOver = checkGameOver();
+    render();
+    autoSave();
+}
+
+function importReplay(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            loadReplay(JSON.parse(e.target.result));
+            settingsModal.classList.add('hidden');
+        } catch (error) {
+            console.error('[Replay] Failed to load replay:', error.message);
+            alert(`Failed to load replay: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    // Reset file input so the same file can be loaded again
+    event.target.value = '';
+}
+
+// ==================== Config Scenarios ====================
+
+// A config file's settings apply to a new game; its testScenarios and
+// validationRules run through the engine (Scenarios2048) and the results
+// are listed in a panel under the board.
+
+function showScenarioResults(report) {
+    scenarioReport = report;
+    if (!scenarioPanel) return; // Test page
+    scenarioSummary.textContent = `${report.name}: ${report.passed} of ${report.results.length} checks passed`;
+    scenarioPanel.classList.toggle('has-fail', report.failed > 0);
+    scenarioResults.innerHTML = '';
+    report.results.forEach(r => {
+        const item = document.createElement('li');
+        item.className = r.passed ? 'pass' : 'fail';
+        item.textContent = `${r.passed ? '✓' : '✗'} ${r.name} - ${r.message}`;
+        scenarioResults.appendChild(item);
+    });
+    scenarioPanel.classList.remove('hidden');
+}
+
+function hideScenarioResults() {
+    scenarioPanel.classList.add('hidden');
+}
+
+function loadConfigFile(config) {
+    if (typeof config !== 'object' || config === null) throw new Error('Config must be an object');
+    hideScenarioResults(); // Results of an earlier config
+    if (!Game2048.loadConfig(config)) throw new Error('Invalid configuration settings');
+    startNewGame();
+}
+
+function importConfig(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            loadConfigFile(JSON.parse(e.target.result));
+            settingsModal.classList.add('hidden');
+        } catch (error) {
+            console.error('[Config] Failed to load config:', error.message);
+            alert(`Failed to load config: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    // Reset file input so the same file can be loaded again
+    event.target.value = '';
+}
+
+// ==================== Post-Game Analysis ====================
+
+// The finished game is replayed in the AI worker with Expectimax on every
+// position; the player then steps through it on a small board, with the
+// evaluation graph above and the blunders listed below.
+
+const ANALYSIS_GRAPH = { width: 300, height: 100, padding: 6 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function setupAnalysis() {
+    analyzeBtn.addEventListener('click', openAnalysis);
+    closeAnalysisBtn.addEventListener('click', closeAnalysis);
+    analysisModal.addEventListener('click', (e) => {
+        if (e.target === analysisModal) closeAnalysis();
+    });
+    analysisPrevBtn.addEventListener('click', () => showAnalysisPosition(analysisIndex - 1));
+    analysisNextBtn.addEventListener('click', () => showAnalysisPosition(analysisIndex + 1));
+    analysisGraph.addEventListener('click', (e) => {
+        const rect = analysisGraph.getBoundingClientRect();
+        showAnalysisPosition(getGraphIndexAt((e.clientX - rect.left) / rect.width * ANALYSIS_GRAPH.width));
+    });
+}
+
+function reviewGame(replay, options = {}) {
+    return Analysis2048.analyzeGame(replay, { weights: heuristicWeights, ...options });
+}
+
+function isAnalysisOpen() {
+    return !!analysisModal && !analysisModal.classList.contains('hidden');
+}
+
+function openAnalysis() {
+    if (!gameOver || historyIndex === 0) return;
+    hideHint();
+    gameAnalysis = null;
+    analysisView.classList.add('hidden');
+    analysisStatus.textContent = 'Analyzing…';
+    analysisModal.classList.remove('hidden');
+
+    requestAi('review', result => {
+        gameAnalysis = result.analysis;
+        renderAnalysis();
+    }, { replay: buildReplay() }, (done, total) => {
+        analysisStatus.textContent = `Analyzing move ${done} of ${total}…`;
+    });
+}
+
+function closeAnalysis() {
+    cancelAiSearch(); // In case the review is still running
+    analysisModal.classList.add('hidden');
+}
+
+// Left/Right (or Up/Down) step through the game, Escape closes
+function handleAnalysisKey(e) {
+    const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+    if (step !== undefined) {
+        e.preventDefault();
+        showAnalysisPosition(analysisIndex + step);
+    } else if (e.key === 'Escape') {
+        closeAnalysis();
+    }
+}
+
+function renderAnalysis() {
+    const count = gameAnalysis.moves.length;
+    const blunders = gameAnalysis.blunders.length;
+    analysisStatus.textContent = `${count} moves analyzed at depth ${gameAnalysis.depth}: ` +
+        (blunders === 0 ? 'no blunders' : `${blunders} blunder${blunders === 1 ? '' : 's'}`);
+    analysisView.classList.remove('hidden');
+
+    analysisBlunders.innerHTML = '';
+    gameAnalysis.blunders.forEach(index => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-small';
+        btn.textContent = `#${index} ${getDirName(gameAnalysis.moves[index - 1].move)}`;
+        btn.addEventListener('click', () => showAnalysisPosition(index - 1));
+        analysisBlunders.appendChild(btn);
+    });
+
+    renderAnalysisGraph();
+    showAnalysisPosition(blunders > 0 ? gameAnalysis.blunders[0] - 1 : 0);
+}
+
+// Graph coordinates of every move's evaluation. Lost positions sit on the
+// bottom edge so they do not flatten the rest of the curve.
+function getGraphPoints() {
+    const { width, height, padding } = ANALYSIS_GRAPH;
+    const series = Analysis2048.getEvaluationSeries(gameAnalysis);
+    const alive = series.filter(v => v > Analysis2048.LOSS_VALUE);
+    const min = Math.min(...alive);
+    const max = Math.max(...alive);
+
+    return series.map((value, i) => {
+        const x = series.length > 1 ? i / (series.length - 1) : 0.5;
+        let y = 0;
+        if (value > Analysis2048.LOSS_VALUE) y = max > min ? (value - min) / (max - min) : 0.5;
+        return {
+            x: padding + x * (width - 2 * padding),
+            y: height - padding - y * (height - 2 * padding)
+        };
+    });
+}
+
+function getGraphIndexAt(x) {
+    const { width, padding } = ANALYSIS_GRAPH;
+    const last = gameAnalysis.moves.length - 1;
+    const index = Math.round((x - padding) / (width - 2 * padding) * last);
+    return Math.max(0, Math.min(last, index));
+}
+
+function createSvgElement(name, attributes) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+}
+
+function renderAnalysisGraph() {
+    const points = getGraphPoints();
+    analysisGraph.setAttribute('viewBox', `0 0 ${ANALYSIS_GRAPH.width} ${ANALYSIS_GRAPH.height}`);
+    analysisGraph.innerHTML = '';
+
+    analysisGraph.appendChild(createSvgElement('line', { class: 'analysis-cursor', y1: 0, y2: ANALYSIS_GRAPH.height }));
+    analysisGraph.appendChild(createSvgElement('polyline', {
+        class: 'analysis-line',
+        points: points.map(p => `${p.x},${p.y}`).join(' ')
+    }));
+    gameAnalysis.blunders.forEach(index => {
+        const point = points[index - 1];
+        analysisGraph.appendChild(createSvgElement('circle', { class: 'analysis-blunder', cx: point.x, cy: point.y, r: 3 }));
+    });
+}
+
+// "Move 12 of 300: LEFT, best UP (40% worse)" for one analyzed move
+function describeAnalyzedMove(m) {
+    let text = `Move ${m.index} of ${gameAnalysis.moves.length}: ${getDirName(m.move)}`;
+    if (m.move === m.bestMove) return text + ' (best)';
+
+    text += `, best ${getDirName(m.bestMove)}`;
+    if (m.values[m.move] <= Analysis2048.LOSS_VALUE) return text + ' (loses the game)';
+    return text + ` (${Math.round(m.lossRatio * 100)}% worse)`;
+}
+
+function showAnalysisPosition(index) {
+    if (!gameAnalysis) return;
+    const moves = gameAnalysis.moves;
+    analysisIndex = Math.max(0, Math.min(moves.length, index));
+    const m = moves[analysisIndex]; // undefined on the final position
+
+    renderAnalysisBoard(m ? m.board : gameAnalysis.finalBoard);
+    analysisValues.innerHTML = '';
+    if (m) {
+        analysisPosition.textContent = describeAnalyzedMove(m);
+        Engine2048.DIRECTIONS.forEach(dir => {
+            const value = document.createElement('span');
+            value.textContent = `${HINT_ARROWS[dir]} ${formatMoveValue(m.values[dir])}`;
+            value.classList.toggle('played', dir === m.move);
+            value.classList.toggle('best', dir === m.bestMove);
+            analysisValues.appendChild(value);
         });
+    } else {
+        analysisPosition.textContent = `Final position: ${gameAnalysis.finalScore} points`;
+    }
+    analysisPosition.classList.toggle('blunder', !!m && m.blunder);
+    analysisPrevBtn.disabled = analysisIndex === 0;
+    analysisNextBtn.disabled = analysisIndex === moves.length;
+
+    // The final position has no evaluation; keep the cursor on the last move
+    const cursorX = getGraphPoints()[Math.min(analysisIndex, moves.length - 1)].x;
+    const cursor = analysisGraph.querySelector('.analysis-cursor');
+    cursor.setAttribute('x1', cursorX);
+    cursor.setAttribute('x2', cursorX);
+}
+
+function renderAnalysisBoard(grid) {
+    analysisBoard.style.setProperty('--grid-size', grid.length);
+    analysisBoard.innerHTML = '';
+    grid.forEach(row => row.forEach(value => {
+        const cell = document.createElement('div');
+        cell.className = value === Engine2048.BLOCKER ? 'tile blocker' : 'tile';
+        cell.setAttribute('data-val', value > 0 ? getTileColorValue(value) : 0);
+        cell.textContent = value > 0 ? value : '';
+        analysisBoard.appendChild(cell);
+    }));
+}
 
-        return avgScore / totalWeight;
+// ==================== Learning Agent ====================
+
+// Trains the n-tuple network for the current grid size by self-play, in
+// rl-worker.js (or in slices on the main thread without Web Workers). The
+// Rl strategy keeps the old weights until training stops.
+
+const RL_LOCAL_SLICE_MS = 100;
+
+function setupLearning() {
+    rlTrainBtn.addEventListener('click', () => (rlTraining ? stopTraining() : startTraining()));
+    rlSaveBtn.addEventListener('click', exportNetwork);
+    rlLoadBtn.addEventListener('click', () => rlFileInput.click());
+    rlFileInput.addEventListener('change', importNetwork);
+    updateLearningStatus();
+}
+
+function startTraining() {
+    const network = NTuple2048.getNetwork(CONF.gridSize);
+    const options = { prob4: CONF.prob4, winScore: CONF.winScore };
+
+    try {
+        const worker = new Worker('rl-worker.js');
+        worker.onmessage = handleTrainingMessage;
+        worker.onerror = (e) => {
+            console.warn('[RL] Training worker failed:', e.message);
+            e.preventDefault();
+            worker.terminate();
+            rlTraining = null;
+            updateLearningStatus();
+        };
+        worker.postMessage({ type: 'start', network: network, options: options });
+        rlTraining = { worker: worker, size: network.size, stopping: false };
+    } catch (err) {
+        // e.g. pages opened from file:// in Chrome; the network trains in place
+        console.warn('[RL] Web Worker unavailable, training on the main thread:', err.message);
+        rlTraining = { timer: null, trainer: NTuple2048.createTrainer(network, options), size: network.size };
+        trainLocalSlice();
     }
+    updateLearningStatus();
+}
+
+function trainLocalSlice() {
+    updateLearningStatus(rlTraining.trainer.trainFor(RL_LOCAL_SLICE_MS));
+    rlTraining.timer = setTimeout(trainLocalSlice, 0);
 }
 
-function simulateMove(grid, direction) {
-    let rots = 0;
-    if (direction === 0) rots = 3;
-    if (direction === 1) rots = 2;
-    if (direction === 2) rots = 1;
-    if (direction === 3) rots = 0;
+function handleTrainingMessage(e) {
+    if (e.data.type === 'progress') {
+        updateLearningStatus(e.data.stats);
+    } else if (e.data.type === 'stopped') {
+        rlTraining.worker.terminate();
+        rlTraining = null;
+        NTuple2048.setNetwork(e.data.network);
+        updateLearningStatus();
+    }
+}
 
-    let rotated = rotateBoard(grid, rots);
-    let result = slideLeft(rotated);
-    let newBoard = rotateBoard(result.board, (4 - rots) % 4);
+// The worker answers with the trained network (handleTrainingMessage)
+function stopTraining() {
+    if (!rlTraining) return;
+    if (rlTraining.worker) {
+        rlTraining.worker.postMessage({ type: 'stop' });
+        rlTraining.stopping = true;
+        rlTrainBtn.disabled = true; // Until the network arrives
+        return;
+    }
+    clearTimeout(rlTraining.timer);
+    rlTraining = null;
+    updateLearningStatus();
+}
 
-    // Check if changed
-    let changed = JSON.stringify(grid) !== JSON.stringify(newBoard);
-    return { board: newBoard, moved: changed, score: result.score };
+// stats: trainer.getStats() while training; otherwise the network for the
+// current grid size is described
+function updateLearningStatus(stats = null) {
+    if (!rlStatus) return; // No settings panel (tests.html)
+    const training = rlTraining !== null;
+    rlTrainBtn.textContent = training ? '⏹ Stop' : '▶ Train';
+    rlTrainBtn.disabled = training && !!rlTraining.stopping;
+    rlSaveBtn.disabled = training;
+    rlLoadBtn.disabled = training;
+
+    if (training) {
+        const size = rlTraining.size;
+        rlStatus.textContent = !stats ? `Training ${size}×${size}...` :
+            `Training ${size}×${size}: ${stats.episodes.toLocaleString()} games, ` +
+            `average ${Math.round(stats.averageScore).toLocaleString()}, ` +
+            `${CONF.winScore} in ${Math.round(stats.winRate * 100)}% (last ${NTuple2048.STATS_WINDOW}), ` +
+            `best ${stats.bestScore.toLocaleString()}`;
+        return;
+    }
+    const network = NTuple2048.getNetwork(CONF.gridSize);
+    rlStatus.textContent = network.episodes > 0
+        ? `${network.size}×${network.size} network: ${network.episodes.toLocaleString()} training games`
+        : `${network.size}×${network.size} network: untrained (plays greedily for merge score)`;
 }
 
-function getEmptySpots(grid) {
-    let spots = [];
-    for (let r = 0; r < grid.length; r++) {
-        for (let c = 0; c < grid[0].length; c++) {
-            if (grid[r][c] === 0) spots.push({ r, c });
+function exportNetwork() {
+    const network = NTuple2048.getNetwork(CONF.gridSize);
+    const blob = new Blob([JSON.stringify(NTuple2048.toJSON(network))], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `2048-ntuple-${network.size}x${network.size}-${network.episodes}-games.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Returns the loaded network's grid size
+function loadNetwork(data) {
+    const network = NTuple2048.fromJSON(data);
+    NTuple2048.setNetwork(network);
+    updateLearningStatus();
+    return network.size;
+}
+
+function importNetwork(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const size = loadNetwork(JSON.parse(e.target.result));
+            if (size !== CONF.gridSize) {
+                alert(`Loaded a ${size}×${size} network; it is used on ${size}×${size} boards`);
+            }
+        } catch (error) {
+            console.error('[RL] Failed to load network:', error.message);
+            alert(`Failed to load network: ${error.message}`);
         }
+    };
+    reader.readAsText(file);
+
+    // Reset file input so the same file can be loaded again
+    event.target.value = '';
+}
+
+// ==================== Game Modes ====================
+
+// New Game starts a game in the mode picked in Settings (see Modes2048).
+// A time attack's clock starts with the first move and stops while the
+// game is saved; the game ends when the time or the moves run out.
+
+const CHALLENGE_TICK_MS = 250;
+
+function startChallengeTimer() {
+    if (challengeTimer || !challenge || !Modes2048.isClockRunning(challenge)) return;
+    challengeTimer = setInterval(() => {
+        updateModeBox();
+        if (!gameOver && Modes2048.isChallengeOver(challenge, Date.now())) endChallenge();
+    }, CHALLENGE_TICK_MS);
+}
+
+function stopChallengeTimer() {
+    if (!challengeTimer) return;
+    clearInterval(challengeTimer);
+    challengeTimer = null;
+}
+
+// The time or the moves ran out
+function endChallenge() {
+    challenge = Modes2048.stopClock(challenge, Date.now());
+    stopChallengeTimer();
+    gameOver = true;
+    stopAutoPlay();
+    updateHistoryButtons(); // Enables Analyze
+    updateModeBox();
+    autoSave(); // Clears the save, like any finished game
+    alert(Modes2048.getEndMessage(challenge, score));
+}
+
+// Mode box next to the score: the day, the time left or the moves left
+function updateModeBox() {
+    if (!modeBox) return;
+    modeBox.classList.toggle('hidden', !challenge);
+    if (!challenge) return;
+    modeLabel.textContent = Modes2048.MODE_INFO[challenge.mode].label;
+    modeValue.textContent = Modes2048.describeChallenge(challenge, Date.now());
+    modeBox.classList.toggle('running-out', challenge.mode === 'time' &&
+        Modes2048.getTimeLeftMs(challenge, Date.now()) <= 10000);
+}
+
+// ==================== Board Editor ====================
+
+// Set up a position by clicking cells, then play it or hand it to the AI.
+// The game underneath stays until the position is played; Cancel puts it
+// back. Positions save as testScenarios JSON, like the sample
+// configuration files, and those load back into the editor.
+
+function setupEditor() {
+    editBtn.addEventListener('click', openEditor);
+    editorCancelBtn.addEventListener('click', cancelEditor);
+    editorClearBtn.addEventListener('click', () => {
+        board = Engine2048.createBoard(CONF);
+        updateEditor();
+    });
+    editorPlayBtn.addEventListener('click', () => playEditedPosition(false));
+    editorAiBtn.addEventListener('click', () => playEditedPosition(true));
+    editorSaveBtn.addEventListener('click', exportPosition);
+    editorLoadBtn.addEventListener('click', () => editorFileInput.click());
+    editorFileInput.addEventListener('change', importPosition);
+    editorScore.addEventListener('input', updateEditor);
+    editorSeed.addEventListener('input', updateEditor);
+
+    // Click: next tile value; right-click or Shift+click: previous one
+    gridContainer.addEventListener('click', (e) => {
+        if (isEditing()) editCellAt(e.clientX, e.clientY, e.shiftKey ? -1 : 1);
+    });
+    gridContainer.addEventListener('contextmenu', (e) => {
+        if (!isEditing()) return;
+        e.preventDefault();
+        editCellAt(e.clientX, e.clientY, -1);
+    });
+}
+
+function isEditing() {
+    return editorBackup !== null;
+}
+
+function openEditor() {
+    if (isEditing()) return;
+    stopAutoPlay();
+    hideHint();
+    editorBackup = { board: Engine2048.copyGrid(board) };
+    board = Engine2048.copyGrid(board);
+    editorScore.value = String(score);
+    editorSeed.value = String(rng.seed);
+    gameMsg.classList.add('hidden');
+    document.body.classList.add('editing');
+    editorPanel.classList.remove('hidden');
+    updateEditor();
+}
+
+// Leave the editor; the board stays as it is
+function closeEditor() {
+    editorBackup = null;
+    document.body.classList.remove('editing');
+    editorPanel.classList.add('hidden');
+}
+
+function cancelEditor() {
+    const backup = editorBackup;
+    closeEditor();
+    if (backup.board.length !== CONF.gridSize) setGridSize(backup.board.length); // A loaded position changed it
+    board = backup.board;
+    gameMsg.classList.toggle('hidden', !isWinMessageShown());
+    render();
+}
+
+// Cell under the pointer steps to the next (step 1) or previous (-1)
+// tile value of the merge rule, through empty. Blockers stay.
+function editCellAt(x, y, step) {
+    const rect = gridContainer.getBoundingClientRect();
+    const size = board.length;
+    const r = Math.floor((y - rect.top) / rect.height * size);
+    const c = Math.floor((x - rect.left) / rect.width * size);
+    if (r < 0 || r >= size || c < 0 || c >= size) return;
+    if (board[r][c] === Engine2048.BLOCKER) return;
+
+    const values = Engine2048.getValidTiles(CONF);
+    const index = Math.max(values.indexOf(board[r][c]), 0);
+    board[r][c] = values[(index + step + values.length) % values.length];
+    updateEditor();
+}
+
+// { score, seed } from the editor inputs; an empty seed is null (random)
+function readEditorFields() {
+    return {
+        score: editorScore.value.trim() === '' ? 0 : Number(editorScore.value),
+        seed: editorSeed.value.trim() === '' ? null : Number(editorSeed.value)
+    };
+}
+
+// Problems that stop a position from being played (empty when playable)
+function getPositionErrors(grid, positionScore, seed) {
+    const errors = Engine2048.validateBoard(grid, CONF.gridSize, CONF);
+    if (!Number.isInteger(positionScore) || positionScore < 0) {
+        errors.push('Score must be a whole number, 0 or more');
     }
-    return spots;
-}
-
-// Heuristics
-// 1. Monotonicity (Tiles increasing/decreasing order)
-// 2. Smoothness (Adjacent tiles close in value)
-// 3. Max Tile (Higher is better)
-// 4. Empty Cells (More space = better)
-// Simplified: Weighted Grid (Snake pattern usually works)
-const WEIGHT_MATRIX = [
-    [65536, 32768, 16384, 8192],
-    [512, 1024, 2048, 4096],
-    [256, 128, 64, 32],
-    [2, 4, 8, 16]
-];
-
-function evaluateGrid(grid) {
-    let score = 0;
-    for (let r = 0; r < 4; r++) {
-        for (let c = 0; c < 4; c++) {
-            score += grid[r][c] * WEIGHT_MATRIX[r][c];
+    if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed < 4294967296)) {
+        errors.push('Seed must be a whole number from 0 to 4294967295');
+    }
+    if (errors.length === 0) {
+        if (grid.every(row => row.every(v => v <= 0))) {
+            errors.push('Place at least one tile');
+        } else if (Engine2048.isGameOver(grid, CONF)) {
+            errors.push('No move is possible from this position');
         }
     }
-    return score;
+    return errors;
+}
+
+function updateEditor() {
+    render();
+    const fields = readEditorFields();
+    const errors = getPositionErrors(board, fields.score, fields.seed);
+    editorErrors.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        editorErrors.appendChild(item);
+    });
+    editorPlayBtn.disabled = errors.length > 0;
+    editorAiBtn.disabled = errors.length > 0;
+    editorSaveBtn.disabled = errors.length > 0;
+}
+
+// Play from a set-up position: the board and score as given, spawns from
+// `seed` (null: a new random one). Undo history starts empty, and the
+// score does not count toward Best. Returns getPositionErrors(); the game
+// only changes when there are none.
+function startFromPosition(grid, positionScore = 0, seed = null) {
+    const errors = getPositionErrors(grid, positionScore, seed);
+    if (errors.length > 0) return errors;
+
+    if (isAutoPlaying) stopAutoPlay();
+    if (isEditing()) closeEditor();
+    if (seed === null) seed = Date.now() % 4294967296;
+    rng = new Engine2048.SeededRandom(seed);
+    challenge = null;
+    stopChallengeTimer();
+    loadBest();
+    startPosition = { board: Engine2048.copyGrid(grid), score: positionScore };
+    board = Engine2048.copyGrid(grid);
+    updateScore(positionScore);
+    gameWon = Engine2048.hasWon(board, CONF.winScore);
+    keepPlaying = gameWon; // Already won: no "You Win!" on the first move
+    gameOver = false;
+    resetHistory();
+
+    if (gridContainer) {
+        gameMsg.classList.add('hidden');
+        render();
+    }
+    autoSave();
+    return [];
+}
+
+function playEditedPosition(withAi) {
+    const fields = readEditorFields();
+    if (startFromPosition(board, fields.score, fields.seed).length > 0) return;
+    if (withAi) startAutoPlay();
+}
+
+// Position file in the format of the sample configuration files
+function buildPosition(grid, positionScore, seed) {
+    return {
+        version: "1.0",
+        name: "2048 Position",
+        settings: {
+            gridSize: CONF.gridSize,
+            seed: seed,
+            ...getRuleSettings()
+        },
+        testScenarios: {
+            initialBoard: Engine2048.copyGrid(grid),
+            initialScore: positionScore
+        },
+        description: "Position set up in the board editor"
+    };
+}
+
+function exportPosition() {
+    const fields = readEditorFields();
+    const position = buildPosition(board, fields.score, fields.seed);
+    const blob = new Blob([JSON.stringify(position, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `2048-position-seed-${fields.seed !== null ? fields.seed : 'random'}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Put a position file (testScenarios.initialBoard) in the editor. Its
+// settings apply, except the seed, which only fills the Seed field; rules
+// it does not set are the classic ones.
+function loadPosition(data) {
+    const scenario = data && data.testScenarios;
+    if (!scenario || !Array.isArray(scenario.initialBoard)) {
+        throw new Error('File has no testScenarios.initialBoard');
+    }
+    const { seed, ...settings } = data.settings || {};
+    if (settings.gridSize === undefined) settings.gridSize = scenario.initialBoard.length;
+    const errors = getRuleErrors(settings, settings.gridSize);
+    if (errors.length === 0) {
+        errors.push(...Engine2048.validateBoard(scenario.initialBoard, settings.gridSize, Engine2048.createConfig(settings)));
+    }
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    if (!Game2048.loadConfig({ settings: settings })) throw new Error('Invalid position settings');
+    resetMissingRules(settings);
+
+    board = Engine2048.copyGrid(scenario.initialBoard);
+    editorScore.value = String(scenario.initialScore !== undefined ? scenario.initialScore : 0);
+    editorSeed.value = typeof seed === 'number' ? String(seed) : '';
+    updateEditor();
+}
+
+function importPosition(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            loadPosition(JSON.parse(e.target.result));
+        } catch (error) {
+            console.error('[Editor] Failed to load position:', error.message);
+            alert(`Failed to load position: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    // Reset file input so the same file can be loaded again
+    event.target.value = '';
+}
+
+// ==================== Save & Resume ====================
+
+// The game in progress is saved after every move and offered again on the
+// next visit. Finished games are not kept.
+const SAVE_KEY = '2048-saved-game';
+const SAVE_VERSION = 1;
+
+function buildSave() {
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        config: {
+            gridSize: CONF.gridSize,
+            seed: CONF.seed,
+            ...getRuleSettings()
+        },
+        board: Engine2048.copyGrid(board),
+        score: score,
+        seed: rng.seed,
+        rngState: rng.current,
+        gameWon: gameWon,
+        keepPlaying: keepPlaying,
+        moveHistory: moveHistory,
+        historyIndex: historyIndex,
+        startPosition: startPosition,
+        challenge: challenge ? Modes2048.stopClock(challenge, Date.now()) : null,
+        playerSettings: playerSettings
+    };
+}
+
+function saveGame() {
+    if (gameOver) {
+        clearSavedGame();
+        return;
+    }
+    const save = buildSave();
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+    } catch (e) {
+        // Storage full: keep the game, drop the undo history
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify({ ...save, moveHistory: [], historyIndex: 0 }));
+        } catch (e2) { }
+    }
+}
+
+// Autosave only in the real game, not when script.js runs in tests.html
+function autoSave() {
+    if (gridContainer) saveGame();
+}
+
+function clearSavedGame() {
+    try {
+        localStorage.removeItem(SAVE_KEY);
+    } catch (e) { }
+}
+
+// Returns the saved game, or null if there is none or it is unusable
+function loadSavedGame() {
+    let save;
+    try {
+        save = JSON.parse(localStorage.getItem(SAVE_KEY));
+    } catch (e) {
+        return null;
+    }
+    if (!save || save.version !== SAVE_VERSION || !save.config) return null;
+
+    const size = save.config.gridSize;
+    const rules = Engine2048.createConfig(save.config);
+    if (!Engine2048.isValidGridSize(size) ||
+        getRuleErrors(save.config, size).length > 0 ||
+        !Array.isArray(save.board) ||
+        Engine2048.validateBoard(save.board, size, rules).length > 0 ||
+        typeof save.score !== 'number' ||
+        typeof save.rngState !== 'number' ||
+        (save.startPosition && Engine2048.validateBoard(save.startPosition.board, size, rules).length > 0) ||
+        (save.challenge && !Modes2048.isValidChallenge(save.challenge))) {
+        console.error('[Save] Ignoring an invalid saved game');
+        return null;
+    }
+    // Undo and redo read every entry: keep the position without a history
+    // that does not hold up
+    if (Array.isArray(save.moveHistory) && !isValidHistory(save, size, rules)) {
+        console.warn('[Save] Dropping an invalid move history');
+        save.moveHistory = [];
+        save.historyIndex = 0;
+    }
+    return save;
+}
+
+// Whether every entry of a saved move history is a move (see recordMove)
+// from a valid board, and historyIndex points into it
+function isValidHistory(save, size, rules) {
+    const index = save.historyIndex || 0;
+    return Number.isInteger(index) && index >= 0 &&
+        save.moveHistory.every(entry => !!entry &&
+            Engine2048.DIRECTIONS.includes(entry.direction) &&
+            Array.isArray(entry.board) && entry.board.every(Array.isArray) &&
+            Engine2048.validateBoard(entry.board, size, rules).length === 0 &&
+            typeof entry.score === 'number' &&
+            typeof entry.rngState === 'number');
+}
+
+function restoreGame(save) {
+    if (isAutoPlaying) stopAutoPlay();
+    setGridSize(save.config.gridSize);
+    CONF.seed = save.config.seed;
+    CONF.prob4 = save.config.prob4;
+    CONF.winScore = save.config.winScore;
+    CONF.spawnWeights = save.config.spawnWeights || null;
+    CONF.blockers = save.config.blockers || [];
+    setSpawnMode(save.config.spawnMode || 'random'); // Saves from before evil mode
+    setMergeRule(save.config.mergeRule || 'classic'); // ... or rule variants
+    setEndless(!!save.config.endless);
+
+    rng = new Engine2048.SeededRandom(save.seed);
+    rng.current = save.rngState;
+    // The clock of a time attack waits for the next move
+    challenge = save.challenge ? Modes2048.stopClock(save.challenge, Date.now()) : null; // Saves from before modes: classic
+    if (challenge) setGameMode(challenge.mode); // New Game stays in the mode
+    // The daily game keeps the player's settings aside (older saves: none)
+    playerSettings = save.playerSettings && validateSettings(save.playerSettings).length === 0
+        ? save.playerSettings
+        : null;
+    stopChallengeTimer();
+    loadBest();
+    startPosition = save.startPosition || null; // Before the score, so a set-up score is not a best
+    board = Engine2048.copyGrid(save.board);
+    updateScore(save.score);
+    gameOver = false;
+    gameWon = !!save.gameWon;
+    keepPlaying = !!save.keepPlaying;
+
+    moveHistory = Array.isArray(save.moveHistory) ? save.moveHistory : [];
+    historyIndex = Math.min(save.historyIndex || 0, moveHistory.length);
+
+    if (gridContainer) {
+        gameMsg.classList.toggle('hidden', !isWinMessageShown());
+        render();
+    }
+}
+
+function setupResume() {
+    resumeBtn.addEventListener('click', () => resumeModal.classList.add('hidden'));
+    resumeNewBtn.addEventListener('click', () => {
+        resumeModal.classList.add('hidden');
+        startNewGame();
+    });
+}
+
+function offerResume(save) {
+    const size = save.config.gridSize;
+    const moves = save.historyIndex || 0;
+    const mode = save.challenge ? `${Modes2048.MODE_INFO[save.challenge.mode].name}: ` : '';
+    const left = save.challenge && save.challenge.mode !== 'daily'
+        ? `, ${Modes2048.describeChallenge(save.challenge, Date.now())} left`
+        : '';
+    resumeSummary.textContent = `${mode}${size}×${size} game, score ${save.score}` +
+        (moves > 0 ? `, ${moves} moves` : '') + left;
+    resumeModal.classList.remove('hidden');
 }
 
 // ==================== Exit Confirmation ====================
@@ -0,0 +1,324 @@
+/**
+ * 2048 AI Strategies
+ *
+ * Registry of move-choosing strategies used by the hint button, "Play for Me"
+ * and the benchmarks. Strategy ids match the algorithm codes on the research
+ * dashboard (ALGO_NAMES in dashboard.js).
+ *
+ * Strategy interface:
+ *   {
+ *     id: 'E',                       // dashboard algorithm code
+ *     name: 'Expectimax Tree',       // display name
+ *     chooseMove(board, options)     // -> direction 0-3, or -1 if no move
+ *   }
+ *
+ * Every strategy accepts options.timeBudget (ms). With a budget the search
+ * keeps going (deeper, or more rollouts) until the time is used up; the
+ * learned strategy (Rl) does not search and ignores it.
+ * Tree searches also take options.weights (see Engine2048.evaluateGrid).
+ * options.config is the game config: every strategy plays by its rule
+ * variant (see Engine2048.createConfig), classic 2048 without one.
+ *
+ * Like engine.js this file has no DOM access and loads in the page
+ * (window.Strategies2048), in Web Workers and in Node.
+ */
+(function (root) {
+    'use strict';
+
+    const Engine2048 = root.Engine2048 || require('./engine.js');
+    const NTuple2048 = root.NTuple2048 || require('./ntuple.js');
+
+    const DEFAULT_STRATEGY = 'E';
+    const registry = {};
+
+    function register(strategy) {
+        if (!strategy || !strategy.id || typeof strategy.chooseMove !== 'function') {
+            throw new Error('Strategy needs an id and a chooseMove(board, options) function');
+        }
+        registry[strategy.id] = strategy;
+        return strategy;
+    }
+
+    function get(id) {
+        return registry[id] || null;
+    }
+
+    function list() {
+        return Object.values(registry).map(s => ({ id: s.id, name: s.name }));
+    }
+
+    // Pick a move with a registered strategy (falls back to the default)
+    function chooseMove(id, board, options = {}) {
+        const strategy = get(id) || get(DEFAULT_STRATEGY);
+        return strategy.chooseMove(board, options);
+    }
+
+    // Hint data: the strategy's move plus the Expectimax value of all four
+    // directions (the values come from Expectimax whatever the strategy).
+    // A time budget covers both: another strategy gets half of it for its
+    // move and the values the time it leaves.
+    // Returns { move, values: [up, right, down, left], depth }.
+    function analyze(id, board, options = {}) {
+        const strategy = get(id) || get(DEFAULT_STRATEGY);
+        let move = null;
+        let evaluation;
+        if (options.timeBudget) {
+            const start = Date.now();
+            if (strategy.id !== 'E') {
+                move = strategy.chooseMove(board, { ...options, timeBudget: options.timeBudget / 2 });
+            }
+            const timeLeft = Math.max(0, options.timeBudget - (Date.now() - start));
+            evaluation = Engine2048.evaluateMovesWithin(board, timeLeft, options);
+        } else {
+            const depth = options.depth || 3;
+            evaluation = { values: Engine2048.evaluateMoves(board, depth, { weights: options.weights, config: options.config }), depth: depth };
+        }
+
+        if (strategy.id === 'E') {
+            move = Engine2048.pickBestMove(evaluation.values);
+        } else if (move === null) {
+            move = strategy.chooseMove(board, options);
+        }
+        return { move: move, values: evaluation.values, depth: evaluation.depth };
+    }
+
+    function getLegalMoves(board, config = null) {
+        return Engine2048.DIRECTIONS.filter(dir => Engine2048.simulateMove(board, dir, false, config).moved);
+    }
+
+    // --- Expectimax Tree (E) ---
+    // The engine's depth-limited Expectimax search, or iterative deepening
+    // when given a time budget.
+
+    register({
+        id: 'E',
+        name: 'Expectimax Tree',
+        chooseMove: function (board, options = {}) {
+            if (options.timeBudget) {
+                return Engine2048.getBestMoveWithin(board, options.timeBudget, options).move;
+            }
+            return Engine2048.getBestMove(board, options.depth || 3, { weights: options.weights, config: options.config });
+        }
+    });
+
+    // --- Monte Carlo (Mc) ---
+    // For each legal move, play `rollouts` random games from the result and
+    // keep the move with the best average score. Uses its own seeded RNG so
+    // it never advances the game's spawn sequence.
+
+    // `config` is the game config, or just prob4 for classic rules
+    function randomRollout(board, rng, config, maxMoves) {
+        const rules = typeof config === 'number' ? null : config;
+        let grid = board;
+        let gained = 0;
+        for (let i = 0; i < maxMoves; i++) {
+            const legal = getLegalMoves(grid, rules);
+            if (legal.length === 0) break;
+
+            const dir = legal[Math.floor(rng.next() * legal.length)];
+            const sim = Engine2048.simulateMove(grid, dir, false, rules);
+            gained += sim.score;
+
+            const spawned = Engine2048.spawnTile(sim.board, rng.current, config);
+            grid = spawned.board;
+            rng.current = spawned.rngState;
+        }
+        return gained;
+    }
+
+    register({
+        id: 'Mc',
+        name: 'Monte Carlo',
+        chooseMove: function (board, options = {}) {
+            const rollouts = options.rollouts || 50;
+            const maxMoves = options.rolloutMoves || 100;
+            const spawns = options.config || (options.prob4 !== undefined ? options.prob4 : 0.1);
+            const rng = new Engine2048.SeededRandom(options.seed !== undefined ? options.seed : Date.now() % 4294967296);
+            const deadline = options.timeBudget ? Date.now() + options.timeBudget : 0;
+
+            const candidates = getLegalMoves(board, options.config).map(dir => ({
+                dir: dir,
+                sim: Engine2048.simulateMove(board, dir, false, options.config),
+                total: 0
+            }));
+            if (candidates.length === 0) return -1;
+
+            // One rollout per move per round, so every move gets the same
+            // number of games. With a time budget, rounds continue past
+            // `rollouts` until the deadline.
+            let rounds = 0;
+            while (deadline ? (rounds === 0 || Date.now() < deadline) : rounds < rollouts) {
+                for (const candidate of candidates) {
+                    const spawned = Engine2048.spawnTile(candidate.sim.board, rng.current, spawns);
+                    rng.current = spawned.rngState;
+                    candidate.total += candidate.sim.score + randomRollout(spawned.board, rng, spawns, maxMoves);
+                }
+                rounds++;
+            }
+
+            let best = candidates[0];
+            for (const candidate of candidates) {
+                if (candidate.total > best.total) best = candidate;
+            }
+            return best.dir;
+        }
+    });
+
+    // --- IDDFS Graph Search (Igs) ---
+    // Iterative deepening over the Expectimax tree. Each pass goes one ply
+    // deeper until maxDepth, the node budget or the time budget runs out;
+    // the result of the deepest finished pass wins. A transposition table
+    // shared by all passes turns the tree into a graph: boards reached by
+    // different move orders are evaluated once per depth.
+
+    function boardKey(board) {
+        return board.map(row => row.join(',')).join('/');
+    }
+
+    function createSearch(maxNodes, deadline, weights, config) {
+        return {
+            weights: weights,
+            config: config || null,
+            spawns: config
+                ? Engine2048.getSpawnDistribution(config).filter(s => s.probability > 0)
+                : Engine2048.CLASSIC_SPAWNS,
+            table: new Map(), // key -> value, key = node type + depth + board
+            nodes: 0,
+            maxNodes: maxNodes,
+            deadline: deadline,
+            aborted: false
+        };
+    }
+
+    function searchNode(search, board, depth, isPlayer) {
+        if (depth === 0) return Engine2048.evaluateGrid(board, search.weights);
+
+        const key = (isPlayer ? 'P' : 'C') + depth + ':' + boardKey(board);
+        if (search.table.has(key)) return search.table.get(key);
+
+        if (++search.nodes > search.maxNodes ||
+            (search.deadline && (search.nodes & 255) === 0 && Date.now() > search.deadline)) {
+            search.aborted = true;
+        }
+        if (search.aborted) return 0;
+
+        let value;
+        if (isPlayer) {
+            value = -999999; // Loss if no move
+            for (const dir of Engine2048.DIRECTIONS) {
+                const sim = Engine2048.simulateMove(board, dir, false, search.config);
+                if (sim.moved) {
+                    value = Math.max(value, searchNode(search, sim.board, depth - 1, false));
+                }
+            }
+        } else {
+            const empty = Engine2048.getEmptySpots(board);
+            if (empty.length === 0) return Engine2048.evaluateGrid(board, search.weights);
+
+            value = 0;
+            for (const spot of empty) {
+                for (const spawn of search.spawns) {
+                    const next = Engine2048.copyGrid(board);
+                    next[spot.r][spot.c] = spawn.value;
+                    value += searchNode(search, next, depth - 1, true) * spawn.probability;
+                }
+            }
+            value /= empty.length;
+        }
+
+        // Values from an aborted pass are incomplete; do not cache them
+        if (!search.aborted) search.table.set(key, value);
+        return value;
+    }
+
+    register({
+        id: 'Igs',
+        name: 'IDDFS Graph Search',
+        chooseMove: function (board, options = {}) {
+            // A time budget replaces the default depth and node limits
+            const timed = !!options.timeBudget;
+            const maxDepth = options.maxDepth || (timed ? 10 : 5);
+            const maxNodes = options.maxNodes || (timed ? Infinity : 8000);
+            const search = createSearch(maxNodes, timed ? Date.now() + options.timeBudget : 0, options.weights, options.config);
+            const legal = getLegalMoves(board, options.config);
+            if (legal.length === 0) return -1;
+
+            let bestMove = legal[0];
+            for (let depth = 1; depth <= maxDepth; depth++) {
+                let passBest = -1;
+                let passScore = -Infinity;
+                for (const dir of legal) {
+                    const sim = Engine2048.simulateMove(board, dir, false, options.config);
+                    const value = searchNode(search, sim.board, depth * 2 - 1, false);
+                    if (value > passScore) {
+                        passScore = value;
+                        passBest = dir;
+                    }
+                }
+                if (search.aborted) break;
+                bestMove = passBest;
+            }
+            return bestMove;
+        }
+    });
+
+    // --- Minimax Tree (Mm) ---
+    // Assumes the spawner places the worst tile for the player (the evil
+    // spawner) instead of averaging over random spawns, so it gives up some
+    // score against random spawns to survive adversarial ones. Alpha-beta
+    // pruned; iterative deepening with a time budget.
+
+    register({
+        id: 'Mm',
+        name: 'Minimax Tree',
+        chooseMove: function (board, options = {}) {
+            const searchOptions = { weights: options.weights, config: options.config };
+            if (!options.timeBudget) {
+                return Engine2048.pickBestMove(Engine2048.evaluateMovesMinimax(board, options.depth || 3, searchOptions));
+            }
+
+            // The first pass always finishes so there is always a move
+            const maxDepth = options.maxDepth || 12;
+            const deadline = Date.now() + options.timeBudget;
+            let bestMove = Engine2048.pickBestMove(Engine2048.evaluateMovesMinimax(board, 1, searchOptions));
+            for (let depth = 2; bestMove !== -1 && depth <= maxDepth && Date.now() < deadline; depth++) {
+                const values = Engine2048.evaluateMovesMinimax(board, depth, { ...searchOptions, deadline: deadline });
+                if (values === null) break;
+                bestMove = Engine2048.pickBestMove(values);
+            }
+            return bestMove;
+        }
+    });
+
+    // --- N-Tuple TD Learning (Rl) ---
+    // Plays the move with the best merge score + learned afterstate value
+    // (ntuple.js), using options.network or the network set for the board
+    // size. No search, so it answers at once whatever the time budget.
+    // The networks learn classic 2048 only, so under a rule variant it
+    // hands the move to Expectimax.
+
+    register({
+        id: 'Rl',
+        name: 'N-Tuple TD Learning',
+        chooseMove: function (board, options = {}) {
+            if (!Engine2048.isClassicRules(options.config)) return get('E').chooseMove(board, options);
+            return NTuple2048.chooseMove(options.network || NTuple2048.getNetwork(board.length), board);
+        }
+    });
+
+    const Strategies2048 = {
+        DEFAULT_STRATEGY,
+        register,
+        get,
+        list,
+        chooseMove,
+        analyze,
+        getLegalMoves
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Strategies2048;
+    } else {
+        root.Strategies2048 = Strategies2048;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -8,6 +8,12 @@
  * - Rolling a 7 ends the round (except first 3 rolls = 70 pts)
  * - Rolling doubles doubles the BANK score (except first 3 = face value)
  * - Any player can call "BANK" to claim current score (after roll 3)
+ * - These are the standard house rules; a group can change them in settings
+ * - Any player can be a bot that banks by a strategy
+ * - An advisor shows whether each player still in should bank or push
+ * - Every roll, bank and round end goes in a game log (timeline, chart, export)
+ * - Saved player profiles keep lifetime stats across sessions (IndexedDB)
+ * - Tournament mode: tables, semi-finals and a final with a bracket view
  * - Players who BANK sit out the rest of the round
  * - Game ends after N rounds (10, 15, or 20)
  */
@@ -52,6 +58,358 @@ class SeededRNG {
     }
 }
 
+/**
+ * Player profiles in IndexedDB (database "bank-game", store "profiles").
+ * Where IndexedDB is unavailable the profiles are kept in memory and last
+ * until the page closes.
+ */
+class ProfileStore {
+    constructor() {
+        this.dbPromise = null;
+        this.memory = null; // Map of profiles when IndexedDB is unavailable
+    }
+
+    /** Open the database (once); resolves to null when falling back to memory */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open('bank-game', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('profiles', { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('[Profiles] Keeping profiles in memory:', error.message);
+                this.memory = new Map();
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /** Run a request on the profiles store and resolve with its result */
+    run(db, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('profiles', mode);
+            const request = makeRequest(transaction.objectStore('profiles'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /** All profiles */
+    async getAll() {
+        const db = await this.open();
+        if (!db) return [...this.memory.values()];
+        return this.run(db, 'readonly', store => store.getAll());
+    }
+
+    /** Add or replace a profile */
+    async put(profile) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.set(profile.id, profile);
+            return;
+        }
+        await this.run(db, 'readwrite', store => store.put(profile));
+    }
+
+    /** Delete a profile */
+    async delete(id) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.delete(id);
+            return;
+        }
+        await this.run(db, 'readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Tournament for big groups: the roster is split into tables, the top
+ * finishers of every table play two semi-final tables, and the top half of
+ * each semi-final plays the final. Every match is one game of Bank, played by
+ * the page one table at a time and reported with recordMatch. The standings
+ * add up each player's points, matches and table wins over the tournament.
+ * No DOM access; toJSON/fromJSON let the page keep it between visits.
+ */
+class BankTournament {
+    static STAGE_NAMES = ['Tables', 'Semi-finals', 'Final'];
+
+    static DEFAULTS = { tableSize: 4, advance: 2 };
+
+    /**
+     * Allowed [min, max] of each option
+     */
+    static LIMITS = {
+        tableSize: [2, 8],  // Most players at a first-stage table
+        advance: [1, 7]     // Players who go on from each first-stage table
+    };
+
+    /**
+     * @param {{id: number, name: string, bot?: string, profileId?: string}[]} players - The roster
+     * @param {{tableSize: number, advance: number}} options
+     */
+    constructor(players, options) {
+        this.players = players.map(p => ({ id: p.id, name: p.name, bot: p.bot || null, profileId: p.profileId || null }));
+        this.tableSize = options.tableSize;
+        this.advance = options.advance;
+        const tableCount = Math.ceil(this.players.length / this.tableSize);
+        this.stages = [this.createStage(0, this.players.map(p => p.id), tableCount)];
+    }
+
+    /**
+     * Validate tournament options (without a roster)
+     * @returns {{valid: boolean, error?: string}}
+     */
+    static validateOptions(options) {
+        if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+            return { valid: false, error: 'Tournament options must be an object' };
+        }
+        for (const [key, value] of Object.entries(options)) {
+            const limits = BankTournament.LIMITS[key];
+            if (!limits) {
+                return { valid: false, error: `Unknown tournament option "${key}"` };
+            }
+            if (!Number.isInteger(value) || value < limits[0] || value > limits[1]) {
+                return { valid: false, error: `Tournament ${key} must be a whole number from ${limits[0]} to ${limits[1]}` };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Whether a roster can play a tournament with these options
+     * @returns {{valid: boolean, error?: string}}
+     */
+    static validate(players, options) {
+        const result = BankTournament.validateOptions(options);
+        if (!result.valid) return result;
+        const tableCount = Math.ceil(players.length / options.tableSize);
+        if (tableCount < 2) {
+            return { valid: false, error: `More than ${options.tableSize} players are needed for two tables` };
+        }
+        // The smallest table must still have someone left out
+        if (Math.floor(players.length / tableCount) <= options.advance) {
+            return { valid: false, error: `Every table needs more than ${options.advance} players` };
+        }
+        if (tableCount * options.advance < 4) {
+            return { valid: false, error: 'At least 4 players must go on to the semi-finals' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Deal player ids (best seed first) over tables in snake order, so the
+     * top seeds sit at different tables and table sizes differ by at most one
+     * @returns {number[][]}
+     */
+    static splitIntoTables(playerIds, tableCount) {
+        const tables = Array.from({ length: tableCount }, () => []);
+        playerIds.forEach((id, i) => {
+            const lap = Math.floor(i / tableCount);
+            const index = i % tableCount;
+            tables[lap % 2 === 0 ? index : tableCount - 1 - index].push(id);
+        });
+        return tables;
+    }
+
+    /**
+     * Rebuild a tournament saved with toJSON; null if the data is not one
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.players) || !Array.isArray(data.stages) || data.stages.length === 0 ||
+            data.stages.length > BankTournament.STAGE_NAMES.length ||
+            !data.players.every(p => p && Number.isInteger(p.id) && typeof p.name === 'string') ||
+            !BankTournament.validateOptions({ tableSize: data.tableSize, advance: data.advance }).valid) {
+            return null;
+        }
+        const tournament = new BankTournament(data.players, data);
+        const rosterIds = tournament.players.map(p => p.id);
+        if (!data.stages.every(stage => BankTournament.isValidStage(stage, rosterIds))) return null;
+        tournament.stages = data.stages;
+        return tournament;
+    }
+
+    /**
+     * Whether a saved stage has matches between roster players only, each
+     * unplayed (results null) or with a score for every one of its players
+     */
+    static isValidStage(stage, rosterIds) {
+        return !!stage && typeof stage.name === 'string' && Array.isArray(stage.matches) && stage.matches.length > 0 &&
+            stage.matches.every(match =>
+                !!match && typeof match.id === 'string' && typeof match.label === 'string' &&
+                Array.isArray(match.playerIds) && match.playerIds.length > 0 &&
+                match.playerIds.every(id => rosterIds.includes(id)) &&
+                (match.results === null || (Array.isArray(match.results) &&
+                    match.results.length === match.playerIds.length &&
+                    match.results.every(r => !!r && match.playerIds.includes(r.playerId) && Number.isFinite(r.score)))));
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            tableSize: this.tableSize,
+            advance: this.advance,
+            players: this.players,
+            stages: this.stages
+        };
+    }
+
+    /**
+     * A stage of matches, one per table; results is null until the match is played
+     */
+    createStage(index, playerIds, tableCount) {
+        const name = BankTournament.STAGE_NAMES[index];
+        const tables = BankTournament.splitIntoTables(playerIds, tableCount);
+        return {
+            name: name,
+            matches: tables.map((ids, i) => ({
+                id: `${index}-${i + 1}`,
+                label: tableCount > 1 ? `${name} · Table ${i + 1}` : name,
+                playerIds: ids,
+                results: null
+            }))
+        };
+    }
+
+    getPlayer(id) {
+        return this.players.find(p => p.id === id);
+    }
+
+    /**
+     * Stage and match of a match id, or null
+     */
+    findMatch(matchId) {
+        for (let stageIndex = 0; stageIndex < this.stages.length; stageIndex++) {
+            const match = this.stages[stageIndex].matches.find(m => m.id === matchId);
+            if (match) return { stageIndex, match };
+        }
+        return null;
+    }
+
+    /**
+     * How many players go on from a match: `advance` from the first-stage
+     * tables, the top half from a semi-final, nobody from the final
+     */
+    getAdvanceCount(stageIndex, match) {
+        if (stageIndex === 0) return this.advance;
+        if (stageIndex === 1) return Math.max(1, Math.floor(match.playerIds.length / 2));
+        return 0;
+    }
+
+    /**
+     * Results of a played match, best first (ties keep the seeding order)
+     * @returns {{playerId: number, score: number}[]}
+     */
+    getMatchRanking(match) {
+        return match.results ? [...match.results].sort((a, b) => b.score - a.score) : [];
+    }
+
+    /**
+     * Player ids going on from a finished stage, seeded by place at their
+     * table, then score
+     */
+    getAdvancers(stageIndex) {
+        const stage = this.stages[stageIndex];
+        const advancers = stage.matches.flatMap(match =>
+            this.getMatchRanking(match)
+                .slice(0, this.getAdvanceCount(stageIndex, match))
+                .map((result, place) => ({ ...result, place }))
+        );
+        return advancers.sort((a, b) => a.place - b.place || b.score - a.score).map(a => a.playerId);
+    }
+
+    getCurrentStage() {
+        return this.stages[this.stages.length - 1];
+    }
+
+    /**
+     * First match of the current stage still to be played, or null
+     */
+    getNextMatch() {
+        return this.getCurrentStage().matches.find(m => !m.results) || null;
+    }
+
+    isComplete() {
+        return this.stages.length === BankTournament.STAGE_NAMES.length && !this.getNextMatch();
+    }
+
+    /**
+     * Winner of the final, or null before then
+     */
+    getChampion() {
+        if (!this.isComplete()) return null;
+        return this.getPlayer(this.getMatchRanking(this.getCurrentStage().matches[0])[0].playerId);
+    }
+
+    /**
+     * Record the final scores of a match; the last match of a stage draws the
+     * tables of the next one
+     * @param {{playerId: number, score: number}[]} scores
+     * @returns {boolean} false if the match is unknown, already played or
+     *   not in the current stage
+     */
+    recordMatch(matchId, scores) {
+        const found = this.findMatch(matchId);
+        if (!found || found.match.results || found.stageIndex !== this.stages.length - 1) return false;
+
+        found.match.results = found.match.playerIds.map(id => {
+            const entry = scores.find(s => s.playerId === id);
+            return { playerId: id, score: entry ? entry.score : 0 };
+        });
+
+        const nextIndex = found.stageIndex + 1;
+        if (!this.getNextMatch() && nextIndex < BankTournament.STAGE_NAMES.length) {
+            const tableCount = nextIndex === 1 ? 2 : 1;
+            this.stages.push(this.createStage(nextIndex, this.getAdvancers(found.stageIndex), tableCount));
+        }
+        return true;
+    }
+
+    /**
+     * Take back the result of a match (undo); the next stage it drew goes too
+     * @returns {boolean} false if the match is unplayed or a later match has been played
+     */
+    unrecordMatch(matchId) {
+        const found = this.findMatch(matchId);
+        if (!found || !found.match.results) return false;
+        const later = this.stages.slice(found.stageIndex + 1);
+        if (later.some(stage => stage.matches.some(m => m.results))) return false;
+
+        this.stages = this.stages.slice(0, found.stageIndex + 1);
+        found.match.results = null;
+        return true;
+    }
+
+    /**
+     * Cumulative standings over every match played, most points first
+     * @returns {{playerId: number, name: string, points: number, matches: number,
+     *   wins: number, reached: string}[]} wins counts tables won; reached is the
+     *   last stage the player got to
+     */
+    getStandings() {
+        const standings = this.players.map(player => {
+            const entry = { playerId: player.id, name: player.name, points: 0, matches: 0, wins: 0, reached: this.stages[0].name };
+            this.stages.forEach(stage => {
+                stage.matches.forEach(match => {
+                    if (!match.playerIds.includes(player.id)) return;
+                    entry.reached = stage.name;
+                    if (!match.results) return;
+                    entry.points += match.results.find(r => r.playerId === player.id).score;
+                    entry.matches++;
+                    if (this.getMatchRanking(match)[0].playerId === player.id) entry.wins++;
+                });
+            });
+            return entry;
+        });
+        return standings.sort((a, b) => b.points - a.points || b.wins - a.wins);
+    }
+}
+
 class BankGame {
     constructor() {
         // Game state
@@ -80,16 +438,36 @@ class BankGame {
             { id: 4, name: "Player 4" }
         ];
 
-        // Players: {id, name, score, hasBankedThisRound}
+        // Players: {id, name, score, hasBankedThisRound, bot, profileId}
+        // bot is a BOT_STRATEGIES key, or null for a human; profileId links a
+        // saved profile (see PLAYER PROFILES), or is null
         this.players = this.defaultPlayers.map(p => ({
             ...p,
             score: 0,
-            hasBankedThisRound: false
+            hasBankedThisRound: false,
+            bot: null,
+            profileId: null
         }));
 
+        // Saved player profiles
+        this.profileStore = new ProfileStore();
+        this.profiles = []; // Cached from the store, sorted by name
+        this.gameId = Date.now(); // Identifies this game in profile histories
+        this.profileUpdate = null; // The last record or unrecord of this game; the next one waits for it
+
+        // Tournament (see TOURNAMENT): the bracket, the id of the match being
+        // played (null for a game outside the tournament) and the options the
+        // next tournament starts with
+        this.tournament = null;
+        this.tournamentMatch = null;
+        this.tournamentOptions = { ...BankTournament.DEFAULTS };
+
         // Seeded RNG for deterministic testing
         this.rng = new SeededRNG();
 
+        // Game log: every roll, bank and round end of this game (see GAME LOG)
+        this.gameLog = [];
+
         // Undo functionality
         this.undoStack = [];
         this.undoMode = 'resample'; // 'resample' or 'preserve'
@@ -98,6 +476,17 @@ class BankGame {
         // BYOD (Bring Your Own Dice) mode
         this.byodEnabled = false;
 
+        // House rules (see DEFAULT_RULESET)
+        this.ruleset = { ...BankGame.DEFAULT_RULESET };
+
+        // Bank advisor (BANK / PUSH next to each player still in the round)
+        this.showAdvisor = true;
+
+        // Bots
+        this.botDelay = 700; // ms a bot "thinks" before it banks or rolls
+        this.botTimer = null;
+        this.botThinking = false;
+
 
         // DOM elements
         this.dom = {
@@ -120,6 +509,7 @@ class BankGame {
             bankClearAll: document.getElementById('bank-clear-all'),
             bankActionGroup: document.getElementById('bank-action-group'),
             bankingInfo: document.getElementById('banking-info'),
+            bankingInfoText: document.getElementById('banking-info-text'),
             currentPlayerName: document.getElementById('current-player-name'),
             playersList: document.getElementById('players-list'),
             settingsPanel: document.getElementById('settings-panel'),
@@ -137,6 +527,10 @@ class BankGame {
             playAgainBtn: document.getElementById('play-again-btn'),
             gameOverUndoBtn: document.getElementById('undo-from-gameover-btn'),
             survivalProb: document.getElementById('survival-prob'),
+            bustRisk: document.getElementById('bust-risk'),
+            stayValue: document.getElementById('stay-value'),
+            advisorToggle: document.getElementById('advisor-toggle'),
+            rulesetSummary: document.getElementById('ruleset-summary'),
             probabilityCheatsheet: document.getElementById('probability-cheatsheet'),
             // New elements for compact scoreboard
             compactScoreboard: document.getElementById('compact-scoreboard'),
@@ -154,12 +548,51 @@ class BankGame {
             // BYOD elements
             byodToggle: document.getElementById('byod-toggle'),
             byodPanel: document.getElementById('byod-panel'),
+            // House rules
+            ruleProtectedRolls: document.getElementById('rule-protected-rolls'),
+            ruleProtectedSeven: document.getElementById('rule-protected-seven'),
+            ruleProtectedDoubles: document.getElementById('rule-protected-doubles'),
+            ruleDoublesEffect: document.getElementById('rule-doubles-effect'),
+            ruleDoublesMultiplier: document.getElementById('rule-doubles-multiplier'),
+            ruleDoublesBonus: document.getElementById('rule-doubles-bonus'),
+            ruleSevenPenalty: document.getElementById('rule-seven-penalty'),
+            resetRulesBtn: document.getElementById('reset-rules-btn'),
             diceContainer: document.getElementById('dice-container'),
             // Exit confirmation modal
             confirmExitModal: document.getElementById('confirm-exit-modal'),
             confirmStayBtn: document.getElementById('confirm-stay-btn'),
             confirmLeaveBtn: document.getElementById('confirm-leave-btn'),
-            homeBtn: document.getElementById('home-btn')
+            homeBtn: document.getElementById('home-btn'),
+            // Game log
+            gameLogModal: document.getElementById('game-log-modal'),
+            logTimeline: document.getElementById('log-timeline'),
+            scoreChart: document.getElementById('score-chart'),
+            gameOverChart: document.getElementById('game-over-chart'),
+            gameOverLogBtn: document.getElementById('game-over-log-btn'),
+            openLogBtn: document.getElementById('open-log-btn'),
+            closeLogBtn: document.getElementById('close-log-btn'),
+            exportLogCsvBtn: document.getElementById('export-log-csv-btn'),
+            exportLogJsonBtn: document.getElementById('export-log-json-btn'),
+            // Player profiles
+            rosterSelect: document.getElementById('roster-select'),
+            openProfilesBtn: document.getElementById('open-profiles-btn'),
+            profilesModal: document.getElementById('profiles-modal'),
+            profilesList: document.getElementById('profiles-list'),
+            exportProfilesBtn: document.getElementById('export-profiles-btn'),
+            closeProfilesBtn: document.getElementById('close-profiles-btn'),
+            // Tournament
+            tournamentTableSize: document.getElementById('tournament-table-size'),
+            tournamentAdvance: document.getElementById('tournament-advance'),
+            startTournamentBtn: document.getElementById('start-tournament-btn'),
+            openBracketBtn: document.getElementById('open-bracket-btn'),
+            gameOverBracketBtn: document.getElementById('game-over-bracket-btn'),
+            bracketModal: document.getElementById('bracket-modal'),
+            tournamentChampion: document.getElementById('tournament-champion'),
+            bracketView: document.getElementById('bracket-view'),
+            tournamentStandings: document.getElementById('tournament-standings'),
+            playMatchBtn: document.getElementById('play-match-btn'),
+            endTournamentBtn: document.getElementById('end-tournament-btn'),
+            closeBracketBtn: document.getElementById('close-bracket-btn')
         };
 
         this.init();
@@ -169,7 +602,10 @@ class BankGame {
         this.bindEvents();
         this.renderPlayers();
         this.renderPlayerConfig();
+        this.renderRuleset();
         this.updateUI();
+        this.loadProfiles();
+        this.loadTournament();
     }
 
     bindEvents() {
@@ -245,7 +681,7 @@ class BankGame {
                 e.preventDefault();
                 this.roll();
             }
-            if (e.code === 'KeyB' && this.bankScore > 0 && !this.gameOver && this.rollNumber >= 3) {
+            if (e.code === 'KeyB' && this.bankScore > 0 && !this.gameOver && this.isBankingOpen()) {
                 // Bank all selected players
                 this.bankSelectedPlayers();
             }
@@ -266,6 +702,93 @@ class BankGame {
             this.dom.exportJsonBtn.addEventListener('click', () => this.exportConfig());
         }
 
+        // House rules
+        [
+            this.dom.ruleProtectedRolls, this.dom.ruleProtectedSeven, this.dom.ruleProtectedDoubles,
+            this.dom.ruleDoublesEffect, this.dom.ruleDoublesMultiplier, this.dom.ruleDoublesBonus,
+            this.dom.ruleSevenPenalty
+        ].forEach(input => {
+            if (input) input.addEventListener('change', () => this.updateRulesetFromSettings());
+        });
+        if (this.dom.resetRulesBtn) {
+            this.dom.resetRulesBtn.addEventListener('click', () => this.setRuleset(BankGame.DEFAULT_RULESET));
+        }
+
+        // Game log
+        if (this.dom.openLogBtn) {
+            this.dom.openLogBtn.addEventListener('click', () => {
+                this.toggleSettings();
+                this.showGameLog();
+            });
+        }
+        if (this.dom.gameOverLogBtn) {
+            this.dom.gameOverLogBtn.addEventListener('click', () => this.showGameLog());
+        }
+        if (this.dom.closeLogBtn) {
+            this.dom.closeLogBtn.addEventListener('click', () => this.hideGameLog());
+        }
+        if (this.dom.exportLogCsvBtn) {
+            this.dom.exportLogCsvBtn.addEventListener('click', () => this.exportLogCSV());
+        }
+        if (this.dom.exportLogJsonBtn) {
+            this.dom.exportLogJsonBtn.addEventListener('click', () => this.exportLogJSON());
+        }
+
+        // Player profiles
+        if (this.dom.rosterSelect) {
+            this.dom.rosterSelect.addEventListener('change', (e) => {
+                if (e.target.value) this.addProfilePlayer(e.target.value);
+            });
+        }
+        if (this.dom.openProfilesBtn) {
+            this.dom.openProfilesBtn.addEventListener('click', () => {
+                this.toggleSettings();
+                this.showProfiles();
+            });
+        }
+        if (this.dom.closeProfilesBtn) {
+            this.dom.closeProfilesBtn.addEventListener('click', () => this.hideProfiles());
+        }
+        if (this.dom.exportProfilesBtn) {
+            this.dom.exportProfilesBtn.addEventListener('click', () => this.exportProfiles());
+        }
+
+        // Tournament
+        [this.dom.tournamentTableSize, this.dom.tournamentAdvance].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => this.updateTournamentOptionsFromSettings());
+            }
+        });
+        if (this.dom.startTournamentBtn) {
+            this.dom.startTournamentBtn.addEventListener('click', () => {
+                this.toggleSettings();
+                this.startTournament();
+            });
+        }
+        if (this.dom.openBracketBtn) {
+            this.dom.openBracketBtn.addEventListener('click', () => {
+                this.toggleSettings();
+                this.showBracket();
+            });
+        }
+        if (this.dom.gameOverBracketBtn) {
+            this.dom.gameOverBracketBtn.addEventListener('click', () => this.showBracket());
+        }
+        if (this.dom.playMatchBtn) {
+            this.dom.playMatchBtn.addEventListener('click', () => this.playNextMatch());
+        }
+        if (this.dom.endTournamentBtn) {
+            this.dom.endTournamentBtn.addEventListener('click', () => this.endTournament());
+        }
+        if (this.dom.closeBracketBtn) {
+            this.dom.closeBracketBtn.addEventListener('click', () => this.hideBracket());
+        }
+
+        // Bank advisor toggle
+        if (this.dom.advisorToggle) {
+            this.dom.advisorToggle.addEventListener('change', (e) => this.setShowAdvisor(e.target.checked));
+        }
+
         // BYOD toggle
         if (this.dom.byodToggle) {
             this.dom.byodToggle.addEventListener('change', (e) => this.toggleBYOD(e.target.checked));
@@ -319,6 +842,8 @@ class BankGame {
     roll() {
         if (this.roundOver || this.gameOver) return;
         if (this.isRolling) return;
+        this.settleBots();
+        if (this.roundOver) return;
 
         this.isRolling = true;
         this.gameStarted = true;
@@ -351,10 +876,6 @@ class BankGame {
         this.die2 = this.rng.nextInt(1, 6);
         const sum = this.die1 + this.die2;
         const isDoubles = this.die1 === this.die2;
-        const isSeven = sum === 7;
-
-        this.rollNumber++;
-        const isProtected = this.rollNumber <= 3;
 
         // Update dice display
         this.dom.die1.textContent = this.die1;
@@ -362,54 +883,88 @@ class BankGame {
         this.dom.die1.classList.remove('rolling');
         this.dom.die2.classList.remove('rolling');
 
-        // Handle roll outcome
+        this.applyRoll(sum, isDoubles);
+        this.isRolling = false;
+    }
+
+    /**
+     * Score a roll under the house rules and show the outcome: the bank,
+     * the message, the dice highlight and sound, and the end of the round
+     * on a bust. Shared by the virtual dice and BYOD.
+     * @param {number} sum - Dice sum (a doubles sum is its face value)
+     * @param {boolean} isDoubles
+     */
+    applyRoll(sum, isDoubles) {
+        this.rollNumber++;
+        const oldBank = this.bankScore;
+        const result = this.scoreRoll(sum, isDoubles, this.rollNumber, oldBank);
+        const rules = this.ruleset;
         let message = '';
 
-        if (isSeven) {
-            if (isProtected) {
-                // First 3 rolls: 7 = 70 points
-                this.bankScore += 70;
-                message = `🛡️ Protected! 7 = +70 points`;
+        const roller = this.players[this.currentPlayerIndex];
+        this.logEvent('roll', {
+            playerId: roller ? roller.id : null,
+            die1: this.die1,
+            die2: this.die2,
+            sum: sum,
+            doubles: isDoubles,
+            byod: this.byodEnabled,
+            effect: result.outcome,
+            bank: result.bust ? 0 : result.bankScore
+        });
+
+        switch (result.outcome) {
+            case 'protected-seven':
+                this.bankScore = result.bankScore;
+                message = `🛡️ Protected! 7 = +${rules.protectedSevenPoints} points`;
                 this.dom.lastRollInfo.className = 'last-roll-info special';
-                this.dom.die1.classList.add('seven');
-                this.dom.die2.classList.add('seven');
-            } else {
-                // Round ends, bank is lost
+                break;
+            case 'seven': {
+                // Round ends; under the half penalty players still in keep half the bank
+                const kept = rules.sevenPenalty === 'half' ? this.keepHalfBank() : [];
                 this.endRound(true);
-                message = `💥 SEVEN! Round over - bank lost!`;
                 this.dom.lastRollInfo.className = 'last-roll-info';
-                this.dom.die1.classList.add('seven');
-                this.dom.die2.classList.add('seven');
-                this.showAlert('SEVEN! Round Over! 💥');
+                this.showAlert(kept.length > 0
+                    ? `SEVEN! Round Over! ${kept.join(', ')} kept ${Math.floor(oldBank / 2)} 💥`
+                    : 'SEVEN! Round Over! 💥');
                 this.playSound(false);
+                break;
             }
-        } else if (isDoubles) {
-            if (isProtected) {
-                // First 3 rolls: doubles = face value only
-                const faceValue = this.die1 * 2;
-                this.bankScore += faceValue;
-                message = `🛡️ Protected doubles! +${faceValue} (face value)`;
+            case 'protected-doubles':
+                this.bankScore = result.bankScore;
+                message = `🛡️ Protected doubles! +${sum} (face value)`;
                 this.dom.lastRollInfo.className = 'last-roll-info special';
-            } else {
-                // Doubles after protection: double the bank!
-                const oldBank = this.bankScore;
-                this.bankScore *= 2;
-                message = `🎉 DOUBLES! Bank doubled: ${oldBank} → ${this.bankScore}`;
+                break;
+            case 'doubles':
+                this.bankScore = result.bankScore;
+                if (rules.doublesEffect === 'bonus') {
+                    message = `🎉 DOUBLES! +${rules.doublesBonus} bonus: ${oldBank} → ${this.bankScore}`;
+                } else if (rules.doublesMultiplier === 2) {
+                    message = `🎉 DOUBLES! Bank doubled: ${oldBank} → ${this.bankScore}`;
+                } else {
+                    message = `🎉 DOUBLES! Bank ×${rules.doublesMultiplier}: ${oldBank} → ${this.bankScore}`;
+                }
                 this.dom.lastRollInfo.className = 'last-roll-info special';
                 this.dom.bankScore.classList.add('doubled');
                 setTimeout(() => this.dom.bankScore.classList.remove('doubled'), 500);
-            }
+                break;
+            default:
+                // Normal roll: add sum to bank
+                this.bankScore = result.bankScore;
+                message = `+${sum}`;
+                this.dom.lastRollInfo.className = 'last-roll-info';
+        }
+
+        if (sum === 7 && !isDoubles) {
+            this.dom.die1.classList.add('seven');
+            this.dom.die2.classList.add('seven');
+        } else if (isDoubles) {
             this.dom.die1.classList.add('doubles');
             this.dom.die2.classList.add('doubles');
             this.playSound(true);
-        } else {
-            // Normal roll: add sum to bank
-            this.bankScore += sum;
-            message = `+${sum}`;
-            this.dom.lastRollInfo.className = 'last-roll-info';
         }
 
-        if (!isSeven || isProtected) {
+        if (!result.bust) {
             this.dom.lastRollInfo.textContent = message;
         }
 
@@ -422,8 +977,27 @@ class BankGame {
         this.dom.bankScore.classList.add('pulse');
         setTimeout(() => this.dom.bankScore.classList.remove('pulse'), 300);
 
+        // Player cards show the new turn and the advisor's recommendations
+        this.renderPlayers();
         this.updateUI();
-        this.isRolling = false;
+        this.scheduleBots();
+    }
+
+    /**
+     * Seven penalty 'half': every player still in the round banks half the
+     * bank (rounded down) as the round ends
+     * @returns {string[]} Names of the players who kept half
+     */
+    keepHalfBank() {
+        const half = Math.floor(this.bankScore / 2);
+        if (half === 0) return [];
+        const kept = this.players.filter(p => !p.hasBankedThisRound);
+        kept.forEach(p => {
+            p.score += half;
+            this.logEvent('bank', { playerId: p.id, amount: half, sevenPenalty: true });
+        });
+        this.renderPlayers();
+        return kept.map(p => p.name);
     }
 
     advancePlayer() {
@@ -441,16 +1015,16 @@ class BankGame {
     }
 
     /**
-     * Bank the selected player from dropdown (after roll 3)
-     * Before roll 3, only current player can bank
+     * Bank the selected player from dropdown (once banking is open)
+     * Before that, only current player can bank
      */
     bankSelectedPlayer() {
         if (this.bankScore === 0 || this.gameOver) return;
 
         let playerToBankIndex;
 
-        // After roll 3, use dropdown selection; before roll 3, use current player
-        if (this.rollNumber >= 3 && this.dom.bankPlayerSelect) {
+        // Once banking is open, use dropdown selection; before, use current player
+        if (this.isBankingOpen() && this.dom.bankPlayerSelect) {
             const selectedId = parseInt(this.dom.bankPlayerSelect.value);
             if (!selectedId) return; // No player selected
             playerToBankIndex = this.players.findIndex(p => p.id === selectedId);
@@ -465,6 +1039,7 @@ class BankGame {
         // Transfer bank to player
         player.score += this.bankScore;
         player.hasBankedThisRound = true;
+        this.logEvent('bank', { playerId: player.id, amount: this.bankScore, sevenPenalty: false });
 
         // Show feedback
         this.dom.lastRollInfo.textContent = `${player.name} banked ${this.bankScore} points!`;
@@ -490,8 +1065,8 @@ class BankGame {
      */
     bankCurrentPlayer() {
         // For tests and keyboard shortcuts before multi-select is active
-        if (this.rollNumber >= 3) {
-            // If after roll 3 and dropdown exists, select first available player
+        if (this.isBankingOpen()) {
+            // If banking is open and dropdown exists, select first available player
             const available = this.players.find(p => !p.hasBankedThisRound);
             if (available && this.dom.bankPlayerSelect) {
                 this.dom.bankPlayerSelect.value = available.id;
@@ -506,7 +1081,7 @@ class BankGame {
     updateBankDropdown() {
         if (!this.dom.bankPlayerSelect) return;
 
-        const canUseDropdown = this.rollNumber >= 3 && this.bankScore > 0 && !this.roundOver && !this.gameOver;
+        const canUseDropdown = this.isBankingOpen() && this.bankScore > 0 && !this.roundOver && !this.gameOver;
         const availablePlayers = this.players.filter(p => !p.hasBankedThisRound);
 
         // Build options
@@ -534,7 +1109,7 @@ class BankGame {
      */
     updateBankButtonState() {
         const selectedCount = this.getSelectedPlayerIds().length;
-        const canBank = this.bankScore > 0 && !this.gameOver && !this.roundOver && this.rollNumber >= 3;
+        const canBank = this.bankScore > 0 && !this.gameOver && !this.roundOver && this.isBankingOpen();
         this.dom.bankBtn.disabled = selectedCount === 0 || !canBank;
     }
 
@@ -560,11 +1135,22 @@ class BankGame {
      * Bank all selected players (multi-select)
      */
     bankSelectedPlayers() {
-        if (this.bankScore === 0 || this.gameOver || this.rollNumber < 3) return;
+        if (this.bankScore === 0 || this.gameOver || !this.isBankingOpen()) return;
 
         const selectedIds = this.getSelectedPlayerIds();
         if (selectedIds.length === 0) return;
 
+        this.bankPlayers(selectedIds);
+
+        // The next player may be a bot
+        this.scheduleBots();
+    }
+
+    /**
+     * Bank the given players with the current bank (one undo step)
+     * @param {number[]} selectedIds - Player ids
+     */
+    bankPlayers(selectedIds) {
         // Save state for undo before banking
         this.pushState();
 
@@ -577,6 +1163,7 @@ class BankGame {
                 player.score += scorePerPlayer;
                 player.hasBankedThisRound = true;
                 bankedNames.push(player.name);
+                this.logEvent('bank', { playerId: player.id, amount: scorePerPlayer, sevenPenalty: false });
             }
         });
 
@@ -611,7 +1198,7 @@ class BankGame {
     updateBankPanel() {
         if (!this.dom.bankPlayerOptions) return;
 
-        const canBank = this.rollNumber >= 3 && this.bankScore > 0 && !this.roundOver && !this.gameOver;
+        const canBank = this.isBankingOpen() && this.bankScore > 0 && !this.roundOver && !this.gameOver;
         const availablePlayers = this.players.filter(p => !p.hasBankedThisRound);
 
         let html = '';
@@ -658,6 +1245,12 @@ class BankGame {
     endRound(lostToSeven) {
         this.roundOver = true;
 
+        this.logEvent('round-end', {
+            bust: lostToSeven,
+            lostBank: lostToSeven ? this.bankScore : 0,
+            scores: this.players.map(p => ({ playerId: p.id, score: p.score }))
+        });
+
         if (lostToSeven) {
             this.bankScore = 0;
         }
@@ -689,6 +1282,7 @@ class BankGame {
 
         this.renderPlayers();
         this.updateUI();
+        this.scheduleBots();
     }
 
     endGame() {
@@ -715,6 +1309,12 @@ class BankGame {
             `;
         });
         this.dom.finalScores.innerHTML = scoresHtml;
+        this.renderScoreChart(this.dom.gameOverChart);
+        this.profileUpdate = this.recordProfileGames();
+        this.recordTournamentMatch();
+        if (this.dom.gameOverBracketBtn) {
+            this.dom.gameOverBracketBtn.classList.toggle('hidden', !this.tournament);
+        }
 
         this.dom.gameOverModal.classList.remove('hidden');
     }
@@ -727,6 +1327,13 @@ class BankGame {
         this.gameStarted = false;
         this.roundOver = false;
         this.gameOver = false;
+        this.gameLog = [];
+        this.gameId = Date.now();
+        // A new game in the middle of a tournament match plays the match again
+        // from the start; playNextMatch sets the match of a new table
+        const found = this.tournament && this.tournamentMatch ? this.tournament.findMatch(this.tournamentMatch) : null;
+        const restartsMatch = !!found && !found.match.results;
+        if (!restartsMatch) this.tournamentMatch = null;
 
         // Reset player scores
         this.players.forEach(p => {
@@ -741,9 +1348,11 @@ class BankGame {
         this.dom.die2.classList.remove('seven', 'doubles', 'rolling');
 
         this.hideAlert();
+        if (restartsMatch) this.showAlert(`${found.match.label} starts again`);
         this.dom.lastRollInfo.textContent = '';
         this.renderPlayers();
         this.updateUI();
+        this.scheduleBots();
     }
 
     updateUI() {
@@ -755,11 +1364,21 @@ class BankGame {
         // Bank score
         this.dom.bankScore.textContent = this.bankScore;
 
-        // Survival probability
+        // Survival probability and risk of the next roll under the house rules
         if (this.dom.survivalProb) {
             const survivalPct = (this.getSurvivalProbability() * 100).toFixed(1);
             this.dom.survivalProb.textContent = survivalPct + '%';
         }
+        if (this.dom.bustRisk) {
+            const bustPct = (this.getBustProbability() * 100).toFixed(1);
+            this.dom.bustRisk.textContent = bustPct + '%';
+        }
+        if (this.dom.stayValue) {
+            // Expected bank after one more roll, next to the bank now
+            this.dom.stayValue.textContent = this.roundOver || this.gameOver
+                ? '-'
+                : `${this.getStayExpectation().toFixed(1)} vs ${this.bankScore}`;
+        }
 
         // Current player
         const currentPlayer = this.players[this.currentPlayerIndex];
@@ -773,7 +1392,7 @@ class BankGame {
         this.updateBankPanel();
 
         // Bank action group enabled/disabled based on roll number
-        const canBank = this.rollNumber >= 3 && this.bankScore > 0 && !this.roundOver && !this.gameOver;
+        const canBank = this.isBankingOpen() && this.bankScore > 0 && !this.roundOver && !this.gameOver;
         if (this.dom.bankActionGroup) {
             if (canBank) {
                 this.dom.bankActionGroup.classList.remove('disabled');
@@ -786,15 +1405,15 @@ class BankGame {
         this.updateBankButtonState();
 
         // Highlight bank button when score is available
-        if (this.bankScore > 0 && !this.roundOver && !this.gameOver && this.rollNumber >= 3) {
+        if (this.bankScore > 0 && !this.roundOver && !this.gameOver && this.isBankingOpen()) {
             this.dom.bankBtn.classList.add('highlight');
         } else {
             this.dom.bankBtn.classList.remove('highlight');
         }
 
-        // Hide banking info after roll 3 (no longer relevant)
+        // Hide banking info once the protected rolls are over (no longer relevant)
         if (this.dom.bankingInfo) {
-            if (this.rollNumber >= 3) {
+            if (this.isBankingOpen()) {
                 this.dom.bankingInfo.classList.add('hidden');
             } else {
                 this.dom.bankingInfo.classList.remove('hidden');
@@ -818,8 +1437,12 @@ class BankGame {
                 index === 1 && player.score > 0 ? '🥈' :
                     index === 2 && player.score > 0 ? '🥉' : '';
 
+            const thinking = this.isBotThinking(player);
             const statusText = player.hasBankedThisRound ? '✓ Banked' :
-                isCurrent ? '🎲 Rolling' : 'Waiting';
+                thinking ? '🤔 Thinking' :
+                    isCurrent ? '🎲 Rolling' : 'Waiting';
+            const botLabel = player.bot ? ` 🤖` : '';
+            const advice = this.getAdviceBadge(player);
 
             // Gap column: difference from leader (negative value for non-leaders)
             const gap = index === 0 ? '-' : `-${leaderScore - player.score}`;
@@ -831,6 +1454,7 @@ class BankGame {
             const classes = ['player-card'];
             if (isCurrent && !player.hasBankedThisRound) classes.push('current');
             if (player.hasBankedThisRound) classes.push('banked');
+            if (thinking) classes.push('thinking');
 
             html += `
                 <div class="${classes.join(' ')}">
@@ -838,8 +1462,8 @@ class BankGame {
                     <span class="${gapClass}">${gap}</span>
                     <span class="player-rank">${rankNumber}</span>
                     <div class="player-info">
-                        <span class="player-name">${medalRank} ${player.name}</span>
-                        <span class="player-status">${statusText}</span>
+                        <span class="player-name">${medalRank} ${player.name}${botLabel}</span>
+                        <span class="player-status">${statusText}${advice}</span>
                     </div>
                 </div>
             `;
@@ -855,12 +1479,23 @@ class BankGame {
     renderPlayerConfig() {
         if (!this.dom.playerConfig) return;
 
+        const botOptions = Object.entries(BankGame.BOT_STRATEGIES)
+            .map(([key, strategy]) => `<option value="${key}">🤖 ${strategy.name}</option>`)
+            .join('');
+
         let html = '';
         this.players.forEach((player, index) => {
             html += `
                 <div class="player-config-item" data-index="${index}">
                     <input type="text" value="${player.name}" 
                            onchange="game.updatePlayerName(${index}, this.value)">
+                    <select title="Human or bot strategy" onchange="game.setPlayerBot(${index}, this.value)">
+                        <option value="">Human</option>
+                        ${botOptions.replace(`value="${player.bot}"`, `value="${player.bot}" selected`)}
+                    </select>
+                    ${player.profileId ?
+                    `<span class="profile-linked" title="Saved profile">👤</span>` :
+                    `<button class="btn-save-profile" title="Save as profile" onclick="game.saveAsProfile(${index})">💾</button>`}
                     ${this.players.length > 2 ?
                     `<button class="btn-remove" onclick="game.removePlayer(${index})">✕</button>` :
                     ''}
@@ -869,12 +1504,20 @@ class BankGame {
         });
 
         this.dom.playerConfig.innerHTML = html;
+        this.renderRoster();
     }
 
     updatePlayerName(index, name) {
         if (this.players[index]) {
             this.players[index].name = name || `Player ${index + 1}`;
             this.renderPlayers();
+            // A saved profile follows the name
+            const profile = this.getProfile(this.players[index].profileId);
+            if (profile) {
+                this.saveProfile({ ...profile, name: this.players[index].name }).catch(error => {
+                    console.warn('[Profiles] Could not rename the profile:', error);
+                });
+            }
         }
     }
 
@@ -884,7 +1527,9 @@ class BankGame {
             id: newId,
             name: `Player ${this.players.length + 1}`,
             score: 0,
-            hasBankedThisRound: false
+            hasBankedThisRound: false,
+            bot: null,
+            profileId: null
         });
         this.renderPlayerConfig();
         this.renderPlayers();
@@ -910,60 +1555,300 @@ class BankGame {
         this.dom.alertMessage.classList.add('hidden');
     }
 
-    // ==================== BYOD (Bring Your Own Dice) ====================
+    // ==================== BANK ADVISOR ====================
 
     /**
-     * Toggle BYOD mode - switch between virtual dice and manual input
+     * About what a round is worth to a player: banking anywhere from 100 to
+     * 300 scores 65-70 points a round on average under the standard rules
      */
-    toggleBYOD(enabled) {
-        this.byodEnabled = enabled;
-
-        if (this.dom.diceContainer) {
-            if (enabled) {
-                this.dom.diceContainer.classList.add('byod-hidden');
-            } else {
-                this.dom.diceContainer.classList.remove('byod-hidden');
-            }
-        }
+    static ROUND_VALUE = 65;
 
-        if (this.dom.byodPanel) {
-            if (enabled) {
-                this.dom.byodPanel.classList.remove('hidden');
-            } else {
-                this.dom.byodPanel.classList.add('hidden');
-            }
-        }
+    /**
+     * Expected bank after one more roll for a player still in the round
+     * (doubles, 7s and protected rolls scored by the house rules)
+     */
+    getStayExpectation() {
+        return this.getNextRollOutcomes().reduce((sum, outcome) => sum + outcome.probability * outcome.value, 0);
+    }
 
-        if (this.dom.rollBtn) {
-            if (enabled) {
-                this.dom.rollBtn.classList.add('byod-hidden');
-            } else {
-                this.dom.rollBtn.classList.remove('byod-hidden');
-            }
+    /**
+     * Whether a player still in the round should bank now or push for
+     * another roll.
+     *
+     * bankValue and stayValue are expected points: the bank now, and the bank
+     * after one more roll. Under the standard rules stayValue is always a
+     * little higher (doubles win back what 7s take), so points alone would say
+     * push forever; the advice comes from the game situation instead:
+     *   - the next roll is protected: push, nothing can be lost
+     *   - last round, level or behind: bank only if it takes the lead,
+     *     otherwise push (banking can't win)
+     *   - otherwise: push while another roll raises the expected log of what
+     *     the player has at stake (the Kelly criterion): its score, the rounds
+     *     left at ROUND_VALUE each, and, when behind, its share of the gap per
+     *     round left. A bigger stake risks more, so a player pushes longer
+     *     early in the game and the more it has to catch up
+     * @returns {{advice: 'bank'|'push', reason: string, bankValue: number,
+     *   stayValue: number, bustChance: number, gap: number, roundsLeft: number}}
+     *   gap is the points behind the best other player (negative when leading)
+     */
+    getBankAdvice(player) {
+        const outcomes = this.getNextRollOutcomes();
+        const bankValue = this.bankScore;
+        const stayValue = this.getStayExpectation();
+        const bustChance = outcomes.filter(o => o.bust).reduce((sum, o) => sum + o.probability, 0);
+        const others = this.players.filter(p => p.id !== player.id).map(p => p.score);
+        const gap = others.length > 0 ? Math.max(...others) - player.score : 0;
+        const roundsLeft = Math.max(1, this.totalRounds - this.roundNumber + 1);
+
+        let advice;
+        let reason;
+        if (bustChance === 0) {
+            advice = 'push';
+            reason = 'Next roll is protected';
+        } else if (roundsLeft === 1 && gap >= 0) {
+            advice = bankValue > gap ? 'bank' : 'push';
+            reason = advice === 'bank' ? 'Banking takes the lead' : `Banking can't catch the leader (${gap} behind)`;
+        } else {
+            const stake = player.score + (roundsLeft - 1) * BankGame.ROUND_VALUE + Math.max(0, gap) / roundsLeft;
+            advice = this.getStayValue(stake) > Math.log(1 + stake + bankValue) ? 'push' : 'bank';
+            reason = advice === 'bank' ? 'A 7 now costs more than another roll is worth' : 'Another roll is worth the risk';
         }
 
-        // Hide undo mode settings when BYOD is enabled (resample/preserve is RNG-specific)
-        // Note: Undo BUTTON remains visible - user can still undo wrong dice sum selections
-        const undoSettingGroup = document.getElementById('undo-setting-group');
-        if (undoSettingGroup) {
-            undoSettingGroup.style.display = enabled ? 'none' : 'block';
-        }
+        return { advice, reason, bankValue, stayValue, bustChance, gap, roundsLeft };
     }
 
     /**
-     * Handle BYOD input - process manual dice sum entry
-     * @param {number|null} sum - The dice sum (2-12), or null if doubles
-     * @param {boolean} isDoubles - True if doubles button was pressed
+     * Expected log of a player's stake plus the bank after one more roll
+     * (see getBankAdvice)
      */
-    handleBYODInput(sum, isDoubles) {
-        if (this.roundOver || this.gameOver) return;
+    getStayValue(stake) {
+        return this.getNextRollOutcomes().reduce((sum, outcome) =>
+            sum + outcome.probability * Math.log(1 + stake + outcome.value), 0);
+    }
 
-        // Save state for undo before the roll
-        this.pushState();
+    /**
+     * Player card badge with the advisor's recommendation ('' when there is none)
+     */
+    getAdviceBadge(player) {
+        if (!this.showAdvisor || player.hasBankedThisRound || this.bankScore === 0 ||
+            this.roundOver || this.gameOver) return '';
+        const advice = this.getBankAdvice(player);
+        const title = `Bank now: ${advice.bankValue} · Stay one roll: ${advice.stayValue.toFixed(1)} expected, ` +
+            `${(advice.bustChance * 100).toFixed(1)}% bust · ${advice.reason}`;
+        return ` <span class="advice-badge ${advice.advice}" title="${title}">${advice.advice === 'bank' ? 'BANK' : 'PUSH'}</span>`;
+    }
 
-        this.gameStarted = true;
-        this.rollNumber++;
-        const isProtected = this.rollNumber <= 3;
+    /**
+     * Show or hide the advisor's recommendations
+     */
+    setShowAdvisor(enabled) {
+        this.showAdvisor = enabled;
+        if (this.dom.advisorToggle) {
+            this.dom.advisorToggle.checked = enabled;
+        }
+        this.renderPlayers();
+    }
+
+    // ==================== BOTS ====================
+
+    /**
+     * Bot strategies. After every roll each bot still in the round decides
+     * whether to bank; a bot whose turn it is rolls the virtual dice (with
+     * BYOD the table rolls for it and enters the sum as usual).
+     */
+    static BOT_STRATEGIES = {
+        conservative: { name: 'Conservative', description: 'Banks once the bank reaches 100', threshold: 100 },
+        aggressive: { name: 'Aggressive', description: 'Banks once the bank reaches 300', threshold: 300 },
+        gap: { name: 'Score gap', description: 'Banks sooner when ahead and later when behind; in the last round banks as soon as it takes the lead' },
+        ev: { name: 'Expected value', description: 'Banks when the bank advisor says BANK' }
+    };
+
+    /**
+     * Make a player a bot with a strategy, or a human ('' or null)
+     */
+    setPlayerBot(index, strategy) {
+        const player = this.players[index];
+        if (!player) return;
+        if (strategy && !Object.keys(BankGame.BOT_STRATEGIES).includes(strategy)) return;
+        player.bot = strategy || null;
+        this.renderPlayerConfig();
+        this.renderPlayers();
+        this.scheduleBots();
+    }
+
+    /**
+     * Whether a bot should bank the current bank now
+     */
+    shouldBotBank(player) {
+        const strategy = BankGame.BOT_STRATEGIES[player.bot];
+        switch (player.bot) {
+            case 'conservative':
+            case 'aggressive':
+                return this.bankScore >= strategy.threshold;
+            case 'gap': {
+                // Points behind the best other player (negative when leading)
+                const others = this.players.filter(p => p !== player).map(p => p.score);
+                const gap = Math.max(...others) - player.score;
+                if (this.roundNumber >= this.totalRounds) {
+                    return this.bankScore > gap;
+                }
+                // Aim for 100 plus a share of the gap per round left
+                const roundsLeft = this.totalRounds - this.roundNumber + 1;
+                return this.bankScore >= Math.max(50, 100 + gap / roundsLeft);
+            }
+            case 'ev':
+                return this.getBankAdvice(player).advice === 'bank';
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Ids of the bots still in the round that bank now
+     */
+    getBotDecisions() {
+        if (this.bankScore === 0 || this.roundOver || this.gameOver || !this.isBankingOpen()) return [];
+        return this.players
+            .filter(p => p.bot && !p.hasBankedThisRound && this.shouldBotBank(p))
+            .map(p => p.id);
+    }
+
+    /**
+     * Whether the bot whose turn it is rolls the virtual dice
+     */
+    isBotToRoll() {
+        const current = this.players[this.currentPlayerIndex];
+        return !!(current && current.bot && !current.hasBankedThisRound &&
+            !this.byodEnabled && !this.roundOver && !this.gameOver);
+    }
+
+    /**
+     * Whether a player's card shows the bot thinking
+     */
+    isBotThinking(player) {
+        if (!this.botThinking || !player.bot || player.hasBankedThisRound) return false;
+        const isCurrent = this.players[this.currentPlayerIndex]?.id === player.id;
+        return isCurrent || (this.isBankingOpen() && this.bankScore > 0);
+    }
+
+    /**
+     * After a short "thinking" delay, let the bots bank and, on a bot's turn,
+     * roll. Called after every roll, bank and new round.
+     */
+    scheduleBots() {
+        this.cancelBots();
+        const botsToBank = this.isBankingOpen() && this.bankScore > 0 &&
+            this.players.some(p => p.bot && !p.hasBankedThisRound);
+        if (this.roundOver || this.gameOver || (!botsToBank && !this.isBotToRoll())) return;
+
+        this.botThinking = true;
+        this.renderPlayers();
+        this.botTimer = setTimeout(() => this.runBots(), this.botDelay);
+    }
+
+    /**
+     * Stop any pending bot move
+     */
+    cancelBots() {
+        if (this.botTimer) {
+            clearTimeout(this.botTimer);
+            this.botTimer = null;
+        }
+        if (this.botThinking) {
+            this.botThinking = false;
+            this.renderPlayers();
+        }
+    }
+
+    /**
+     * Let thinking bots bank at once, so a quick roll never skips their decision
+     */
+    settleBots() {
+        if (!this.botTimer) return;
+        this.cancelBots();
+        const bankingIds = this.getBotDecisions();
+        if (bankingIds.length > 0) {
+            this.bankPlayers(bankingIds);
+        }
+    }
+
+    /**
+     * Bank the bots that decide to, then roll if it is a bot's turn
+     */
+    runBots() {
+        this.botTimer = null;
+        this.botThinking = false;
+        if (this.roundOver || this.gameOver) {
+            this.renderPlayers();
+            return;
+        }
+
+        const bankingIds = this.getBotDecisions();
+        if (bankingIds.length > 0) {
+            this.bankPlayers(bankingIds);
+        } else {
+            this.renderPlayers();
+        }
+
+        if (this.isBotToRoll()) {
+            this.roll();
+        }
+    }
+
+    // ==================== BYOD (Bring Your Own Dice) ====================
+
+    /**
+     * Toggle BYOD mode - switch between virtual dice and manual input
+     */
+    toggleBYOD(enabled) {
+        this.byodEnabled = enabled;
+
+        if (this.dom.diceContainer) {
+            if (enabled) {
+                this.dom.diceContainer.classList.add('byod-hidden');
+            } else {
+                this.dom.diceContainer.classList.remove('byod-hidden');
+            }
+        }
+
+        if (this.dom.byodPanel) {
+            if (enabled) {
+                this.dom.byodPanel.classList.remove('hidden');
+            } else {
+                this.dom.byodPanel.classList.add('hidden');
+            }
+        }
+
+        if (this.dom.rollBtn) {
+            if (enabled) {
+                this.dom.rollBtn.classList.add('byod-hidden');
+            } else {
+                this.dom.rollBtn.classList.remove('byod-hidden');
+            }
+        }
+
+        // Hide undo mode settings when BYOD is enabled (resample/preserve is RNG-specific)
+        // Note: Undo BUTTON remains visible - user can still undo wrong dice sum selections
+        const undoSettingGroup = document.getElementById('undo-setting-group');
+        if (undoSettingGroup) {
+            undoSettingGroup.style.display = enabled ? 'none' : 'block';
+        }
+    }
+
+    /**
+     * Handle BYOD input - process manual dice sum entry
+     * @param {number|null} sum - The dice sum (2-12), or null if doubles
+     * @param {boolean} isDoubles - True if doubles button was pressed
+     */
+    handleBYODInput(sum, isDoubles) {
+        if (this.roundOver || this.gameOver) return;
+        this.settleBots();
+        if (this.roundOver) return;
+
+        // Save state for undo before the roll
+        this.pushState();
+
+        this.gameStarted = true;
 
         // For BYOD doubles, we need the user to have clicked "doubles"
         // We'll pick a representative die value (user doesn't specify which double)
@@ -982,7 +1867,6 @@ class BankGame {
         }
 
         const actualSum = isDoubles ? (this.die1 + this.die2) : sum;
-        const isSeven = actualSum === 7 && !isDoubles;
 
         // Update dice display
         this.dom.die1.textContent = this.die1;
@@ -990,67 +1874,7 @@ class BankGame {
         this.dom.die1.classList.remove('seven', 'doubles');
         this.dom.die2.classList.remove('seven', 'doubles');
 
-        // Handle roll outcome
-        let message = '';
-
-        if (isSeven) {
-            if (isProtected) {
-                // First 3 rolls: 7 = 70 points
-                this.bankScore += 70;
-                message = `🛡️ Protected! 7 = +70 points`;
-                this.dom.lastRollInfo.className = 'last-roll-info special';
-                this.dom.die1.classList.add('seven');
-                this.dom.die2.classList.add('seven');
-            } else {
-                // Round ends, bank is lost
-                this.endRound(true);
-                message = `💥 SEVEN! Round over - bank lost!`;
-                this.dom.lastRollInfo.className = 'last-roll-info';
-                this.dom.die1.classList.add('seven');
-                this.dom.die2.classList.add('seven');
-                this.showAlert('SEVEN! Round Over! 💥');
-                this.playSound(false);
-            }
-        } else if (isDoubles) {
-            if (isProtected) {
-                // First 3 rolls: doubles = face value only
-                const faceValue = this.die1 * 2;
-                this.bankScore += faceValue;
-                message = `🛡️ Protected doubles! +${faceValue} (face value)`;
-                this.dom.lastRollInfo.className = 'last-roll-info special';
-            } else {
-                // Doubles after protection: double the bank!
-                const oldBank = this.bankScore;
-                this.bankScore *= 2;
-                message = `🎉 DOUBLES! Bank doubled: ${oldBank} → ${this.bankScore}`;
-                this.dom.lastRollInfo.className = 'last-roll-info special';
-                this.dom.bankScore.classList.add('doubled');
-                setTimeout(() => this.dom.bankScore.classList.remove('doubled'), 500);
-            }
-            this.dom.die1.classList.add('doubles');
-            this.dom.die2.classList.add('doubles');
-            this.playSound(true);
-        } else {
-            // Normal roll: add sum to bank
-            this.bankScore += actualSum;
-            message = `+${actualSum}`;
-            this.dom.lastRollInfo.className = 'last-roll-info';
-        }
-
-        if (!isSeven || isProtected) {
-            this.dom.lastRollInfo.textContent = message;
-        }
-
-        // Move to next player
-        if (!this.roundOver) {
-            this.advancePlayer();
-        }
-
-        // Pulse animation
-        this.dom.bankScore.classList.add('pulse');
-        setTimeout(() => this.dom.bankScore.classList.remove('pulse'), 300);
-
-        this.updateUI();
+        this.applyRoll(actualSum, isDoubles);
     }
 
     playSound(positive) {
@@ -1096,6 +1920,7 @@ class BankGame {
             die1: this.die1,
             die2: this.die2,
             players: JSON.parse(JSON.stringify(this.players)),
+            logLength: this.gameLog.length, // Undo drops the log entries after this
             rngState: this.rng.current // Save RNG state for preserve mode
         };
     }
@@ -1119,6 +1944,9 @@ class BankGame {
     undo() {
         if (this.undoStack.length === 0) return;
 
+        // Bots wait for the next roll rather than replay what was undone
+        this.cancelBots();
+
         const previousState = this.undoStack.pop();
         this.restoreState(previousState);
 
@@ -1154,6 +1982,9 @@ class BankGame {
         this.die1 = state.die1;
         this.die2 = state.die2;
         this.players = JSON.parse(JSON.stringify(state.players));
+        if (state.logLength !== undefined) {
+            this.gameLog = this.gameLog.slice(0, state.logLength);
+        }
 
         // Update dice display
         this.dom.die1.textContent = state.die1 || '?';
@@ -1183,6 +2014,14 @@ class BankGame {
         // Hide game over modal
         this.dom.gameOverModal.classList.add('hidden');
 
+        // The game is not over after all: take it out of the profiles and
+        // the tournament again
+        this.profileUpdate = this.unrecordProfileGames();
+        if (this.tournament && this.tournamentMatch) {
+            this.tournament.unrecordMatch(this.tournamentMatch);
+            this.saveTournament();
+        }
+
         // Perform undo (restores state including gameOver = false)
         this.undo();
     }
@@ -1196,6 +2035,756 @@ class BankGame {
         }
     }
 
+    // ==================== GAME LOG ====================
+
+    /**
+     * Line colors of the score chart, one per player (repeating)
+     */
+    static CHART_COLORS = ['#58a6ff', '#f0b429', '#2ea043', '#f85149', '#a371f7', '#39c5cf', '#ff7b72', '#e3b341'];
+
+    /**
+     * Add an entry to the game log. Every entry has type ('roll', 'bank' or
+     * 'round-end'), round, roll (number of the roll in the round) and time;
+     * the rest depends on the type:
+     *   roll       playerId (who rolled), die1, die2, sum, doubles, byod (entered
+     *              by hand: die1/die2 only stand in for the sum), effect (the
+     *              scoreRoll outcome), bank (after the roll, 0 on a bust)
+     *   bank       playerId, amount, sevenPenalty (half the bank kept on a 7)
+     *   round-end  bust, lostBank, scores [{playerId, score}] after the round
+     * Unlike the undo stack the log keeps the whole game; an undo drops the
+     * entries of what it undid.
+     */
+    logEvent(type, details) {
+        this.gameLog.push({ type, round: this.roundNumber, roll: this.rollNumber, time: Date.now(), ...details });
+    }
+
+    /**
+     * Name of a player by id (ids of removed players fall back to "Player N")
+     */
+    getPlayerName(id) {
+        const player = this.players.find(p => p.id === id);
+        return player ? player.name : `Player ${id}`;
+    }
+
+    /**
+     * Cumulative score of each player after every finished round
+     * @returns {{rounds: number[], series: {playerId: number, name: string, scores: number[]}[]}}
+     *   rounds starts with 0 (the start of the game, every score 0)
+     */
+    getScoreHistory() {
+        const roundEnds = this.gameLog.filter(e => e.type === 'round-end');
+        return {
+            rounds: [0, ...roundEnds.map(e => e.round)],
+            series: this.players.map(p => ({
+                playerId: p.id,
+                name: p.name,
+                scores: [0, ...roundEnds.map(e => {
+                    const entry = e.scores.find(score => score.playerId === p.id);
+                    return entry ? entry.score : 0;
+                })]
+            }))
+        };
+    }
+
+    /**
+     * One line of the timeline for a log entry
+     */
+    describeLogEvent(event) {
+        const name = this.getPlayerName(event.playerId);
+        if (event.type === 'bank') {
+            return event.sevenPenalty
+                ? `💰 ${name} kept ${event.amount} (half the bank)`
+                : `💰 ${name} banked ${event.amount} on roll ${event.roll}`;
+        }
+        if (event.type === 'round-end') {
+            return event.bust
+                ? `🏁 Round ${event.round} over: 💥 7 took ${event.lostBank}`
+                : `🏁 Round ${event.round} over: everyone banked`;
+        }
+
+        const dice = !event.byod ? `${event.die1}+${event.die2}` : event.doubles ? 'doubles' : `${event.sum}`;
+        const effects = {
+            'protected-seven': '🛡️ protected 7',
+            'seven': '💥 SEVEN',
+            'protected-doubles': '🛡️ protected doubles',
+            'doubles': '🎉 doubles',
+            'sum': `+${event.sum}`
+        };
+        const bank = event.effect === 'seven' ? '' : ` → bank ${event.bank}`;
+        return `🎲 ${name} rolled ${dice}: ${effects[event.effect]}${bank}`;
+    }
+
+    /**
+     * Show the game log modal (timeline and score chart)
+     */
+    showGameLog() {
+        if (!this.dom.gameLogModal) return;
+        this.renderGameLog();
+        this.dom.gameLogModal.classList.remove('hidden');
+    }
+
+    hideGameLog() {
+        if (this.dom.gameLogModal) {
+            this.dom.gameLogModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Render the timeline, a heading for each round, and the score chart
+     */
+    renderGameLog() {
+        if (this.dom.logTimeline) {
+            let html = '';
+            let round = null;
+            this.gameLog.forEach(event => {
+                if (event.round !== round) {
+                    round = event.round;
+                    html += `<li class="log-round">Round ${round}</li>`;
+                }
+                const classes = event.type === 'bank' ? 'log-bank' :
+                    (event.type === 'round-end' && event.bust) || event.effect === 'seven' ? 'log-bust' : '';
+                html += `<li class="${classes}">${this.describeLogEvent(event)}</li>`;
+            });
+            this.dom.logTimeline.innerHTML = html || '<li>No rolls yet</li>';
+        }
+        this.renderScoreChart(this.dom.scoreChart);
+    }
+
+    /**
+     * Draw each player's cumulative score across rounds as an SVG line chart
+     * @param {HTMLElement} container - Emptied when no round has finished yet
+     */
+    renderScoreChart(container) {
+        if (!container) return;
+        const history = this.getScoreHistory();
+        if (history.rounds.length < 2) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const width = 400;
+        const height = 200;
+        const pad = 30;
+        const maxScore = Math.max(1, ...history.series.flatMap(s => s.scores));
+        const x = i => pad + i * (width - 2 * pad) / (history.rounds.length - 1);
+        const y = score => height - pad - score * (height - 2 * pad) / maxScore;
+        const labelEvery = Math.ceil(history.rounds.length / 10);
+
+        let svg = `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Cumulative score by round">`;
+        svg += `<line class="chart-axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"/>`;
+        svg += `<line class="chart-axis" x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}"/>`;
+        svg += `<text class="chart-label" x="${pad - 4}" y="${pad + 4}" text-anchor="end">${maxScore}</text>`;
+        svg += `<text class="chart-label" x="${pad - 4}" y="${height - pad + 4}" text-anchor="end">0</text>`;
+        history.rounds.forEach((round, i) => {
+            if (i % labelEvery === 0 || i === history.rounds.length - 1) {
+                svg += `<text class="chart-label" x="${x(i)}" y="${height - pad + 14}" text-anchor="middle">${round}</text>`;
+            }
+        });
+        history.series.forEach((series, index) => {
+            const color = BankGame.CHART_COLORS[index % BankGame.CHART_COLORS.length];
+            const points = series.scores.map((score, i) => `${x(i).toFixed(1)},${y(score).toFixed(1)}`).join(' ');
+            svg += `<polyline class="chart-line" points="${points}" fill="none" stroke="${color}" stroke-width="2"/>`;
+        });
+        svg += '</svg>';
+
+        const legend = history.series.map((series, index) =>
+            `<span style="color: ${BankGame.CHART_COLORS[index % BankGame.CHART_COLORS.length]}">● ${series.name}</span>`
+        ).join('');
+        container.innerHTML = `${svg}<div class="chart-legend">${legend}</div>`;
+    }
+
+    /**
+     * The game log as CSV, one row per entry
+     */
+    getLogCSV() {
+        const cell = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['round', 'roll', 'event', 'player', 'die1', 'die2', 'sum', 'effect', 'amount', 'bank', 'scores', 'time'];
+        const rows = this.gameLog.map(e => {
+            const scores = e.type === 'round-end'
+                ? e.scores.map(score => `${this.getPlayerName(score.playerId)}: ${score.score}`).join('; ')
+                : '';
+            const effect = e.type === 'roll' ? e.effect :
+                e.type === 'bank' ? (e.sevenPenalty ? 'seven-penalty' : '') :
+                    (e.bust ? 'bust' : 'all-banked');
+            return [
+                e.round, e.roll, e.type,
+                e.playerId !== undefined ? this.getPlayerName(e.playerId) : '',
+                e.type === 'roll' && !e.byod ? e.die1 : '',
+                e.type === 'roll' && !e.byod ? e.die2 : '',
+                e.sum,
+                effect,
+                e.type === 'bank' ? e.amount : e.type === 'round-end' ? e.lostBank : '',
+                e.bank,
+                scores,
+                new Date(e.time).toISOString()
+            ].map(cell).join(',');
+        });
+        return [header.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Export the game log as CSV
+     */
+    exportLogCSV() {
+        this.downloadFile(this.getLogCSV(), 'bank-game-log.csv', 'text/csv');
+    }
+
+    /**
+     * Export the game log as JSON, with the players and rules it was played with
+     */
+    exportLogJSON() {
+        const log = {
+            name: 'bank-game-log',
+            version: '1.0',
+            exported: new Date().toISOString(),
+            settings: {
+                totalRounds: this.totalRounds,
+                ruleset: this.getRuleset()
+            },
+            players: this.players.map(p => ({ id: p.id, name: p.name, ...(p.bot ? { bot: p.bot } : {}) })),
+            events: this.gameLog
+        };
+        this.downloadFile(JSON.stringify(log, null, 2), 'bank-game-log.json', 'application/json');
+    }
+
+    // ==================== PLAYER PROFILES ====================
+    // A profile is {id, name, created, games: [{gameId, date, score, won,
+    // rounds, busts, banks: [{amount, roll}]}]}, one entry per finished game
+    // the profile played; the lifetime stats are worked out from the games.
+
+    /**
+     * Read the profiles from the store into this.profiles
+     */
+    async loadProfiles() {
+        try {
+            const profiles = await this.profileStore.getAll();
+            this.profiles = profiles.sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.warn('[Profiles] Could not load profiles:', error);
+            this.profiles = [];
+        }
+        this.renderRoster();
+        if (this.dom.profilesModal && !this.dom.profilesModal.classList.contains('hidden')) {
+            this.renderProfiles();
+        }
+        return this.profiles;
+    }
+
+    /**
+     * Profile by id, or undefined
+     */
+    getProfile(id) {
+        return this.profiles.find(p => p.id === id);
+    }
+
+    /**
+     * Store a profile and reload the cache
+     */
+    async saveProfile(profile) {
+        await this.profileStore.put(profile);
+        await this.loadProfiles();
+    }
+
+    /**
+     * Create and store an empty profile
+     * @returns {Promise<Object>} The new profile
+     */
+    async createProfile(name) {
+        const profile = {
+            id: `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: name,
+            created: new Date().toISOString(),
+            games: []
+        };
+        await this.saveProfile(profile);
+        return profile;
+    }
+
+    /**
+     * Save a player at the table as a new profile and link it to them
+     */
+    async saveAsProfile(index) {
+        const player = this.players[index];
+        if (!player || player.profileId) return null;
+        const profile = await this.createProfile(player.name);
+        player.profileId = profile.id;
+        this.renderPlayerConfig();
+        return profile;
+    }
+
+    /**
+     * Add a saved profile to the table as a new player
+     */
+    addProfilePlayer(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile || this.players.some(p => p.profileId === profileId)) {
+            this.renderRoster();
+            return false;
+        }
+        this.players.push({
+            id: Math.max(...this.players.map(p => p.id)) + 1,
+            name: profile.name,
+            score: 0,
+            hasBankedThisRound: false,
+            bot: null,
+            profileId: profile.id
+        });
+        this.renderPlayerConfig();
+        this.renderPlayers();
+        return true;
+    }
+
+    /**
+     * Delete a profile; players linked to it stay at the table unlinked
+     */
+    async deleteProfile(id) {
+        try {
+            await this.profileStore.delete(id);
+        } catch (error) {
+            console.warn('[Profiles] Could not delete the profile:', error);
+            return;
+        }
+        this.players.forEach(p => {
+            if (p.profileId === id) p.profileId = null;
+        });
+        await this.loadProfiles();
+        this.renderPlayerConfig();
+    }
+
+    /**
+     * A player's record of the current game, from the game log
+     */
+    getGameSummary(player) {
+        const roundEnds = this.gameLog.filter(e => e.type === 'round-end');
+        // A 7 that keeps half the bank is not a bank the player chose
+        const banks = this.gameLog.filter(e => e.type === 'bank' && e.playerId === player.id && !e.sevenPenalty);
+        const topScore = Math.max(...this.players.map(p => p.score));
+        return {
+            gameId: this.gameId,
+            date: new Date().toISOString(),
+            score: player.score,
+            won: player.score === topScore,
+            rounds: roundEnds.length,
+            busts: roundEnds.filter(e => e.bust && !banks.some(b => b.round === e.round)).length,
+            banks: banks.map(b => ({ amount: b.amount, roll: b.roll }))
+        };
+    }
+
+    /**
+     * Add the finished game to the profile of every linked player. The game
+     * replaces an earlier record of itself, so recording twice is harmless.
+     */
+    async recordProfileGames() {
+        await this.profileUpdate;
+        const updates = this.players
+            .filter(p => this.getProfile(p.profileId))
+            .map(p => {
+                const profile = this.getProfile(p.profileId);
+                const games = profile.games.filter(g => g.gameId !== this.gameId);
+                return this.profileStore.put({ ...profile, games: [...games, this.getGameSummary(p)] });
+            });
+        if (updates.length === 0) return;
+        try {
+            await Promise.all(updates);
+        } catch (error) {
+            console.warn('[Profiles] Could not record the game:', error);
+        }
+        await this.loadProfiles();
+    }
+
+    /**
+     * Take the current game out of the profiles (undo from game over), once
+     * the game has been recorded
+     */
+    async unrecordProfileGames() {
+        await this.profileUpdate;
+        const updates = this.profiles
+            .filter(profile => profile.games.some(g => g.gameId === this.gameId))
+            .map(profile => this.profileStore.put({
+                ...profile,
+                games: profile.games.filter(g => g.gameId !== this.gameId)
+            }));
+        if (updates.length === 0) return;
+        try {
+            await Promise.all(updates);
+        } catch (error) {
+            console.warn('[Profiles] Could not take the game out:', error);
+        }
+        await this.loadProfiles();
+    }
+
+    /**
+     * Lifetime stats of a profile
+     * @returns {{games: number, wins: number, rounds: number, averageBank: number,
+     *   biggestBank: number, bustRate: number, preferredRoll: number|null}}
+     *   bustRate is the share of rounds lost to a 7 without banking (0-1);
+     *   preferredRoll is the roll number banked on most often (the earlier on a tie)
+     */
+    getProfileStats(profile) {
+        const games = profile.games;
+        const banks = games.flatMap(g => g.banks);
+        const rounds = games.reduce((sum, g) => sum + g.rounds, 0);
+        const busts = games.reduce((sum, g) => sum + g.busts, 0);
+
+        const rollCounts = {};
+        banks.forEach(b => rollCounts[b.roll] = (rollCounts[b.roll] || 0) + 1);
+        let preferredRoll = null;
+        Object.keys(rollCounts).map(Number).sort((a, b) => a - b).forEach(roll => {
+            if (preferredRoll === null || rollCounts[roll] > rollCounts[preferredRoll]) {
+                preferredRoll = roll;
+            }
+        });
+
+        return {
+            games: games.length,
+            wins: games.filter(g => g.won).length,
+            rounds: rounds,
+            averageBank: banks.length > 0 ? Math.round(banks.reduce((sum, b) => sum + b.amount, 0) / banks.length) : 0,
+            biggestBank: banks.length > 0 ? Math.max(...banks.map(b => b.amount)) : 0,
+            bustRate: rounds > 0 ? busts / rounds : 0,
+            preferredRoll: preferredRoll
+        };
+    }
+
+    /**
+     * Fill the roster select with the profiles not already at the table
+     */
+    renderRoster() {
+        if (!this.dom.rosterSelect) return;
+        const available = this.profiles.filter(profile => !this.players.some(p => p.profileId === profile.id));
+        this.dom.rosterSelect.innerHTML = '<option value="">👤 Add from roster…</option>' +
+            available.map(profile => `<option value="${profile.id}">${profile.name}</option>`).join('');
+        this.dom.rosterSelect.disabled = available.length === 0;
+    }
+
+    /**
+     * Show the profiles modal (lifetime stats of every profile)
+     */
+    showProfiles() {
+        if (!this.dom.profilesModal) return;
+        this.renderProfiles();
+        this.dom.profilesModal.classList.remove('hidden');
+    }
+
+    hideProfiles() {
+        if (this.dom.profilesModal) {
+            this.dom.profilesModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Render the stats table, one row per profile
+     */
+    renderProfiles() {
+        if (!this.dom.profilesList) return;
+        if (this.profiles.length === 0) {
+            this.dom.profilesList.innerHTML =
+                '<p class="setting-hint">No profiles yet. Save a player with 💾 in the player settings.</p>';
+            return;
+        }
+        const rows = this.profiles.map(profile => {
+            const stats = this.getProfileStats(profile);
+            return `
+                <tr data-profile="${profile.id}">
+                    <td>${profile.name}</td>
+                    <td>${stats.games}</td>
+                    <td>${stats.wins}</td>
+                    <td>${stats.averageBank}</td>
+                    <td>${stats.biggestBank}</td>
+                    <td>${(stats.bustRate * 100).toFixed(1)}%</td>
+                    <td>${stats.preferredRoll === null ? '–' : stats.preferredRoll}</td>
+                    <td><button class="btn-remove" title="Delete profile" onclick="game.deleteProfile('${profile.id}')">✕</button></td>
+                </tr>
+            `;
+        }).join('');
+        this.dom.profilesList.innerHTML = `
+            <table class="profiles-table">
+                <thead>
+                    <tr>
+                        <th>Name</th><th>Games</th><th>Wins</th><th>Avg bank</th>
+                        <th>Biggest bank</th><th>Bust rate</th><th>Preferred roll</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Export every profile, its game history and its lifetime stats as JSON
+     */
+    exportProfiles() {
+        const data = {
+            name: 'bank-profiles',
+            version: '1.0',
+            exported: new Date().toISOString(),
+            profiles: this.profiles.map(profile => ({ ...profile, stats: this.getProfileStats(profile) }))
+        };
+        this.downloadFile(JSON.stringify(data, null, 2), 'bank-profiles.json', 'application/json');
+    }
+
+    // ==================== TOURNAMENT ====================
+    // The tournament starts from the players at the table. Each match loads
+    // its table into this game and the final scores go to the bracket at
+    // game over; ending the tournament brings back the whole roster.
+
+    /**
+     * localStorage key of the tournament in progress
+     */
+    static TOURNAMENT_STORAGE_KEY = 'bank-tournament';
+
+    /**
+     * Set the options the next tournament starts with (merged over the current ones)
+     * @returns {boolean} false if the options are invalid (nothing changes)
+     */
+    setTournamentOptions(options) {
+        const result = BankTournament.validateOptions(options);
+        if (!result.valid) {
+            console.error('[Tournament] Invalid options:', result.error);
+            this.renderTournamentOptions();
+            return false;
+        }
+        this.tournamentOptions = { ...this.tournamentOptions, ...options };
+        this.renderTournamentOptions();
+        return true;
+    }
+
+    /**
+     * Read the Tournament settings into the options
+     */
+    updateTournamentOptionsFromSettings() {
+        this.setTournamentOptions({
+            tableSize: Number(this.dom.tournamentTableSize.value),
+            advance: Number(this.dom.tournamentAdvance.value)
+        });
+    }
+
+    renderTournamentOptions() {
+        if (this.dom.tournamentTableSize) {
+            this.dom.tournamentTableSize.value = this.tournamentOptions.tableSize;
+            this.dom.tournamentAdvance.value = this.tournamentOptions.advance;
+        }
+    }
+
+    /**
+     * Pick up a tournament saved by an earlier visit
+     */
+    loadTournament() {
+        try {
+            const saved = localStorage.getItem(BankGame.TOURNAMENT_STORAGE_KEY);
+            this.tournament = saved ? BankTournament.fromJSON(JSON.parse(saved)) : null;
+        } catch (error) {
+            console.warn('[Tournament] Could not load the saved tournament:', error);
+            this.tournament = null;
+        }
+        return this.tournament;
+    }
+
+    /**
+     * Save the tournament (or clear it once ended) and refresh an open bracket
+     */
+    saveTournament() {
+        try {
+            if (this.tournament) {
+                localStorage.setItem(BankGame.TOURNAMENT_STORAGE_KEY, JSON.stringify(this.tournament));
+            } else {
+                localStorage.removeItem(BankGame.TOURNAMENT_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('[Tournament] Could not save the tournament:', error);
+        }
+        if (this.dom.bracketModal && !this.dom.bracketModal.classList.contains('hidden')) {
+            this.renderBracket();
+        }
+    }
+
+    /**
+     * Start a tournament with the players at the table and show the bracket
+     * @returns {boolean} false if the roster and options cannot make a bracket,
+     *   or there is a tournament already (the table only has its last match)
+     */
+    startTournament() {
+        if (this.tournament) {
+            alert('End the current tournament in the bracket first.');
+            return false;
+        }
+        const result = BankTournament.validate(this.players, this.tournamentOptions);
+        if (!result.valid) {
+            alert(`Cannot start a tournament: ${result.error}`);
+            return false;
+        }
+        this.tournament = new BankTournament(this.players, this.tournamentOptions);
+        this.tournamentMatch = null;
+        this.saveTournament();
+        this.showBracket();
+        return true;
+    }
+
+    /**
+     * Fresh players for the game from tournament player ids
+     */
+    getTournamentPlayers(ids) {
+        return ids.map(id => {
+            const player = this.tournament.getPlayer(id);
+            return {
+                id: player.id,
+                name: player.name,
+                score: 0,
+                hasBankedThisRound: false,
+                bot: player.bot,
+                profileId: player.profileId
+            };
+        });
+    }
+
+    /**
+     * Load the next table of the bracket into the game and start its match
+     * @returns {boolean} false if no match is left to play
+     */
+    playNextMatch() {
+        const match = this.tournament ? this.tournament.getNextMatch() : null;
+        if (!match) return false;
+
+        this.cancelBots();
+        this.players = this.getTournamentPlayers(match.playerIds);
+        // Undo must not reach back into another table's game
+        this.undoStack = [];
+        this.hideBracket();
+        this.dom.gameOverModal.classList.add('hidden');
+        this.tournamentMatch = null;
+        this.startNewGame();
+        this.tournamentMatch = match.id;
+        this.renderPlayerConfig();
+        this.updateUndoButton();
+        return true;
+    }
+
+    /**
+     * Report the final scores of a tournament match to the bracket (at game over)
+     * @returns {boolean} false if the game is not a tournament match
+     */
+    recordTournamentMatch() {
+        if (!this.tournament || !this.tournamentMatch) return false;
+        const recorded = this.tournament.recordMatch(
+            this.tournamentMatch,
+            this.players.map(p => ({ playerId: p.id, score: p.score }))
+        );
+        this.saveTournament();
+        return recorded;
+    }
+
+    /**
+     * Stop the tournament, forget its bracket and bring back the whole roster
+     */
+    endTournament() {
+        if (!this.tournament) return;
+        this.cancelBots();
+        this.players = this.getTournamentPlayers(this.tournament.players.map(p => p.id));
+        this.tournament = null;
+        this.saveTournament();
+        this.hideBracket();
+        this.undoStack = [];
+        this.startNewGame();
+        this.renderPlayerConfig();
+        this.updateUndoButton();
+    }
+
+    /**
+     * Show the bracket modal (bracket view and standings)
+     */
+    showBracket() {
+        if (!this.dom.bracketModal) return;
+        this.dom.gameOverModal.classList.add('hidden');
+        this.renderBracket();
+        this.dom.bracketModal.classList.remove('hidden');
+    }
+
+    hideBracket() {
+        if (this.dom.bracketModal) {
+            this.dom.bracketModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Render a column per stage, the champion, the standings and the play button
+     */
+    renderBracket() {
+        const tournament = this.tournament;
+        const next = tournament ? tournament.getNextMatch() : null;
+
+        if (this.dom.bracketView) {
+            if (!tournament) {
+                this.dom.bracketView.innerHTML =
+                    '<p class="bracket-waiting">No tournament yet. Add the players and start one in settings.</p>';
+            } else {
+                this.dom.bracketView.innerHTML = BankTournament.STAGE_NAMES.map((name, index) => {
+                    const stage = tournament.stages[index];
+                    const matches = stage
+                        ? stage.matches.map(match => this.renderBracketMatch(index, match, next)).join('')
+                        : `<p class="bracket-waiting">Waiting for the ${BankTournament.STAGE_NAMES[index - 1].toLowerCase()}</p>`;
+                    return `<div class="bracket-stage"><h3>${name}</h3>${matches}</div>`;
+                }).join('');
+            }
+        }
+
+        if (this.dom.tournamentChampion) {
+            const champion = tournament ? tournament.getChampion() : null;
+            this.dom.tournamentChampion.textContent = champion ? `🏆 ${champion.name} wins the tournament!` : '';
+            this.dom.tournamentChampion.classList.toggle('hidden', !champion);
+        }
+
+        if (this.dom.tournamentStandings) {
+            const rows = tournament ? tournament.getStandings().map((entry, index) => `
+                <tr>
+                    <td>${index + 1}. ${entry.name}</td>
+                    <td>${entry.points}</td>
+                    <td>${entry.matches}</td>
+                    <td>${entry.wins}</td>
+                    <td>${entry.reached}</td>
+                </tr>
+            `).join('') : '';
+            this.dom.tournamentStandings.innerHTML = rows ? `
+                <table class="profiles-table">
+                    <thead>
+                        <tr><th>Player</th><th>Points</th><th>Matches</th><th>Tables won</th><th>Reached</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '';
+        }
+
+        if (this.dom.playMatchBtn) {
+            this.dom.playMatchBtn.disabled = !next;
+            this.dom.playMatchBtn.textContent = next ? `▶ Play ${next.label}` : '▶ Play Next Match';
+        }
+        if (this.dom.endTournamentBtn) {
+            this.dom.endTournamentBtn.disabled = !tournament;
+        }
+    }
+
+    /**
+     * One match of the bracket: its players, best first once played, with the
+     * players who go on (the winner, in the final) highlighted
+     */
+    renderBracketMatch(stageIndex, match, next) {
+        const tournament = this.tournament;
+        const highlighted = Math.max(1, tournament.getAdvanceCount(stageIndex, match));
+        const rows = match.results
+            ? tournament.getMatchRanking(match).map((result, place) =>
+                `<li class="${place < highlighted ? 'advancing' : ''}"><span>${tournament.getPlayer(result.playerId).name}</span><span>${result.score}</span></li>`)
+            : match.playerIds.map(id =>
+                `<li><span>${tournament.getPlayer(id).name}</span><span>–</span></li>`);
+        return `
+            <div class="bracket-match${match === next ? ' next' : ''}" data-match="${match.id}">
+                <div class="bracket-match-label">${match.label}</div>
+                <ol>${rows.join('')}</ol>
+            </div>
+        `;
+    }
+
     // ==================== SEEDED RNG API ====================
 
     /**
@@ -1212,6 +2801,186 @@ class BankGame {
         return this.rng.getSeed();
     }
 
+    // ==================== HOUSE RULES ====================
+
+    /**
+     * Standard ThunderHive rules. A ruleset sets any of these keys; it is
+     * edited in settings and saved in the exported config.
+     *   protectedRolls       rolls at the start of a round on which a 7 is safe
+     *                        (banking opens after them)
+     *   protectedSevenPoints points a protected 7 adds to the bank
+     *   protectedDoubles     'face': protected doubles add their face value,
+     *                        'same': they count like doubles after protection
+     *   doublesEffect        'multiply': doubles multiply the bank by doublesMultiplier,
+     *                        'bonus': they add doublesBonus points
+     *   sevenPenalty         'all': a 7 after protection loses the bank,
+     *                        'half': players still in the round keep half of it
+     */
+    static DEFAULT_RULESET = {
+        protectedRolls: 3,
+        protectedSevenPoints: 70,
+        protectedDoubles: 'face',
+        doublesEffect: 'multiply',
+        doublesMultiplier: 2,
+        doublesBonus: 50,
+        sevenPenalty: 'all'
+    };
+
+    /**
+     * Allowed values of each ruleset key: [min, max] for numbers, a list for choices
+     */
+    static RULESET_LIMITS = {
+        protectedRolls: [0, 10],
+        protectedSevenPoints: [0, 1000],
+        protectedDoubles: ['face', 'same'],
+        doublesEffect: ['multiply', 'bonus'],
+        doublesMultiplier: [1, 10],
+        doublesBonus: [0, 1000],
+        sevenPenalty: ['all', 'half']
+    };
+
+    /**
+     * Validate a ruleset; keys it leaves out keep their current rule
+     * @returns {{valid: boolean, error?: string}}
+     */
+    validateRuleset(ruleset) {
+        if (typeof ruleset !== 'object' || ruleset === null || Array.isArray(ruleset)) {
+            return { valid: false, error: 'Ruleset must be an object' };
+        }
+        for (const [key, value] of Object.entries(ruleset)) {
+            const limits = BankGame.RULESET_LIMITS[key];
+            if (!limits) {
+                return { valid: false, error: `Unknown rule "${key}"` };
+            }
+            if (typeof limits[0] === 'number') {
+                if (!Number.isInteger(value) || value < limits[0] || value > limits[1]) {
+                    return { valid: false, error: `Rule ${key} must be a whole number from ${limits[0]} to ${limits[1]}` };
+                }
+            } else if (!limits.includes(value)) {
+                return { valid: false, error: `Rule ${key} must be one of: ${limits.join(', ')}` };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Set the house rules (merged over the current ones)
+     * @returns {boolean} false if the ruleset is invalid (nothing changes)
+     */
+    setRuleset(ruleset) {
+        const result = this.validateRuleset(ruleset);
+        if (!result.valid) {
+            console.error('[Rules] Invalid ruleset:', result.error);
+            this.renderRuleset();
+            return false;
+        }
+        this.ruleset = { ...this.ruleset, ...ruleset };
+        this.renderRuleset();
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Current house rules (a copy)
+     */
+    getRuleset() {
+        return { ...this.ruleset };
+    }
+
+    /**
+     * Read the House Rules settings into the ruleset
+     */
+    updateRulesetFromSettings() {
+        this.setRuleset({
+            protectedRolls: Number(this.dom.ruleProtectedRolls.value),
+            protectedSevenPoints: Number(this.dom.ruleProtectedSeven.value),
+            protectedDoubles: this.dom.ruleProtectedDoubles.value,
+            doublesEffect: this.dom.ruleDoublesEffect.value,
+            doublesMultiplier: Number(this.dom.ruleDoublesMultiplier.value),
+            doublesBonus: Number(this.dom.ruleDoublesBonus.value),
+            sevenPenalty: this.dom.ruleSevenPenalty.value
+        });
+    }
+
+    /**
+     * Show the ruleset in the settings, the banking hint and the probability panel
+     */
+    renderRuleset() {
+        const rules = this.ruleset;
+        if (this.dom.ruleProtectedRolls) {
+            this.dom.ruleProtectedRolls.value = rules.protectedRolls;
+            this.dom.ruleProtectedSeven.value = rules.protectedSevenPoints;
+            this.dom.ruleProtectedDoubles.value = rules.protectedDoubles;
+            this.dom.ruleDoublesEffect.value = rules.doublesEffect;
+            this.dom.ruleDoublesMultiplier.value = rules.doublesMultiplier;
+            this.dom.ruleDoublesBonus.value = rules.doublesBonus;
+            this.dom.ruleSevenPenalty.value = rules.sevenPenalty;
+            this.dom.ruleDoublesMultiplier.disabled = rules.doublesEffect !== 'multiply';
+            this.dom.ruleDoublesBonus.disabled = rules.doublesEffect !== 'bonus';
+        }
+        if (this.dom.bankingInfoText) {
+            this.dom.bankingInfoText.textContent = `Banking enabled after ${rules.protectedRolls} rolls`;
+        }
+        if (this.dom.rulesetSummary) {
+            this.dom.rulesetSummary.textContent = this.describeRuleset();
+        }
+    }
+
+    /**
+     * One-line summary of the house rules
+     */
+    describeRuleset() {
+        const rules = this.ruleset;
+        const doubles = rules.doublesEffect === 'bonus'
+            ? `doubles +${rules.doublesBonus}`
+            : `doubles ×${rules.doublesMultiplier}`;
+        const seven = rules.sevenPenalty === 'half' ? '7 ends round, half kept' : '7 ends round';
+        if (rules.protectedRolls === 0) {
+            return `No protected rolls. After: ${seven}, ${doubles}.`;
+        }
+        const protectedDoubles = rules.protectedDoubles === 'face' ? 'doubles face value' : doubles;
+        return `Rolls 1–${rules.protectedRolls}: 7 = +${rules.protectedSevenPoints}, ${protectedDoubles}. ` +
+            `After: ${seven}, ${doubles}.`;
+    }
+
+    /**
+     * Whether players may bank (the protected rolls are over)
+     */
+    isBankingOpen() {
+        return this.rollNumber >= this.ruleset.protectedRolls;
+    }
+
+    /**
+     * Score a roll under the house rules without changing any state
+     * @param {number} sum - Dice sum (a doubles sum is its face value)
+     * @param {boolean} isDoubles
+     * @param {number} rollNumber - Number of the roll in the round (1 = first)
+     * @param {number} bankScore - Bank before the roll
+     * @returns {{outcome: string, bankScore: number, bust: boolean}} outcome is
+     *   'protected-seven', 'seven', 'protected-doubles', 'doubles' or 'sum';
+     *   on a bust bankScore is the bank that was lost
+     */
+    scoreRoll(sum, isDoubles, rollNumber, bankScore) {
+        const rules = this.ruleset;
+        const isProtected = rollNumber <= rules.protectedRolls;
+
+        if (sum === 7 && !isDoubles) {
+            return isProtected
+                ? { outcome: 'protected-seven', bankScore: bankScore + rules.protectedSevenPoints, bust: false }
+                : { outcome: 'seven', bankScore: bankScore, bust: true };
+        }
+        if (isDoubles) {
+            if (isProtected && rules.protectedDoubles === 'face') {
+                return { outcome: 'protected-doubles', bankScore: bankScore + sum, bust: false };
+            }
+            const doubled = rules.doublesEffect === 'bonus'
+                ? bankScore + rules.doublesBonus
+                : bankScore * rules.doublesMultiplier;
+            return { outcome: 'doubles', bankScore: doubled, bust: false };
+        }
+        return { outcome: 'sum', bankScore: bankScore + sum, bust: false };
+    }
+
     // ==================== PROBABILITY CONSTANTS ====================
 
     /**
@@ -1233,11 +3002,38 @@ class BankGame {
     };
 
     /**
-     * Calculate survival probability (no 7 in N rolls)
-     * P(survive) = (5/6)^rollNumber
+     * The 36 equally likely outcomes of the next roll under the house rules
+     * @returns {{probability: number, bust: boolean, value: number}[]} value is
+     *   the bank a player still in the round holds after the roll (what the
+     *   seven penalty leaves on a bust)
+     */
+    getNextRollOutcomes() {
+        const outcomes = [];
+        for (let d1 = 1; d1 <= 6; d1++) {
+            for (let d2 = 1; d2 <= 6; d2++) {
+                const result = this.scoreRoll(d1 + d2, d1 === d2, this.rollNumber + 1, this.bankScore);
+                const kept = this.ruleset.sevenPenalty === 'half' ? Math.floor(this.bankScore / 2) : 0;
+                outcomes.push({ probability: 1 / 36, bust: result.bust, value: result.bust ? kept : result.bankScore });
+            }
+        }
+        return outcomes;
+    }
+
+    /**
+     * Calculate survival probability (no bust so far this round).
+     * Only rolls after the protected ones can bust:
+     * P(survive) = (5/6)^max(0, rollNumber - protectedRolls)
      */
     getSurvivalProbability() {
-        return Math.pow(5 / 6, this.rollNumber);
+        const riskyRolls = Math.max(0, this.rollNumber - this.ruleset.protectedRolls);
+        return Math.pow(1 - BankGame.DICE_PROBABILITIES[7].prob, riskyRolls);
+    }
+
+    /**
+     * Probability that the next roll busts: 0 while it is protected, 1/6 after
+     */
+    getBustProbability() {
+        return this.rollNumber + 1 <= this.ruleset.protectedRolls ? 0 : BankGame.DICE_PROBABILITIES[7].prob;
     }
 
     // ==================== SUMMARY SCOREBOARD ====================
@@ -1359,11 +3155,16 @@ class BankGame {
             settings: {
                 totalRounds: this.totalRounds,
                 volume: this.volume,
-                undoMode: this.undoMode
+                undoMode: this.undoMode,
+                showAdvisor: this.showAdvisor,
+                ruleset: this.getRuleset(),
+                tournament: { ...this.tournamentOptions }
             },
             players: this.players.map(p => ({
                 id: p.id,
-                name: p.name
+                name: p.name,
+                ...(p.bot ? { bot: p.bot } : {}),
+                ...(p.profileId ? { profileId: p.profileId } : {})
             })),
             // Deterministic gameplay support
             deterministic: {
@@ -1373,17 +3174,24 @@ class BankGame {
             }
         };
 
-        const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+        this.downloadFile(JSON.stringify(config, null, 2), 'bank-game-config.json', 'application/json');
+
+        console.debug('[Export] Configuration exported successfully');
+    }
+
+    /**
+     * Save text as a file download
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'bank-game-config.json';
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-
-        console.debug('[Export] Configuration exported successfully');
     }
 
     /**
@@ -1461,6 +3269,16 @@ class BankGame {
                     this.dom.undoModeSelect.value = this.undoMode;
                 }
             }
+            if (config.settings.showAdvisor !== undefined) {
+                this.setShowAdvisor(config.settings.showAdvisor !== false);
+            }
+            // Rules a config leaves out are the standard ones
+            if (config.settings.ruleset) {
+                this.setRuleset({ ...BankGame.DEFAULT_RULESET, ...config.settings.ruleset });
+            }
+            if (config.settings.tournament) {
+                this.setTournamentOptions(config.settings.tournament);
+            }
         }
 
         if (config.players && Array.isArray(config.players)) {
@@ -1468,7 +3286,9 @@ class BankGame {
                 id: p.id,
                 name: p.name,
                 score: 0,
-                hasBankedThisRound: false
+                hasBankedThisRound: false,
+                bot: p.bot || null,
+                profileId: p.profileId || null
             }));
             this.renderPlayerConfig();
             this.renderPlayers();
@@ -1503,6 +3323,12 @@ class BankGame {
                 if (!player.id || !player.name) {
                     return { valid: false, error: 'Each player must have id and name' };
                 }
+                if (player.bot && !Object.keys(BankGame.BOT_STRATEGIES).includes(player.bot)) {
+                    return { valid: false, error: `Unknown bot strategy "${player.bot}"` };
+                }
+                if (player.profileId !== undefined && typeof player.profileId !== 'string') {
+                    return { valid: false, error: 'Player profileId must be a string' };
+                }
             }
         }
 
@@ -1513,6 +3339,20 @@ class BankGame {
             }
         }
 
+        if (config.settings?.ruleset !== undefined) {
+            const rulesResult = this.validateRuleset(config.settings.ruleset);
+            if (!rulesResult.valid) {
+                return rulesResult;
+            }
+        }
+
+        if (config.settings?.tournament !== undefined) {
+            const tournamentResult = BankTournament.validateOptions(config.settings.tournament);
+            if (!tournamentResult.valid) {
+                return tournamentResult;
+            }
+        }
+
         return { valid: true };
     }
 }
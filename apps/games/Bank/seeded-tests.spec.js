@@ -8,6 +8,12 @@
  * - Banking functionality
  * - Round progression
  * - Game completion
+ * - House rules (ruleset)
+ * - Bot players
+ * - Bank advisor
+ * - Game log
+ * - Player profiles
+ * - Tournament mode
  */
 
 const { test, expect } = require('@playwright/test');
@@ -870,3 +876,710 @@ test.describe('Bank Game - Undo from Game Over', () => {
         await expect(page.locator('#undo-from-gameover-btn')).toBeDisabled();
     });
 });
+
+// ==================== House Rules Tests ====================
+
+test.describe('Bank Game - House Rules', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BANK_GAME_URL);
+        await page.waitForLoadState('domcontentloaded');
+        await waitForGame(page);
+    });
+
+    test('standard rules are the default ruleset', async ({ page }) => {
+        const ruleset = await page.evaluate(() => window.game.getRuleset());
+
+        expect(ruleset).toEqual({
+            protectedRolls: 3,
+            protectedSevenPoints: 70,
+            protectedDoubles: 'face',
+            doublesEffect: 'multiply',
+            doublesMultiplier: 2,
+            doublesBonus: 50,
+            sevenPenalty: 'all'
+        });
+        await expect(page.locator('#rule-protected-rolls')).toHaveValue('3');
+    });
+
+    test('protection period and protected 7 points follow the ruleset', async ({ page }) => {
+        const result = await page.evaluate(() => {
+            window.game.setRuleset({ protectedRolls: 1, protectedSevenPoints: 100 });
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(7, false);  // Roll 1: protected, +100
+            const afterProtected = window.game.bankScore;
+            const bankingOpen = window.game.isBankingOpen();
+            window.game.handleBYODInput(7, false);  // Roll 2: bust
+            return { afterProtected, bankingOpen, roundOver: window.game.roundOver };
+        });
+
+        expect(result.afterProtected).toBe(100);
+        expect(result.bankingOpen).toBe(true);
+        expect(result.roundOver).toBe(true);
+    });
+
+    test('doubles can triple the bank or add a flat bonus', async ({ page }) => {
+        const result = await page.evaluate(() => {
+            window.game.setRuleset({ protectedRolls: 0, doublesMultiplier: 3 });
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(5, false);  // +5
+            window.game.handleBYODInput(null, true);  // ×3 = 15
+            const tripled = window.game.bankScore;
+            window.game.setRuleset({ doublesEffect: 'bonus', doublesBonus: 25 });
+            window.game.handleBYODInput(null, true);  // +25 = 40
+            return { tripled, bonus: window.game.bankScore };
+        });
+
+        expect(result.tripled).toBe(15);
+        expect(result.bonus).toBe(40);
+    });
+
+    test('half seven penalty gives players still in half the bank', async ({ page }) => {
+        const scores = await page.evaluate(() => {
+            window.game.setRuleset({ protectedRolls: 0, sevenPenalty: 'half' });
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(10, false);
+            window.game.handleBYODInput(11, false);  // Bank 21
+            window.game.players[0].score = 21;
+            window.game.players[0].hasBankedThisRound = true;
+            window.game.handleBYODInput(7, false);  // Bust: the others keep 10
+            return window.game.players.map(p => p.score);
+        });
+
+        expect(scores).toEqual([21, 10, 10, 10]);
+    });
+
+    test('invalid rulesets are rejected', async ({ page }) => {
+        const result = await page.evaluate(() => ({
+            tooMany: window.game.setRuleset({ protectedRolls: 11 }),
+            unknown: window.game.validateRuleset({ sevensAreWild: true }).valid,
+            badConfig: window.game.validateConfigStructure({ settings: { ruleset: { sevenPenalty: 'some' } } }).valid,
+            protectedRolls: window.game.ruleset.protectedRolls
+        }));
+
+        expect(result.tooMany).toBe(false);
+        expect(result.unknown).toBe(false);
+        expect(result.badConfig).toBe(false);
+        expect(result.protectedRolls).toBe(3);
+    });
+
+    test('imported ruleset fills missing rules with the standard ones', async ({ page }) => {
+        const ruleset = await page.evaluate(() => {
+            window.game.setRuleset({ doublesMultiplier: 3 });
+            window.game.applyConfig({ settings: { ruleset: { protectedRolls: 2, sevenPenalty: 'half' } } });
+            return window.game.getRuleset();
+        });
+
+        expect(ruleset.protectedRolls).toBe(2);
+        expect(ruleset.sevenPenalty).toBe('half');
+        expect(ruleset.doublesMultiplier).toBe(2);
+        await expect(page.locator('#banking-info-text')).toHaveText('Banking enabled after 2 rolls');
+    });
+
+    test('survival and bust odds follow the protection period', async ({ page }) => {
+        const odds = await page.evaluate(() => {
+            window.game.setRuleset({ protectedRolls: 2 });
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(8, false);
+            const protectedRoll = { survival: window.game.getSurvivalProbability(), bust: window.game.getBustProbability() };
+            window.game.handleBYODInput(8, false);
+            window.game.handleBYODInput(8, false);
+            return { protectedRoll, survival: window.game.getSurvivalProbability(), bust: window.game.getBustProbability() };
+        });
+
+        // Roll 2 is still protected, so nothing can bust yet
+        expect(odds.protectedRoll.survival).toBe(1);
+        expect(odds.protectedRoll.bust).toBe(0);
+        // One unprotected roll survived
+        expect(odds.survival).toBeCloseTo(5 / 6, 5);
+        expect(odds.bust).toBeCloseTo(1 / 6, 5);
+        await expect(page.locator('#survival-prob')).toHaveText('83.3%');
+    });
+});
+
+// ==================== Bot Tests ====================
+
+test.describe('Bank Game - Bots', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BANK_GAME_URL);
+        await page.waitForLoadState('domcontentloaded');
+        await waitForGame(page);
+    });
+
+    test('bots are chosen per player and kept in the config', async ({ page }) => {
+        const result = await page.evaluate(() => {
+            window.game.setPlayerBot(1, 'conservative');
+            window.game.setPlayerBot(2, 'ev');
+            const config = {
+                players: window.game.players.map(p => ({ id: p.id, name: p.name, ...(p.bot ? { bot: p.bot } : {}) }))
+            };
+            window.game.applyConfig(config);
+            return {
+                bots: window.game.players.map(p => p.bot),
+                badConfig: window.game.validateConfigStructure({
+                    players: [{ id: 1, name: 'A' }, { id: 2, name: 'B', bot: 'reckless' }]
+                }).valid
+            };
+        });
+
+        expect(result.bots).toEqual([null, 'conservative', 'ev', null]);
+        expect(result.badConfig).toBe(false);
+        await expect(page.locator('.player-name', { hasText: '🤖' })).toHaveCount(2);
+    });
+
+    test('conservative bot banks once the bank reaches 100', async ({ page }) => {
+        await page.evaluate(() => {
+            window.game.botDelay = 0;
+            window.game.setPlayerBot(1, 'conservative');
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(7, false);   // Roll 1: +70
+            window.game.handleBYODInput(10, false);  // Roll 2: 80
+            window.game.handleBYODInput(11, false);  // Roll 3: 91, below the threshold
+        });
+        await page.waitForTimeout(50);
+        expect(await page.evaluate(() => window.game.players[1].hasBankedThisRound)).toBe(false);
+
+        await page.evaluate(() => window.game.handleBYODInput(9, false));  // Roll 4: 100
+        await page.waitForFunction(() => window.game.players[1].hasBankedThisRound);
+        expect(await page.evaluate(() => window.game.players[1].score)).toBe(100);
+    });
+
+    test('aggressive bot keeps rolling where conservative banks', async ({ page }) => {
+        const decisions = await page.evaluate(() => {
+            window.game.rollNumber = 4;
+            window.game.bankScore = 150;
+            return {
+                conservative: window.game.shouldBotBank({ ...window.game.players[1], bot: 'conservative' }),
+                aggressive: window.game.shouldBotBank({ ...window.game.players[1], bot: 'aggressive' })
+            };
+        });
+
+        expect(decisions.conservative).toBe(true);
+        expect(decisions.aggressive).toBe(false);
+    });
+
+    test('score-gap bot banks in the last round once it takes the lead', async ({ page }) => {
+        const decisions = await page.evaluate(() => {
+            const game = window.game;
+            game.totalRounds = 5;
+            game.roundNumber = 5;
+            game.rollNumber = 4;
+            game.players[0].score = 400;
+            game.players[1].score = 250;
+            const bot = { ...game.players[1], bot: 'gap' };
+            game.bankScore = 150;
+            const tied = game.shouldBotBank(bot);
+            game.bankScore = 151;
+            return { tied, ahead: game.shouldBotBank(bot) };
+        });
+
+        expect(decisions.tied).toBe(false);
+        expect(decisions.ahead).toBe(true);
+    });
+
+    test('expected-value bot banks a big bank but not a small one', async ({ page }) => {
+        const decisions = await page.evaluate(() => {
+            const game = window.game;
+            game.rollNumber = 4;
+            const bot = { ...game.players[1], score: 200, bot: 'ev' };
+            game.bankScore = 20;
+            const small = game.shouldBotBank(bot);
+            game.bankScore = 500;
+            return { small, big: game.shouldBotBank(bot) };
+        });
+
+        expect(decisions.small).toBe(false);
+        expect(decisions.big).toBe(true);
+    });
+
+    test('bot shows it is thinking, then rolls on its turn', async ({ page }) => {
+        await page.evaluate(() => {
+            window.game.setSeed(12345);
+            window.game.botDelay = 300;
+            window.game.setPlayerBot(1, 'aggressive');
+            window.game.roll();  // Player 1 (human) rolls; Player 2 is the bot
+        });
+
+        await expect(page.locator('.player-card.thinking')).toHaveCount(1);
+        await page.waitForFunction(() => window.game.rollNumber >= 2, { timeout: 3000 });
+        expect(await page.evaluate(() => window.game.players[1].bot)).toBe('aggressive');
+    });
+});
+
+// ==================== Bank Advisor Tests ====================
+
+test.describe('Bank Game - Bank Advisor', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BANK_GAME_URL);
+        await page.waitForLoadState('domcontentloaded');
+        await waitForGame(page);
+    });
+
+    test('advises PUSH while the next roll is protected', async ({ page }) => {
+        const advice = await page.evaluate(() => {
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(7, false);  // Roll 1: +70
+            return window.game.getBankAdvice(window.game.players[0]);
+        });
+
+        expect(advice.advice).toBe('push');
+        expect(advice.bustChance).toBe(0);
+        expect(advice.reason).toBe('Next roll is protected');
+    });
+
+    test('expected value of staying counts doubles and sevens', async ({ page }) => {
+        const advice = await page.evaluate(() => {
+            window.game.rollNumber = 3;
+            window.game.bankScore = 100;
+            return window.game.getBankAdvice(window.game.players[0]);
+        });
+
+        // 24/36 add the sum (168 in total), 6/36 double the bank, 6/36 bust: 100 + 168/36
+        expect(advice.bankValue).toBe(100);
+        expect(advice.stayValue).toBeCloseTo(104.67, 2);
+        expect(advice.bustChance).toBeCloseTo(1 / 6, 5);
+    });
+
+    test('in the last round a trailing player banks only to take the lead', async ({ page }) => {
+        const advice = await page.evaluate(() => {
+            const game = window.game;
+            game.totalRounds = 5;
+            game.roundNumber = 5;
+            game.rollNumber = 4;
+            game.players[0].score = 500;
+            game.players[1].score = 300;
+            game.bankScore = 150;
+            const short = game.getBankAdvice(game.players[1]);
+            game.bankScore = 250;
+            return { short, enough: game.getBankAdvice(game.players[1]) };
+        });
+
+        expect(advice.short.gap).toBe(200);
+        expect(advice.short.advice).toBe('push');
+        expect(advice.enough.advice).toBe('bank');
+    });
+
+    test('advises BANK for a big bank and PUSH for a small one mid-game', async ({ page }) => {
+        const advice = await page.evaluate(() => {
+            const game = window.game;
+            game.rollNumber = 5;
+            game.bankScore = 40;
+            const small = game.getBankAdvice(game.players[0]).advice;
+            game.bankScore = 600;
+            return { small, big: game.getBankAdvice(game.players[0]).advice };
+        });
+
+        expect(advice.small).toBe('push');
+        expect(advice.big).toBe('bank');
+    });
+
+    test('shows a badge for each player still in and can be turned off', async ({ page }) => {
+        await page.evaluate(() => {
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(8, false);
+            window.game.handleBYODInput(9, false);
+            window.game.handleBYODInput(10, false);
+            window.game.bankPlayers([window.game.players[0].id]);
+        });
+
+        // Player 1 banked; the other three are still in
+        await expect(page.locator('.advice-badge')).toHaveCount(3);
+        await expect(page.locator('#stay-value')).toHaveText(/vs 27$/);
+
+        await page.evaluate(() => window.game.setShowAdvisor(false));
+        await expect(page.locator('.advice-badge')).toHaveCount(0);
+    });
+});
+
+// ==================== Game Log Tests ====================
+
+test.describe('Bank Game - Game Log', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BANK_GAME_URL);
+        await page.waitForLoadState('domcontentloaded');
+        await waitForGame(page);
+    });
+
+    test('logs every roll and bank', async ({ page }) => {
+        const log = await page.evaluate(() => {
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(7, false);   // Roll 1: protected, 70
+            window.game.handleBYODInput(8, false);   // Roll 2: 78
+            window.game.handleBYODInput(null, true); // Roll 3: protected doubles, 84
+            window.game.bankPlayers([1]);
+            return window.game.gameLog;
+        });
+
+        expect(log.map(e => e.type)).toEqual(['roll', 'roll', 'roll', 'bank']);
+        expect(log[0]).toMatchObject({ round: 1, roll: 1, sum: 7, effect: 'protected-seven', bank: 70, playerId: 1 });
+        expect(log[2]).toMatchObject({ doubles: true, effect: 'protected-doubles', bank: 84 });
+        expect(log[3]).toMatchObject({ playerId: 1, amount: 84, roll: 3 });
+    });
+
+    test('logs round ends with the scores, for the score chart', async ({ page }) => {
+        const result = await page.evaluate(() => {
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(10, false);
+            window.game.handleBYODInput(10, false);
+            window.game.handleBYODInput(10, false);
+            window.game.bankPlayers([1, 2]);
+            window.game.handleBYODInput(7, false);  // Bust: round 1 ends
+            return {
+                roundEnd: window.game.gameLog[window.game.gameLog.length - 1],
+                history: window.game.getScoreHistory()
+            };
+        });
+
+        expect(result.roundEnd).toMatchObject({ type: 'round-end', round: 1, bust: true, lostBank: 30 });
+        expect(result.history.rounds).toEqual([0, 1]);
+        expect(result.history.series[0].scores).toEqual([0, 30]);
+        expect(result.history.series[2].scores).toEqual([0, 0]);
+    });
+
+    test('undo drops the undone entries', async ({ page }) => {
+        const lengths = await page.evaluate(() => {
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(5, false);
+            window.game.handleBYODInput(6, false);
+            const before = window.game.gameLog.length;
+            window.game.undo();
+            return { before, after: window.game.gameLog.length };
+        });
+
+        expect(lengths.before).toBe(2);
+        expect(lengths.after).toBe(1);
+    });
+
+    test('exports a CSV row per entry', async ({ page }) => {
+        const csv = await page.evaluate(() => {
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(9, false);
+            window.game.handleBYODInput(4, false);
+            return window.game.getLogCSV();
+        });
+
+        const lines = csv.split('\n');
+        expect(lines[0]).toBe('round,roll,event,player,die1,die2,sum,effect,amount,bank,scores,time');
+        expect(lines).toHaveLength(3);
+        expect(lines[2]).toMatch(/^1,2,roll,Player 2,,,4,sum,,13,,/);
+    });
+
+    test('log modal shows the timeline and the chart', async ({ page }) => {
+        await page.evaluate(() => {
+            window.game.toggleBYOD(true);
+            window.game.handleBYODInput(6, false);
+            window.game.handleBYODInput(8, false);
+            window.game.handleBYODInput(9, false);
+            window.game.bankPlayers([1, 2, 3, 4]);  // Everyone banks: round 1 ends
+            window.game.showGameLog();
+        });
+
+        await expect(page.locator('#game-log-modal')).not.toHaveClass(/hidden/);
+        await expect(page.locator('#log-timeline .log-round')).toHaveText(['Round 1']);
+        await expect(page.locator('#log-timeline li', { hasText: 'everyone banked' })).toHaveCount(1);
+        await expect(page.locator('#score-chart polyline')).toHaveCount(4);
+    });
+});
+
+test.describe('Bank Game - Player Profiles', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BANK_GAME_URL);
+        await page.waitForLoadState('domcontentloaded');
+        await waitForGame(page);
+    });
+
+    // One-round game: player 1 banks 30 on roll 3, player 2 banks 35 on
+    // roll 4, then a 7 busts players 3 and 4
+    async function playOneRound(page) {
+        await page.evaluate(() => {
+            const game = window.game;
+            game.totalRounds = 1;
+            game.toggleBYOD(true);
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.bankPlayers([1]);
+            game.handleBYODInput(5, false);
+            game.bankPlayers([2]);
+            game.handleBYODInput(7, false);
+        });
+    }
+
+    test('saving a player links a new profile', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const profile = await window.game.saveAsProfile(0);
+            return {
+                profile,
+                linked: window.game.players[0].profileId,
+                names: window.game.profiles.map(p => p.name)
+            };
+        });
+
+        expect(result.profile).toMatchObject({ name: 'Player 1', games: [] });
+        expect(result.linked).toBe(result.profile.id);
+        expect(result.names).toEqual(['Player 1']);
+        await expect(page.locator('.player-config-item').first().locator('.profile-linked')).toHaveCount(1);
+    });
+
+    test('roster adds a saved profile to the table once', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const profile = await window.game.createProfile('Dana');
+            const rosterBefore = document.querySelectorAll('#roster-select option').length;
+            const added = window.game.addProfilePlayer(profile.id);
+            const addedAgain = window.game.addProfilePlayer(profile.id);
+            const player = window.game.players[window.game.players.length - 1];
+            return {
+                rosterBefore,
+                rosterAfter: document.querySelectorAll('#roster-select option').length,
+                added,
+                addedAgain,
+                count: window.game.players.length,
+                player: { name: player.name, profileId: player.profileId },
+                profileId: profile.id
+            };
+        });
+
+        expect(result.rosterBefore).toBe(2);
+        expect(result.rosterAfter).toBe(1);
+        expect(result.added).toBe(true);
+        expect(result.addedAgain).toBe(false);
+        expect(result.count).toBe(5);
+        expect(result.player).toEqual({ name: 'Dana', profileId: result.profileId });
+    });
+
+    test('finished game updates lifetime stats', async ({ page }) => {
+        await page.evaluate(async () => {
+            await window.game.saveAsProfile(0);
+            await window.game.saveAsProfile(1);
+            await window.game.saveAsProfile(2);
+        });
+        await playOneRound(page);
+
+        const stats = await page.evaluate(async () => {
+            await window.game.recordProfileGames();  // Recording again replaces the game
+            return window.game.profiles.map(p => ({ name: p.name, ...window.game.getProfileStats(p) }));
+        });
+
+        expect(stats[0]).toEqual({
+            name: 'Player 1', games: 1, wins: 0, rounds: 1,
+            averageBank: 30, biggestBank: 30, bustRate: 0, preferredRoll: 3
+        });
+        expect(stats[1]).toMatchObject({ name: 'Player 2', games: 1, wins: 1, averageBank: 35, preferredRoll: 4 });
+        expect(stats[2]).toMatchObject({ name: 'Player 3', games: 1, wins: 0, bustRate: 1, preferredRoll: null });
+    });
+
+    test('undo from game over takes the game out of the profiles', async ({ page }) => {
+        await page.evaluate(() => window.game.saveAsProfile(0));
+
+        // The round of playOneRound, undone straight away while the game
+        // over is still being recorded
+        const games = await page.evaluate(async () => {
+            const game = window.game;
+            game.totalRounds = 1;
+            game.toggleBYOD(true);
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.bankPlayers([1]);
+            game.handleBYODInput(5, false);
+            game.bankPlayers([2]);
+            game.handleBYODInput(7, false);
+            game.undoFromGameOver();
+            await window.game.profileUpdate;
+            const stored = await window.game.profileStore.getAll();
+            return { cached: window.game.profiles[0].games.length, stored: stored[0].games.length };
+        });
+
+        expect(games).toEqual({ cached: 0, stored: 0 });
+    });
+
+    test('profiles screen shows a row of stats per profile', async ({ page }) => {
+        await page.evaluate(async () => {
+            await window.game.createProfile('Dana');
+            await window.game.createProfile('Alex');
+            window.game.showProfiles();
+        });
+
+        await expect(page.locator('#profiles-modal')).not.toHaveClass(/hidden/);
+        await expect(page.locator('.profiles-table tbody tr')).toHaveCount(2);
+        await expect(page.locator('.profiles-table tbody tr').first().locator('td').first()).toHaveText('Alex');
+        await expect(page.locator('.profiles-table thead')).toContainText('Preferred roll');
+    });
+});
+
+test.describe('Bank Game - Tournament', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BANK_GAME_URL);
+        await page.waitForLoadState('domcontentloaded');
+        await waitForGame(page);
+    });
+
+    // The eight players of bank-config-party.json, tables of 4, top 2 go on
+    async function startPartyTournament(page) {
+        return page.evaluate(() => {
+            const names = ['Joey', 'Brinlee', 'Braxton', 'Gavin', 'Hinckley', 'London', 'Bode', 'Macey'];
+            window.game.applyConfig({
+                settings: { tournament: { tableSize: 4, advance: 2 } },
+                players: names.map((name, i) => ({ id: i + 1, name }))
+            });
+            return window.game.startTournament();
+        });
+    }
+
+    test('splits the roster into tables with the seeds spread out', async ({ page }) => {
+        expect(await startPartyTournament(page)).toBe(true);
+
+        const tables = await page.evaluate(() =>
+            window.game.tournament.stages[0].matches.map(m => ({ label: m.label, playerIds: m.playerIds }))
+        );
+
+        expect(tables).toEqual([
+            { label: 'Tables · Table 1', playerIds: [1, 4, 5, 8] },
+            { label: 'Tables · Table 2', playerIds: [2, 3, 6, 7] }
+        ]);
+        await expect(page.locator('#bracket-modal')).not.toHaveClass(/hidden/);
+    });
+
+    test('needs more players than one table holds', async ({ page }) => {
+        const result = await page.evaluate(() => ({
+            started: window.game.startTournament(),  // The 4 default players
+            check: BankTournament.validate(window.game.players, { tableSize: 4, advance: 2 })
+        }));
+
+        expect(result.started).toBe(false);
+        expect(result.check).toEqual({ valid: false, error: 'More than 4 players are needed for two tables' });
+    });
+
+    test('top finishers go on to the semi-finals and the final', async ({ page }) => {
+        await startPartyTournament(page);
+
+        const result = await page.evaluate(() => {
+            const tournament = window.game.tournament;
+            // Lower ids score more at every table
+            const play = () => {
+                const match = tournament.getNextMatch();
+                tournament.recordMatch(match.id, match.playerIds.map(id => ({ playerId: id, score: 100 - id * 10 })));
+            };
+            play();
+            play();
+            const semis = tournament.stages[1].matches.map(m => m.playerIds);
+            play();
+            play();
+            const final = tournament.stages[2].matches.map(m => m.playerIds);
+            play();
+            return {
+                semis,
+                final,
+                complete: tournament.isComplete(),
+                champion: tournament.getChampion().name,
+                leader: tournament.getStandings()[0]
+            };
+        });
+
+        expect(result.semis).toEqual([[1, 4], [2, 3]]);
+        expect(result.final).toEqual([[1, 2]]);
+        expect(result.complete).toBe(true);
+        expect(result.champion).toBe('Joey');
+        expect(result.leader).toEqual({ playerId: 1, name: 'Joey', points: 270, matches: 3, wins: 3, reached: 'Final' });
+    });
+
+    test('a match is played as a game and recorded at game over', async ({ page }) => {
+        await startPartyTournament(page);
+
+        const result = await page.evaluate(() => {
+            const game = window.game;
+            game.playNextMatch();
+            const table = game.players.map(p => p.name);
+            game.totalRounds = 1;
+            game.toggleBYOD(true);
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.bankPlayers([1, 4]);
+            game.handleBYODInput(7, false);  // Players 5 and 8 bust: game over
+            return {
+                table,
+                gameOver: game.gameOver,
+                results: game.tournament.stages[0].matches[0].results,
+                next: game.tournament.getNextMatch().label
+            };
+        });
+
+        expect(result.table).toEqual(['Joey', 'Gavin', 'Hinckley', 'Macey']);
+        expect(result.gameOver).toBe(true);
+        expect(result.results).toEqual([
+            { playerId: 1, score: 30 }, { playerId: 4, score: 30 },
+            { playerId: 5, score: 0 }, { playerId: 8, score: 0 }
+        ]);
+        expect(result.next).toBe('Tables · Table 2');
+        await expect(page.locator('#game-over-bracket-btn')).not.toHaveClass(/hidden/);
+    });
+
+    test('a new game during a match plays the same match again', async ({ page }) => {
+        await startPartyTournament(page);
+
+        const result = await page.evaluate(() => {
+            const game = window.game;
+            game.playNextMatch();
+            game.totalRounds = 1;
+            game.toggleBYOD(true);
+            game.handleBYODInput(10, false);
+            game.startNewGame();  // New Game or Play Again before game over
+            const restarted = { match: game.tournamentMatch, roll: game.rollNumber, alert: game.dom.alertText.textContent };
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.handleBYODInput(10, false);
+            game.bankPlayers([1, 4]);
+            game.handleBYODInput(7, false);
+            return { restarted, results: game.tournament.stages[0].matches[0].results.map(r => r.score) };
+        });
+
+        expect(result.restarted).toEqual({ match: '0-1', roll: 0, alert: 'Tables · Table 1 starts again' });
+        expect(result.results).toEqual([30, 30, 0, 0]);
+    });
+
+    test('a saved tournament that does not match its roster is not loaded', async ({ page }) => {
+        await startPartyTournament(page);
+
+        const loaded = await page.evaluate(() => {
+            const saved = JSON.parse(JSON.stringify(window.game.tournament));
+            const load = change => {
+                const data = JSON.parse(JSON.stringify(saved));
+                change(data);
+                return BankTournament.fromJSON(data) !== null;
+            };
+            return {
+                asSaved: load(() => {}),
+                unknownPlayer: load(data => { data.stages[0].matches[0].playerIds[0] = 99; }),
+                badResults: load(data => { data.stages[0].matches[0].results = [{ playerId: 1 }]; }),
+                noMatches: load(data => { data.stages[0].matches = 'none'; })
+            };
+        });
+
+        expect(loaded).toEqual({ asSaved: true, unknownPlayer: false, badResults: false, noMatches: false });
+    });
+
+    test('the tournament survives a reload and shows in the bracket', async ({ page }) => {
+        await startPartyTournament(page);
+        await page.evaluate(() => {
+            const match = window.game.tournament.getNextMatch();
+            window.game.tournament.recordMatch(match.id, match.playerIds.map(id => ({ playerId: id, score: id })));
+            window.game.saveTournament();
+        });
+
+        await page.reload();
+        await waitForGame(page);
+        await page.evaluate(() => window.game.showBracket());
+
+        await expect(page.locator('.bracket-stage h3')).toHaveText(['Tables', 'Semi-finals', 'Final']);
+        await expect(page.locator('.bracket-match[data-match="0-1"] li.advancing')).toHaveCount(2);
+        await expect(page.locator('.bracket-match.next')).toHaveAttribute('data-match', '0-2');
+        await expect(page.locator('#tournament-standings tbody tr')).toHaveCount(8);
+        await expect(page.locator('#play-match-btn')).toHaveText('▶ Play Tables · Table 2');
+    });
+});
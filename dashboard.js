@@ -11,6 +11,7 @@ const ALGO_NAMES = {
     'Mc': 'Monte Carlo',
     'E': 'Expectimax Tree',
     'Igs': 'IDDFS Graph Search',
+    'Mm': 'Minimax Tree',
     'Rl': 'Reinforcement Learning'
 };
 
@@ -150,6 +151,7 @@ function renderGridSizeChart(gridAlgoStats) {
         'Mc': 'rgba(56, 189, 248, 0.8)',
         'E': 'rgba(16, 185, 129, 0.8)',
         'Igs': 'rgba(139, 92, 246, 0.8)',
+        'Mm': 'rgba(239, 68, 68, 0.8)',
         'Rl': 'rgba(245, 158, 11, 0.8)'
     };
 